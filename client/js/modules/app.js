@@ -13,6 +13,7 @@
 import { logError } from './utilities.js';
 import { getReportLoadState, initializePowerBI } from './powerbi-core.js';
 import { initializeChatInterface } from './chat-interface.js';
+import { initializeConversations } from './conversations.js';
 import { initializeDataControls } from './data-controls.js';
 
 /**
@@ -32,6 +33,14 @@ function initializeApplication() {
       console.warn('⚠️ Chat Interface initialization function not available');
     }
 
+    // Initialize the conversation sidebar (after the chat, which shows opened conversations)
+    if (initializeConversations) {
+      initializeConversations();
+      console.log('✅ Conversations initialized');
+    } else {
+      console.warn('⚠️ Conversations initialization function not available');
+    }
+
     // Initialize Data Controls
     if (initializeDataControls) {
       initializeDataControls();
@@ -93,6 +102,7 @@ function getApplicationStatus() {
     powerbiCore: true,
     chartOperations: true,
     chatInterface: true,
+    conversations: true,
     dataControls: true,
     treeView: true,
     powerbiState: getReportLoadState ? getReportLoadState() : null
@@ -10,11 +10,32 @@
 
 // ES6 Module imports
 import { logError } from './utilities.js';
-import { updateChartFromAI, currentChartConfig } from './chart-operations.js';
+import {
+  updateChartFromAI,
+  applyFormatFromAI,
+  applyHistoryFromAI,
+  undoChartChange,
+  redoChartChange,
+  getChartHistoryState,
+  getPageVisuals,
+  currentChartConfig
+} from './chart-operations.js';
+import { getReportPages, applyPageFromAI } from './page-operations.js';
+import { streamChat } from './chat-stream.js';
+import {
+  getCurrentConversationId,
+  setConversationsEnabled,
+  ensureConversation,
+  saveConversationChart,
+  addConversationMessages
+} from './conversations.js';
 
-// Chat history to store the last 4 messages for context
+// Chat history sent to the server for context (the server decides how much fits in the prompt)
 const chatHistory = [];
 
+// Upper bound on stored messages so a very long session doesn't grow the request forever
+const MAX_HISTORY_MESSAGES = 50;
+
 /**
  * Disable chat input with optional message
  * @param {string} message - Message to show in placeholder
@@ -25,6 +46,7 @@ function disableChatInput(message = 'Loading...') {
     chatInput.disabled = true;
     chatInput.placeholder = message;
   }
+  setConversationsEnabled(false);
 }
 
 /**
@@ -38,6 +60,7 @@ function enableChatInput() {
     // Return focus to the input field
     chatInput.focus();
   }
+  setConversationsEnabled(true);
 }
 
 /**
@@ -62,29 +85,150 @@ function addChatMessage(message, isUser = false) {
   chatMessages.appendChild(messageDiv);
   chatMessages.scrollTop = chatMessages.scrollHeight;
     
-  // Add message to chat history for context (skip empty messages and typing indicators)
+  addToChatHistory(message, isUser);
+    
+  return messageDiv; // Return the element for potential manipulation
+}
+
+/**
+ * Add a message to the chat history sent to the server for context
+ * Empty messages and typing indicators are skipped
+ * @param {string} message - The message content
+ * @param {boolean} isUser - Whether this is a user message (vs assistant)
+ */
+function addToChatHistory(message, isUser) {
   if (message.trim() && !message.startsWith('Thinking')) {
     chatHistory.push({
       role: isUser ? 'user' : 'assistant',
       content: message.trim()
     });
         
-    // Keep only the last 4 messages
-    if (chatHistory.length > 4) {
+    // Keep only the most recent messages
+    if (chatHistory.length > MAX_HISTORY_MESSAGES) {
       chatHistory.shift(); // Remove the oldest message
     }
         
     console.log('Updated chat history:', chatHistory);
   }
+}
+
+/**
+ * Show the messages of the conversation that was opened
+ * The welcome message stays; the chat history sent to the server starts over.
+ * @param {Object|null} conversation - Conversation from the server, null for a new chat
+ */
+function showConversation(conversation) {
+  const chatMessages = document.getElementById('chat-messages');
+  while (chatMessages.children.length > 1) {
+    chatMessages.lastElementChild.remove();
+  }
+  chatHistory.length = 0;
+
+  (conversation ? conversation.messages : []).forEach(message => {
+    addChatMessage(message.content, message.role === 'user');
+  });
+}
+
+/**
+ * Show server-side validation warnings as notes in the chat
+ * Notes are not added to the chat history sent back to the AI
+ * @param {Array<string>} warnings - Warning messages from the server
+ */
+function addWarningNotes(warnings) {
+  if (!Array.isArray(warnings) || warnings.length === 0) {
+    return;
+  }
     
-  return messageDiv; // Return the element for potential manipulation
+  const chatMessages = document.getElementById('chat-messages');
+  warnings.forEach(warning => {
+    const noteDiv = document.createElement('div');
+    noteDiv.className = 'message note';
+    noteDiv.textContent = `Note: ${warning}`;
+    chatMessages.appendChild(noteDiv);
+  });
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+/**
+ * Attach the DAX query that answered a data question to its chat message
+ * The query is collapsed by default so it can be inspected without cluttering the chat
+ * @param {HTMLElement} messageDiv - Assistant message element
+ * @param {Object} daxQuery - { query, rowCount?, truncated?, error? } from the server
+ */
+function addDaxQueryDetails(messageDiv, daxQuery) {
+  if (!messageDiv || !daxQuery || !daxQuery.query) {
+    return;
+  }
+
+  const details = document.createElement('details');
+  details.className = 'dax-query';
+
+  const summary = document.createElement('summary');
+  summary.textContent = daxQuery.error
+    ? 'DAX query (failed)'
+    : `DAX query (${daxQuery.rowCount} row${daxQuery.rowCount === 1 ? '' : 's'})`;
+  details.appendChild(summary);
+
+  const code = document.createElement('pre');
+  code.textContent = daxQuery.query;
+  details.appendChild(code);
+
+  if (daxQuery.error) {
+    const error = document.createElement('div');
+    error.className = 'dax-query-error';
+    error.textContent = daxQuery.error;
+    details.appendChild(error);
+  }
+
+  messageDiv.appendChild(details);
+}
+
+/**
+ * Offer the candidates for an ambiguous field as buttons in the chat
+ * Clicking one applies its chartAction and records the choice in the chat history
+ * @param {Array<Object>} suggestions - { label, axis, chartAction } choices from the server
+ */
+function addFieldSuggestions(suggestions) {
+  if (!Array.isArray(suggestions) || suggestions.length === 0) {
+    return;
+  }
+
+  const chatMessages = document.getElementById('chat-messages');
+  const suggestionsDiv = document.createElement('div');
+  suggestionsDiv.className = 'message suggestions';
+
+  const prompt = document.createElement('div');
+  prompt.className = 'suggestions-prompt';
+  prompt.textContent = 'Did you mean:';
+  suggestionsDiv.appendChild(prompt);
+
+  suggestions.forEach(suggestion => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'suggestion-button';
+    button.textContent = suggestion.label;
+    button.addEventListener('click', () => {
+      suggestionsDiv.querySelectorAll('button').forEach(other => {
+        other.disabled = true;
+      });
+      button.classList.add('selected');
+      addChatMessage(`Use ${suggestion.label}`, true);
+      addConversationMessages([{ role: 'user', content: `Use ${suggestion.label}` }]);
+      const conversationId = getCurrentConversationId();
+      updateChartFromAI(suggestion.chartAction).then(() => saveConversationChart(conversationId));
+    });
+    suggestionsDiv.appendChild(button);
+  });
+
+  chatMessages.appendChild(suggestionsDiv);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
 /**
  * Handle chat input submission
  * Processes user input, sends to AI, and handles response
  */
-function handleChatInput() {
+async function handleChatInput() {
   const chatInput = document.getElementById('chat-input');
   const message = chatInput.value.trim();
     
@@ -128,95 +272,213 @@ function handleChatInput() {
     // Store the interval so we can clear it later
     typingDiv.thinkingInterval = thinkingInterval;
         
+    // The charts on the page let the AI target "the second chart" or add a chart next to them
+    const pageVisuals = await getPageVisuals();
+    // The pages let the AI open, add, rename or delete them by name or number
+    const reportPages = await getReportPages();
+    // The server keeps the chat in a conversation so it survives a reload
+    const conversationId = await ensureConversation();
+        
     // Log the request being sent to server
     console.log('=== FRONTEND REQUEST ===');
     console.log('User message:', message);
     console.log('Current chart config:', currentChartConfig);
+    console.log('Page visuals:', pageVisuals);
+    console.log('Report pages:', reportPages);
     console.log('Chat history:', chatHistory);
     console.log('========================');
         
-    // Send message to Azure OpenAI
-    fetch('/chat', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
+    // Stream the response; the thinking animation is replaced by the first tokens
+    let streamedText = '';
+    let chartAction = null;
+    let formatAction = null;
+    let pageAction = null;
+    let historyAction = null;
+    // Chart changes of the response and the save of the resulting chart, awaited before the input is enabled again
+    let responseApplied = null;
+        
+    const stopThinking = () => {
+      if (typingDiv.thinkingInterval) {
+        clearInterval(typingDiv.thinkingInterval);
+        typingDiv.thinkingInterval = null;
+        typingDiv.classList.remove('typing');
+      }
+    };
+        
+    streamChat({ 
+      message: message,
+      currentChart: currentChartConfig,
+      chatHistory: chatHistory,
+      pageVisuals: pageVisuals,
+      reportPages: reportPages,
+      // The undo/redo counts let the AI answer "go back to the previous chart"
+      changeHistory: getChartHistoryState(),
+      conversationId: conversationId
+    }, {
+      onToken: text => {
+        stopThinking();
+        streamedText += text;
+        typingDiv.innerHTML = marked.parse(streamedText);
+        const chatMessages = document.getElementById('chat-messages');
+        chatMessages.scrollTop = chatMessages.scrollHeight;
       },
-      body: JSON.stringify({ 
-        message: message,
-        currentChart: currentChartConfig,
-        chatHistory: chatHistory
-      })
-    })
-      .then(response => response.json())
-      .then(data => {
-        // Clear the thinking animation interval and remove typing indicator
-        if (typingDiv.thinkingInterval) {
-          clearInterval(typingDiv.thinkingInterval);
-        }
-        typingDiv.remove();
-            
-        // Re-enable input
-        enableChatInput();
-            
-        if (data.error) {
-          const errorMessage = `Server error: ${data.error}. Details: ${data.details || 'No details'}`;
-          logError(new Error(errorMessage), 'Chat API Response');
-          addChatMessage(`Error: ${data.error}`, false);
-        } else {
-          // Log the raw AI response for debugging
-          console.log('=== SERVER SUCCESS RESPONSE ===');
-          console.log('Raw AI response:', data.response);
-          console.log('================================');
+      onChartAction: action => {
+        chartAction = action;
+      },
+      onFormatAction: action => {
+        formatAction = action;
+      },
+      onPageAction: action => {
+        pageAction = action;
+      },
+      onHistoryAction: action => {
+        historyAction = action;
+      },
+      onDone: data => {
+        stopThinking();
+                
+        // The server has already parsed and validated the AI response
+        console.log('=== SERVER SUCCESS RESPONSE ===');
+        console.log('Chat Response:', data.chatResponse);
+        console.log('Chart Action:', chartAction);
+        console.log('Warnings:', data.warnings);
+        console.log('================================');
                 
-          // Try to parse the AI response as JSON
-          try {
-            const aiResponse = JSON.parse(data.response);
-                    
-            console.log('=== PARSED AI RESPONSE ===');
-            console.log('Chat Response:', aiResponse.chatResponse);
-            console.log('Chart Action:', aiResponse.chartAction);
-            console.log('==========================');
-                    
-            // Add chat response to chat history
-            if (aiResponse.chatResponse) {
-              addChatMessage(aiResponse.chatResponse, false);
-            }
-                    
-            // If there's a chart action, update the chart
-            if (aiResponse.chartAction) {
-              console.log('=== PROCESSING CHART ACTION ===');
-              console.log('Chart action received:', aiResponse.chartAction);
-              console.log('===============================');
-              // Call chart operations module function
-              if (updateChartFromAI) {
-                updateChartFromAI(aiResponse.chartAction);
-              }
-            }
-                    
-          } catch (parseError) {
-            // If it's not JSON, treat it as a regular text response
-            logError(parseError, 'AI Response JSON Parse');
-            console.log('Non-JSON response received, treating as text');
-            addChatMessage(data.response, false);
-          }
+        // The final text may differ from the stream if the server corrected the response
+        if (data.chatResponse) {
+          typingDiv.innerHTML = marked.parse(data.chatResponse);
+          addToChatHistory(data.chatResponse, false);
+          addDaxQueryDetails(typingDiv, data.daxQuery);
+        } else {
+          typingDiv.remove();
         }
-      })
+                
+        // Show any automatic corrections the server made
+        addWarningNotes(data.warnings);
+                
+        // Let the user pick when a field matched several schema fields
+        addFieldSuggestions(data.suggestions);
+                
+        // The conversation keeps the chart the response produced
+        responseApplied = applyResponseActions({ historyAction, pageAction, chartAction, formatAction }, message, conversationId)
+          .then(() => saveConversationChart(conversationId))
+          .catch(error => logError(error, 'Chat Response Actions'));
+      },
+      onError: data => {
+        stopThinking();
+        typingDiv.remove();
+        const errorMessage = `Server error: ${data.error}. Details: ${data.details || 'No details'}`;
+        logError(new Error(errorMessage), 'Chat API Response');
+        addChatMessage(`Error: ${data.error}`, false);
+      }
+    })
       .catch(error => {
-        // Clear the thinking animation interval and remove typing indicator
-        if (typingDiv.thinkingInterval) {
-          clearInterval(typingDiv.thinkingInterval);
-        }
+        stopThinking();
         typingDiv.remove();
-            
-        // Re-enable input even on error
-        enableChatInput();
-            
         logError(error, 'Chat Request');
         addChatMessage('Sorry, I encountered an error. Please try again.', false);
+      })
+      .then(() => responseApplied)
+      .finally(() => {
+        // Re-enable input once the stream has ended and the chart changes are applied and saved
+        enableChatInput();
       });
   }
 }
 
+/**
+ * Ask the server to fix a chartAction Power BI rejected, then apply the fix
+ * A fix Power BI rejects as well goes back again, until the server has used up its
+ * attempts and answers with a question for the user instead of a chartAction.
+ * @param {string} message - User message the chartAction answered
+ * @param {Object} chartAction - chartAction Power BI rejected
+ * @param {Object} failure - { step, error } from updateChartFromAI
+ * @param {string|null} conversationId - Conversation of the request
+ * @returns {Promise<boolean>} True when a corrected chart was applied
+ */
+async function correctChartAction(message, chartAction, failure, conversationId) {
+  let rejected = chartAction;
+  let step = failure.step;
+  let error = failure.error;
+  for (let attempt = 1; ; attempt++) {
+    addWarningNotes([`Power BI could not apply the chart while ${step} (${error}). Asking for a fix...`]);
+    const response = await fetch('/chat/correct', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        message,
+        chartAction: rejected,
+        error,
+        attempt,
+        currentChart: currentChartConfig,
+        chatHistory,
+        pageVisuals: await getPageVisuals(),
+        reportPages: await getReportPages(),
+        conversationId
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      logError(new Error(`Correction failed: ${data.error}. Details: ${data.details || 'No details'}`), 'Chart Correction');
+      addChatMessage(`Error: ${data.error}`, false);
+      return false;
+    }
+
+    console.log(`Correction ${attempt} of ${data.maxAttempts}:`, data.chartAction);
+    if (data.chatResponse) {
+      addChatMessage(data.chatResponse, false);
+    }
+    addWarningNotes(data.warnings);
+    addFieldSuggestions(data.suggestions);
+    if (!data.chartAction) {
+      return false;
+    }
+
+    let nextFailure = null;
+    await updateChartFromAI(data.chartAction, { onFailure: result => { nextFailure = result; } });
+    if (!nextFailure) {
+      return true;
+    }
+    rejected = data.chartAction;
+    step = nextFailure.step;
+    error = nextFailure.error;
+  }
+}
+
+/**
+ * Apply the actions of an AI response in order: undo/redo, page change, chart, formatting
+ * A failed undo or page change stops the rest, which would land on the wrong chart or page.
+ * A chartAction Power BI rejects is sent back to the AI for a fix (see correctChartAction).
+ * @param {Object} actions - { historyAction, pageAction, chartAction, formatAction }, null when absent
+ * @param {string} message - User message the actions answer
+ * @param {string|null} conversationId - Conversation of the request, for the corrections
+ */
+async function applyResponseActions({ historyAction, pageAction, chartAction, formatAction }, message, conversationId) {
+  if (historyAction && !(await applyHistoryFromAI(historyAction))) return;
+  if (pageAction && !(await applyPageFromAI(pageAction))) return;
+
+  let recorded = false;
+  if (chartAction) {
+    console.log('=== PROCESSING CHART ACTION ===');
+    console.log('Chart action received:', chartAction);
+    console.log('===============================');
+    let failure = null;
+    recorded = await updateChartFromAI(chartAction, { onFailure: result => { failure = result; } });
+    if (failure) {
+      try {
+        recorded = await correctChartAction(message, chartAction, failure, conversationId);
+      } catch (error) {
+        logError(error, 'Chart Correction');
+        addChatMessage('Sorry, the chart could not be fixed. Please try again.', false);
+      }
+    }
+  }
+  // Formatting follows once the fields are in place; a recorded chart change already covers it for undo
+  if (formatAction) {
+    await applyFormatFromAI(formatAction, { recordHistory: !recorded });
+  }
+}
+
 /**
  * Auto-resize textarea based on content
  * @param {HTMLTextAreaElement} textarea - The textarea element to resize
@@ -226,6 +488,46 @@ function autoResizeTextarea(textarea) {
   textarea.style.height = Math.min(textarea.scrollHeight, 100) + 'px';
 }
 
+/**
+ * Enable the undo and redo buttons when there is a chart change to step through
+ * @param {Object} state - { undo, redo } counts from the chart history
+ */
+function updateHistoryButtons(state) {
+  const undoButton = document.getElementById('undo-button');
+  const redoButton = document.getElementById('redo-button');
+  if (undoButton) undoButton.disabled = state.undo === 0;
+  if (redoButton) redoButton.disabled = state.redo === 0;
+}
+
+/**
+ * Undo with Ctrl+Z, redo with Ctrl+Y or Ctrl+Shift+Z
+ * Text fields keep their own undo.
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleHistoryShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA'].includes(e.target.tagName)) {
+    return;
+  }
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    stepChartHistory(undoChartChange);
+  } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+    e.preventDefault();
+    stepChartHistory(redoChartChange);
+  }
+}
+
+/**
+ * Undo or redo a chart change and keep the result in the conversation
+ * @param {Function} step - undoChartChange or redoChartChange
+ */
+async function stepChartHistory(step) {
+  if (await step()) {
+    await saveConversationChart();
+  }
+}
+
 /**
  * Initialize chat interface event handlers
  */
@@ -258,6 +560,21 @@ function initializeChatInterface() {
     }
   });
     
+  // Undo and redo chart changes from the header buttons and the keyboard
+  const undoButton = document.getElementById('undo-button');
+  const redoButton = document.getElementById('redo-button');
+  if (undoButton) undoButton.addEventListener('click', () => stepChartHistory(undoChartChange));
+  if (redoButton) redoButton.addEventListener('click', () => stepChartHistory(redoChartChange));
+  document.addEventListener('keydown', handleHistoryShortcut);
+  window.addEventListener('chart-history-changed', function(event) {
+    updateHistoryButtons(event.detail);
+  });
+    
+  // Show the messages of a conversation opened from the sidebar
+  window.addEventListener('conversation-loaded', function(event) {
+    showConversation(event.detail.conversation);
+  });
+    
   // Listen for chart operation errors
   window.addEventListener('chart-error', function(event) {
     const { message } = event.detail;
@@ -272,6 +589,9 @@ export {
   disableChatInput,
   enableChatInput,
   addChatMessage,
+  addWarningNotes,
+  addFieldSuggestions,
+  addDaxQueryDetails,
   handleChatInput,
   autoResizeTextarea,
   initializeChatInterface,
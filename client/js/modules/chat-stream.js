@@ -0,0 +1,119 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT license.
+// ----------------------------------------------------------------------------
+
+/**
+ * Chat Stream Module
+ * Sends a chat request to the streaming endpoint and dispatches its server-sent events
+ */
+
+/**
+ * Parse one server-sent event block into its name and JSON payload
+ * @param {string} block - Raw event text (lines separated by \n)
+ * @returns {{event: string, data: Object}|null} Parsed event, or null if it has no data
+ */
+function parseEventBlock(block) {
+  let event = 'message';
+  const dataLines = [];
+    
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+    
+  if (dataLines.length === 0) {
+    return null;
+  }
+    
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch (error) {
+    console.error('Could not parse stream event:', block, error);
+    return null;
+  }
+}
+
+/**
+ * Stream a chat request
+ * Handlers are called as events arrive; onError also receives request and server errors.
+ * @param {Object} body - Request body ({ message, currentChart, chatHistory, pageVisuals, reportPages, changeHistory, conversationId })
+ * @param {Object} handlers - Event handlers
+ * @param {Function} [handlers.onToken] - Called with each new piece of response text
+ * @param {Function} [handlers.onHistoryAction] - Called with the validated historyAction (sent before the other actions)
+ * @param {Function} [handlers.onPageAction] - Called with the validated pageAction (sent before the chartAction)
+ * @param {Function} [handlers.onChartAction] - Called with the validated chartAction
+ * @param {Function} [handlers.onFormatAction] - Called with the validated formatAction
+ * @param {Function} [handlers.onDone] - Called with { chatResponse, warnings, suggestions, usage, conversationId }
+ * @param {Function} [handlers.onError] - Called with { error, details }
+ * @returns {Promise<void>} Resolves when the stream has ended
+ */
+async function streamChat(body, { onToken, onHistoryAction, onPageAction, onChartAction, onFormatAction, onDone, onError } = {}) {
+  const response = await fetch('/chat/stream', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body)
+  });
+    
+  // Validation and configuration errors come back as plain JSON before the stream starts
+  const contentType = response.headers.get('Content-Type') || '';
+  if (!contentType.includes('text/event-stream')) {
+    const data = await response.json();
+    if (onError) onError(data);
+    return;
+  }
+    
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+    
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+        
+    buffer += decoder.decode(value, { stream: true });
+        
+    let separatorIndex;
+    while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+      const parsed = parseEventBlock(buffer.slice(0, separatorIndex));
+      buffer = buffer.slice(separatorIndex + 2);
+      if (!parsed) continue;
+            
+      switch (parsed.event) {
+      case 'token':
+        if (onToken) onToken(parsed.data.text);
+        break;
+      case 'historyAction':
+        if (onHistoryAction) onHistoryAction(parsed.data);
+        break;
+      case 'pageAction':
+        if (onPageAction) onPageAction(parsed.data);
+        break;
+      case 'chartAction':
+        if (onChartAction) onChartAction(parsed.data);
+        break;
+      case 'formatAction':
+        if (onFormatAction) onFormatAction(parsed.data);
+        break;
+      case 'done':
+        if (onDone) onDone(parsed.data);
+        break;
+      case 'error':
+        if (onError) onError(parsed.data);
+        break;
+      default:
+        console.log('Ignoring unknown stream event:', parsed.event);
+      }
+    }
+  }
+}
+
+// ES6 Module exports
+export {
+  streamChat
+};
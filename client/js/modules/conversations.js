@@ -0,0 +1,339 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT license.
+// ----------------------------------------------------------------------------
+
+/**
+ * Conversations Module
+ * Keeps the chat in a server-side conversation and lists the saved conversations
+ * in the sidebar, where they can be opened, renamed and deleted. Opening a
+ * conversation shows its messages (through the 'conversation-loaded' event) and
+ * puts back the chart it produced.
+ */
+
+// ES6 Module imports
+import { logError } from './utilities.js';
+import { getChartState, restoreConversationChart } from './chart-operations.js';
+
+// Conversation the chat adds to; null for a new chat until its first message
+let currentConversationId = null;
+
+// Conversation being opened; a slower earlier open is dropped when another one starts
+let openingConversationId = null;
+
+// The sidebar is locked while the report loads or a response is on its way
+let conversationsEnabled = false;
+
+// The open conversation is reopened after a page reload
+const STORAGE_KEY = 'chartchat-conversation-id';
+
+/**
+ * Call the conversations API
+ * @param {string} [path] - Path after /conversations ('', '/<id>' or '/<id>/messages')
+ * @param {Object} [options] - fetch options (method, body)
+ * @returns {Promise<Object|null>} Response JSON, null for an empty response
+ */
+async function requestConversations(path = '', options = {}) {
+  const response = await fetch(`/conversations${path}`, {
+    headers: { 'Content-Type': 'application/json' },
+    ...options
+  });
+  if (response.status === 204) {
+    return null;
+  }
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Make a conversation the one the chat adds to
+ * @param {string|null} id - Conversation ID, null for a new chat
+ */
+function setCurrentConversation(id) {
+  currentConversationId = id;
+  if (id) {
+    localStorage.setItem(STORAGE_KEY, id);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
+
+/**
+ * Get the conversation the chat adds to
+ * @returns {string|null} Conversation ID, null for a new chat
+ */
+function getCurrentConversationId() {
+  return currentConversationId;
+}
+
+/**
+ * Enable or disable the sidebar buttons
+ */
+function updateConversationControls() {
+  document.querySelectorAll('#conversation-sidebar button').forEach(button => {
+    button.disabled = !conversationsEnabled;
+  });
+}
+
+/**
+ * Lock the sidebar while the report loads or a response is on its way
+ * @param {boolean} enabled - Whether conversations can be opened, renamed and deleted
+ */
+function setConversationsEnabled(enabled) {
+  conversationsEnabled = enabled;
+  updateConversationControls();
+}
+
+/**
+ * Show the saved conversations in the sidebar
+ * @param {Array<Object>} conversations - Summaries from GET /conversations, most recent first
+ */
+function renderConversationList(conversations) {
+  const list = document.getElementById('conversation-list');
+  if (!list) {
+    return;
+  }
+
+  list.innerHTML = '';
+  if (conversations.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'conversation-empty';
+    empty.textContent = 'No saved chats yet';
+    list.appendChild(empty);
+  }
+
+  conversations.forEach(conversation => {
+    const item = document.createElement('li');
+    item.className = `conversation-item${conversation.id === currentConversationId ? ' active' : ''}`;
+
+    const title = document.createElement('button');
+    title.type = 'button';
+    title.className = 'conversation-title';
+    title.textContent = conversation.title || 'New chat';
+    title.title = `${conversation.title || 'New chat'} (${conversation.messageCount} messages)`;
+    title.addEventListener('click', () => openConversation(conversation.id));
+
+    const rename = document.createElement('button');
+    rename.type = 'button';
+    rename.className = 'conversation-action';
+    rename.title = 'Rename chat';
+    rename.innerHTML = '&#9998;';
+    rename.addEventListener('click', () => renameConversation(conversation));
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'conversation-action';
+    remove.title = 'Delete chat';
+    remove.innerHTML = '&times;';
+    remove.addEventListener('click', () => deleteConversation(conversation));
+
+    item.append(title, rename, remove);
+    list.appendChild(item);
+  });
+
+  updateConversationControls();
+}
+
+/**
+ * Reload the conversation list
+ */
+async function refreshConversationList() {
+  try {
+    const { conversations } = await requestConversations();
+    renderConversationList(conversations);
+  } catch (error) {
+    logError(error, 'Conversation List');
+  }
+}
+
+/**
+ * Open a saved conversation: show its messages and put back its chart
+ * When another conversation is opened (or a new chat started) before this one has
+ * loaded, this one is dropped.
+ * @param {string} id - Conversation ID
+ * @returns {Promise<boolean>} True when the conversation was opened
+ */
+async function openConversation(id) {
+  openingConversationId = id;
+  try {
+    const conversation = await requestConversations(`/${encodeURIComponent(id)}`);
+    if (openingConversationId !== id) {
+      return false;
+    }
+    openingConversationId = null;
+    setCurrentConversation(conversation.id);
+    console.log('Conversation opened:', conversation.title || conversation.id);
+    window.dispatchEvent(new CustomEvent('conversation-loaded', { detail: { conversation } }));
+    await restoreConversationChart(conversation.chartState, () => currentConversationId === conversation.id);
+    return true;
+  } catch (error) {
+    logError(error, 'Open Conversation');
+    window.dispatchEvent(new CustomEvent('chart-error', {
+      detail: { message: `Error: Could not open the conversation: ${error.message}` }
+    }));
+    return false;
+  } finally {
+    refreshConversationList();
+  }
+}
+
+/**
+ * Start a new chat; it is saved as a conversation with its first message
+ */
+async function startNewConversation() {
+  openingConversationId = null;
+  setCurrentConversation(null);
+  window.dispatchEvent(new CustomEvent('conversation-loaded', { detail: { conversation: null } }));
+  await restoreConversationChart(null, () => currentConversationId === null);
+  refreshConversationList();
+}
+
+/**
+ * Rename a conversation
+ * @param {Object} conversation - Conversation summary
+ */
+async function renameConversation(conversation) {
+  const title = window.prompt('Rename chat', conversation.title || '');
+  if (title === null || title.trim() === '') {
+    return;
+  }
+  try {
+    await requestConversations(`/${encodeURIComponent(conversation.id)}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ title: title.trim() })
+    });
+  } catch (error) {
+    logError(error, 'Rename Conversation');
+  }
+  refreshConversationList();
+}
+
+/**
+ * Delete a conversation; deleting the open one starts a new chat
+ * @param {Object} conversation - Conversation summary
+ */
+async function deleteConversation(conversation) {
+  if (!window.confirm(`Delete "${conversation.title || 'New chat'}"?`)) {
+    return;
+  }
+  try {
+    await requestConversations(`/${encodeURIComponent(conversation.id)}`, { method: 'DELETE' });
+  } catch (error) {
+    logError(error, 'Delete Conversation');
+  }
+  if (conversation.id === currentConversationId) {
+    await startNewConversation();
+  } else {
+    refreshConversationList();
+  }
+}
+
+/**
+ * Get the conversation for the next message, creating it for a new chat
+ * When it cannot be created the chat goes on without being saved.
+ * @returns {Promise<string|null>} Conversation ID, null when none could be created
+ */
+async function ensureConversation() {
+  if (currentConversationId) {
+    return currentConversationId;
+  }
+  try {
+    const conversation = await requestConversations('', { method: 'POST', body: JSON.stringify({}) });
+    setCurrentConversation(conversation.id);
+    return conversation.id;
+  } catch (error) {
+    logError(error, 'Create Conversation');
+    return null;
+  }
+}
+
+/**
+ * Save the chart the open conversation produced, then refresh the list
+ * (a new conversation is named after its first message)
+ * @param {string|null} [conversationId] - Conversation the chart change was made for (default: the open one);
+ *        nothing is saved once another conversation is open, because the chart on the page is no longer its chart
+ */
+async function saveConversationChart(conversationId = currentConversationId) {
+  if (!conversationId || conversationId !== currentConversationId) {
+    return;
+  }
+  try {
+    const chartState = await getChartState();
+    if (chartState) {
+      await requestConversations(`/${encodeURIComponent(conversationId)}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ chartState })
+      });
+    }
+  } catch (error) {
+    logError(error, 'Save Conversation Chart');
+  }
+  refreshConversationList();
+}
+
+/**
+ * Add messages to the open conversation that no chat request carried
+ * (the field the user picked from the suggestions)
+ * @param {Array<Object>} messages - { role: 'user'|'assistant', content }
+ */
+async function addConversationMessages(messages) {
+  if (!currentConversationId) {
+    return;
+  }
+  try {
+    await requestConversations(`/${encodeURIComponent(currentConversationId)}/messages`, {
+      method: 'POST',
+      body: JSON.stringify({ messages })
+    });
+  } catch (error) {
+    logError(error, 'Add Conversation Messages');
+  }
+}
+
+/**
+ * Initialize the conversation sidebar
+ * The conversation open before a reload is reopened once the report is ready,
+ * so its chart can be put back.
+ */
+function initializeConversations() {
+  const newButton = document.getElementById('new-conversation-button');
+  if (newButton) newButton.addEventListener('click', () => startNewConversation());
+
+  const toggleButton = document.getElementById('conversations-toggle');
+  const sidebar = document.getElementById('conversation-sidebar');
+  if (toggleButton && sidebar) {
+    toggleButton.addEventListener('click', () => sidebar.classList.toggle('collapsed'));
+  }
+
+  const savedId = localStorage.getItem(STORAGE_KEY);
+  const reopenSaved = async function(event) {
+    if (!event.detail.enableChat) {
+      return;
+    }
+    window.removeEventListener('powerbi-chat-state', reopenSaved);
+    if (savedId && !currentConversationId && !(await openConversation(savedId)) && !currentConversationId) {
+      // The conversation was deleted elsewhere; start a new chat
+      setCurrentConversation(null);
+    }
+  };
+  window.addEventListener('powerbi-chat-state', reopenSaved);
+
+  refreshConversationList();
+  console.log('Conversations initialized');
+}
+
+// ES6 Module exports
+export {
+  initializeConversations,
+  getCurrentConversationId,
+  setConversationsEnabled,
+  ensureConversation,
+  saveConversationChart,
+  addConversationMessages,
+  openConversation,
+  startNewConversation,
+  refreshConversationList
+};
@@ -0,0 +1,137 @@
+// ----------------------------------------------------------------------------
+// Copyright (c) Microsoft Corporation.
+// Licensed under the MIT license.
+// ----------------------------------------------------------------------------
+
+/**
+ * Page Operations Module
+ * Lists the report pages for the chat and applies the pageAction of an AI response
+ * (add, switch, rename or delete a page) with the report page APIs
+ */
+
+// ES6 Module imports
+import { logError } from './utilities.js';
+import { getReport, getReportLoadState } from './powerbi-core.js';
+import { followActivePage } from './chart-operations.js';
+
+/**
+ * List the report pages for the chat request
+ * @returns {Promise<Array<Object>>} { index, name, displayName, active } per page in tab order,
+ *          empty when the report is not ready
+ */
+async function getReportPages() {
+  try {
+    const report = getReport();
+    if (!report || !getReportLoadState()?.rendered) {
+      return [];
+    }
+
+    const pages = await report.getPages();
+    return pages.map((page, position) => ({
+      index: position + 1,
+      name: page.name,
+      displayName: page.displayName,
+      active: Boolean(page.isActive)
+    }));
+  } catch (error) {
+    console.error('Error listing report pages:', error);
+    return [];
+  }
+}
+
+/**
+ * Find the page a pageAction refers to
+ * The server resolves the page against the list the chat sent, so its internal name
+ * is tried first; the position and display name cover pages added since.
+ * @param {Array<Object>} pages - Power BI page objects
+ * @param {Object} reference - Validated pageAction.page ({ index, name, displayName })
+ * @returns {Object|null} Power BI page or null if not found
+ */
+function findPage(pages, reference) {
+  const displayName = (reference.displayName || '').toLowerCase();
+  return pages.find(page => reference.name && page.name === reference.name) ||
+    pages.find(page => displayName && (page.displayName || '').toLowerCase() === displayName) ||
+    (reference.index ? pages[reference.index - 1] : null) ||
+    null;
+}
+
+/**
+ * Open a page and let the chat follow it
+ * @param {Object} page - Power BI page object
+ */
+async function openPage(page) {
+  await page.setActive();
+  await followActivePage(page);
+}
+
+/**
+ * Apply a pageAction from the AI response
+ * Runs before the chartAction of the same response, so a chart lands on the page that was opened.
+ * @param {Object} pageAction - Validated pageAction ({ action, page?, name? })
+ * @returns {Promise<boolean>} True when the pages were changed; false after an error (already reported)
+ */
+async function applyPageFromAI(pageAction) {
+  try {
+    console.log('Applying page action:', pageAction);
+
+    const report = getReport();
+    if (!report) {
+      throw new Error('No report instance available');
+    }
+
+    const pages = await report.getPages();
+    const activePage = pages.find(page => page.isActive) || pages[0];
+    const page = pageAction.page ? findPage(pages, pageAction.page) : activePage;
+    if (!page) {
+      throw new Error(`Could not find page ${pageAction.page.displayName ? `"${pageAction.page.displayName}"` : pageAction.page.index}`);
+    }
+
+    switch (pageAction.action) {
+    case 'add': {
+      const newPage = await report.addPage(pageAction.name);
+      await openPage(newPage);
+      console.log('Page added:', newPage.displayName);
+      break;
+    }
+    case 'switch':
+      await openPage(page);
+      console.log('Page opened:', page.displayName);
+      break;
+    case 'rename': {
+      const previousName = page.displayName;
+      await page.setDisplayName(pageAction.name);
+      console.log(`Page renamed from "${previousName}" to "${pageAction.name}"`);
+      break;
+    }
+    case 'delete': {
+      if (pages.length === 1) {
+        throw new Error('The report needs at least one page');
+      }
+      // The open page cannot be deleted; open its neighbour first
+      if (page.name === activePage.name) {
+        const position = pages.indexOf(page);
+        await openPage(pages[position + 1] || pages[position - 1]);
+      }
+      await report.deletePage(page.name);
+      console.log('Page deleted:', page.displayName);
+      break;
+    }
+    default:
+      throw new Error(`Unknown page action "${pageAction.action}"`);
+    }
+    return true;
+
+  } catch (error) {
+    logError(error, 'Page Action from AI');
+    window.dispatchEvent(new CustomEvent('chart-error', {
+      detail: { message: `Error changing pages: ${error.message}` }
+    }));
+    return false;
+  }
+}
+
+// ES6 Module exports
+export {
+  getReportPages,
+  applyPageFromAI
+};
@@ -247,7 +247,7 @@ function setupReportEventHandlers() {
     // Automatically create a default visual when report loads
     try {
       await createDefaultVisual();
-      console.log('Default visual created successfully on report load');
+      console.log('Default visual ready on report load');
     } catch (error) {
       console.error('Error creating default visual on report load:', error);
       logError(error, 'Auto-Create Default Visual');
@@ -294,10 +294,28 @@ function setupReportEventHandlers() {
     showEmbedError(`Error occurred while embedding the report: ${errorMsg}`);
   });
 
-  // Handle visual selection for editing
+  // Handle visual selection for editing: the chat edits the clicked chart
   report.on('visualClicked', function (event) {
     console.log('Visual clicked:', event);
-    // Future: Could add visual selection handling
+    const visual = event.detail && event.detail.visual;
+    if (visual) {
+      window.dispatchEvent(new CustomEvent('powerbi-visual-clicked', {
+        detail: { visualName: visual.name, title: visual.title, type: visual.type }
+      }));
+    }
+  });
+
+  // Clear any other page changed handler events
+  report.off('pageChanged');
+
+  // Handle page changes (page tabs or the chat): the chat follows the open page
+  report.on('pageChanged', function (event) {
+    const page = event.detail && event.detail.newPage;
+    if (page) {
+      window.dispatchEvent(new CustomEvent('powerbi-page-changed', {
+        detail: { pageName: page.name, displayName: page.displayName }
+      }));
+    }
   });
 
   // Handle when a visual is rendered
@@ -444,7 +462,8 @@ async function getActivePage() {
 
 /**
  * Create a default visual on the active page
- * @returns {Promise<Object>} Promise that resolves to the created visual response
+ * A page that already has visuals is left as it is; the chat adds visuals to it.
+ * @returns {Promise<Object|null>} Promise that resolves to the created visual response, or null when none was needed
  */
 async function createDefaultVisual() {
   try {
@@ -460,6 +479,12 @@ async function createDefaultVisual() {
       throw new Error('No active page found');
     }
 
+    const existingVisuals = await activePage.getVisuals();
+    if (existingVisuals.length > 0) {
+      console.log(`Active page already has ${existingVisuals.length} visuals - no default visual needed`);
+      return null;
+    }
+
     // Create a simple line chart visual with layout (based on showcase pattern)
     const customLayout = {
       width: 1242,
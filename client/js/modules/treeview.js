@@ -193,10 +193,16 @@ function createColumnElement(column) {
     }
   }
 
+  // Glossary synonyms, shown next to the name and in the tooltip
+  const synonyms = Array.isArray(column.synonyms) ? column.synonyms.join(', ') : '';
+  const synonymsTitle = synonyms ? ` title="Also called: ${synonyms}"` : '';
+  const synonymsHtml = synonyms ? `<span class="tree-column-synonyms">${synonyms}</span>` : '';
+
   return `
-            <div class="tree-column${column.isMeasure ? ' tree-measure' : ''}" data-column-name="${column.name}" data-action="column-click" data-column-name="${column.name}" data-column-type="${displayType}">
+            <div class="tree-column${column.isMeasure ? ' tree-measure' : ''}" data-column-name="${column.name}" data-action="column-click" data-column-name="${column.name}" data-column-type="${displayType}"${synonymsTitle}>
                 <span class="tree-column-icon">${iconText}</span>
                 <span class="tree-column-name">${column.name}</span>
+                ${synonymsHtml}
                 <span class="tree-column-type">${displayType}</span>
             </div>
         `;
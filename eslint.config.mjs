@@ -19,6 +19,9 @@ export default [
         require: 'readonly',
         exports: 'readonly',
         global: 'readonly',
+        setTimeout: 'readonly',
+        clearTimeout: 'readonly',
+        AbortController: 'readonly',
         // Jest globals
         describe: 'readonly',
         it: 'readonly',
@@ -1,30 +1,98 @@
 import React, { useState, useEffect, useRef } from 'react'
-import { updateChartFromAI, getCurrentChartConfig } from '../services/chartOperationsService'
+import {
+  updateChartFromAI,
+  applyFormatFromAI,
+  applyHistoryFromAI,
+  undoChartChange,
+  redoChartChange,
+  getChartHistoryState,
+  getChartState,
+  restoreConversationChart,
+  getCurrentChartConfig,
+  getPageVisuals
+} from '../services/chartOperationsService'
+import { getReportPages, applyPageFromAI } from '../services/pageOperationsService'
+import { streamChat } from '../services/chatStreamService'
+import {
+  listConversations,
+  getConversation,
+  createConversation,
+  renameConversation,
+  saveConversationChart,
+  addConversationMessages,
+  deleteConversation
+} from '../services/conversationService'
+import ConversationSidebar from './ConversationSidebar'
 import './ChatPanel.css'
 
-const ChatPanel = () => {
-  const [messages, setMessages] = useState([
-    {
-      id: 1,
-      content: "Hi! I'm your Chart Chat agent. I can help you with your Power BI charts. Ask me about what fields are available or you can ask me to make a chart like \"Show me Sales by Month\" or \"Show me Units by District\".",
-      isUser: false,
-      timestamp: Date.now()
+// Upper bound on stored history messages; the server trims to its token budget
+const MAX_HISTORY_MESSAGES = 50
+
+// The open conversation is reopened after a page reload
+const CONVERSATION_STORAGE_KEY = 'chartchat-conversation-id'
+
+const WELCOME_MESSAGE = {
+  id: 1,
+  content: "Hi! I'm your Chart Chat agent. I can help you with your Power BI charts. Ask me about what fields are available or you can ask me to make a chart like \"Show me Sales by Month\" or \"Show me Units by District\".",
+  isUser: false,
+  timestamp: Date.now()
+}
+
+/**
+ * Apply the actions of an AI response in order: undo/redo, page change, chart, formatting
+ * A failed undo or page change stops the rest, which would land on the wrong chart or page.
+ * A chartAction Power BI rejects goes to correctChart(chartAction, failure), which resolves
+ * to true once a fixed chart was applied.
+ */
+const applyResponseActions = async ({ historyAction, pageAction, chartAction, formatAction }, correctChart) => {
+  if (historyAction && !(await applyHistoryFromAI(historyAction))) return
+  if (pageAction && !(await applyPageFromAI(pageAction))) return
+
+  let recorded = false
+  if (chartAction) {
+    console.log('=== PROCESSING CHART ACTION ===')
+    console.log('Chart action received:', chartAction)
+    console.log('===============================')
+    let failure = null
+    recorded = await updateChartFromAI(chartAction, { onFailure: (result) => { failure = result } })
+    if (failure) {
+      recorded = await correctChart(chartAction, failure)
     }
-  ])
+  }
+  // Formatting follows once the fields are in place; a recorded chart change already covers it for undo
+  if (formatAction) {
+    await applyFormatFromAI(formatAction, { recordHistory: !recorded })
+  }
+}
+
+const ChatPanel = () => {
+  const [messages, setMessages] = useState([WELCOME_MESSAGE])
   const [inputValue, setInputValue] = useState('')
   const [isInputDisabled, setIsInputDisabled] = useState(true)
   const [placeholder, setPlaceholder] = useState('Loading report... Please wait.')
   const [isThinking, setIsThinking] = useState(false)
   const [thinkingText, setThinkingText] = useState('Thinking.')
+  // Response text received so far while a reply is streaming (null when idle)
+  const [streamingText, setStreamingText] = useState(null)
+  // Chart changes that can be undone and redone
+  const [changeHistory, setChangeHistory] = useState(getChartHistoryState())
+  // Saved conversations; the open one is null for a new chat until its first message
+  const [conversations, setConversations] = useState([])
+  const [conversationId, setConversationId] = useState(null)
+  const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(true)
   
   const messagesEndRef = useRef(null)
   const textareaRef = useRef(null)
   const chatHistoryRef = useRef([])
+  // Read by event handlers registered once, which would otherwise see the first render's state
+  const conversationIdRef = useRef(null)
+  // Conversation being opened; a slower earlier open is dropped when another one starts
+  const openingConversationIdRef = useRef(null)
 
   // Auto-scroll to bottom when new messages are added
   useEffect(() => {
     scrollToBottom()
-  }, [messages])
+  }, [messages, streamingText])
 
   // Handle thinking animation
   useEffect(() => {
@@ -78,6 +146,57 @@ const ChatPanel = () => {
     }
   }, [])
 
+  // Undo and redo chart changes: header buttons follow the history, Ctrl+Z / Ctrl+Y step through it
+  useEffect(() => {
+    const handleHistoryChanged = (event) => {
+      setChangeHistory(event.detail)
+    }
+
+    // Text fields keep their own undo
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || ['INPUT', 'TEXTAREA'].includes(event.target.tagName)) {
+        return
+      }
+      const key = event.key.toLowerCase()
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault()
+        stepChartHistory(undoChartChange)
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault()
+        stepChartHistory(redoChartChange)
+      }
+    }
+
+    window.addEventListener('chart-history-changed', handleHistoryChanged)
+    document.addEventListener('keydown', handleKeyDown)
+
+    return () => {
+      window.removeEventListener('chart-history-changed', handleHistoryChanged)
+      document.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [])
+
+  // List the saved conversations; the one open before a reload is reopened once the
+  // report is ready, so its chart can be put back
+  useEffect(() => {
+    refreshConversations()
+
+    const savedId = localStorage.getItem(CONVERSATION_STORAGE_KEY)
+    const handleReportReady = async (event) => {
+      if (!event.detail.enableChat) return
+      window.removeEventListener('powerbi-chat-state', handleReportReady)
+      if (savedId && !conversationIdRef.current && !(await openConversation(savedId)) && !conversationIdRef.current) {
+        // The conversation was deleted elsewhere; start a new chat
+        selectConversation(null)
+      }
+    }
+
+    window.addEventListener('powerbi-chat-state', handleReportReady)
+    return () => {
+      window.removeEventListener('powerbi-chat-state', handleReportReady)
+    }
+  }, [])
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }
@@ -96,12 +215,13 @@ const ChatPanel = () => {
     setPlaceholder(message)
   }
 
-  const addMessage = (content, isUser = false) => {
+  const addMessage = (content, isUser = false, details = {}) => {
     const newMessage = {
       id: Date.now() + Math.random(),
       content,
       isUser,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      ...details
     }
     
     setMessages(prev => [...prev, newMessage])
@@ -113,8 +233,8 @@ const ChatPanel = () => {
         content: content.trim()
       })
       
-      // Keep only the last 4 messages
-      if (chatHistoryRef.current.length > 4) {
+      // Keep only the most recent messages
+      if (chatHistoryRef.current.length > MAX_HISTORY_MESSAGES) {
         chatHistoryRef.current.shift()
       }
       
@@ -124,6 +244,235 @@ const ChatPanel = () => {
     return newMessage
   }
 
+  // Show server-side validation warnings as notes (not added to chat history)
+  const addWarningNotes = (warnings) => {
+    if (!Array.isArray(warnings) || warnings.length === 0) return
+    
+    const notes = warnings.map(warning => ({
+      id: Date.now() + Math.random(),
+      content: `Note: ${warning}`,
+      isUser: false,
+      isNote: true,
+      timestamp: Date.now()
+    }))
+    setMessages(prev => [...prev, ...notes])
+  }
+
+  // Offer the candidates for an ambiguous field as buttons (not added to chat history)
+  const addFieldSuggestions = (suggestions) => {
+    if (!Array.isArray(suggestions) || suggestions.length === 0) return
+
+    setMessages(prev => [...prev, {
+      id: Date.now() + Math.random(),
+      suggestions,
+      selected: null,
+      isUser: false,
+      timestamp: Date.now()
+    }])
+  }
+
+  // Make a conversation the one the chat adds to (null for a new chat)
+  const selectConversation = (id) => {
+    conversationIdRef.current = id
+    setConversationId(id)
+    if (id) {
+      localStorage.setItem(CONVERSATION_STORAGE_KEY, id)
+    } else {
+      localStorage.removeItem(CONVERSATION_STORAGE_KEY)
+    }
+  }
+
+  const refreshConversations = async () => {
+    try {
+      setConversations(await listConversations())
+    } catch (error) {
+      console.error('Conversation List Error:', error)
+    }
+  }
+
+  // Show the messages of a conversation (none for a new chat); the history sent to the server starts over
+  const showConversation = (conversation) => {
+    const stored = conversation ? conversation.messages : []
+    setMessages([WELCOME_MESSAGE, ...stored.map((message, position) => ({
+      id: `${conversation.id}-${position}`,
+      content: message.content,
+      isUser: message.role === 'user',
+      timestamp: Date.parse(message.timestamp) || Date.now()
+    }))])
+    chatHistoryRef.current = stored
+      .slice(-MAX_HISTORY_MESSAGES)
+      .map(({ role, content }) => ({ role, content }))
+  }
+
+  // Open a saved conversation: show its messages and put back its chart; resolves to true once opened
+  // (false when another conversation was opened or a new chat started before this one loaded)
+  const openConversation = async (id) => {
+    openingConversationIdRef.current = id
+    try {
+      const conversation = await getConversation(id)
+      if (openingConversationIdRef.current !== id) {
+        return false
+      }
+      openingConversationIdRef.current = null
+      selectConversation(conversation.id)
+      console.log('Conversation opened:', conversation.title || conversation.id)
+      showConversation(conversation)
+      await restoreConversationChart(conversation.chartState, () => conversationIdRef.current === conversation.id)
+      return true
+    } catch (error) {
+      console.error('Open Conversation Error:', error)
+      addMessage(`Error: Could not open the conversation: ${error.message}`, false)
+      return false
+    } finally {
+      refreshConversations()
+    }
+  }
+
+  // Start a new chat; it is saved as a conversation with its first message
+  const startNewConversation = async () => {
+    openingConversationIdRef.current = null
+    selectConversation(null)
+    showConversation(null)
+    await restoreConversationChart(null, () => conversationIdRef.current === null)
+    refreshConversations()
+  }
+
+  const handleRenameConversation = async (conversation) => {
+    const title = window.prompt('Rename chat', conversation.title || '')
+    if (title === null || title.trim() === '') return
+    try {
+      await renameConversation(conversation.id, title.trim())
+    } catch (error) {
+      console.error('Rename Conversation Error:', error)
+    }
+    refreshConversations()
+  }
+
+  // Deleting the open conversation starts a new chat
+  const handleDeleteConversation = async (conversation) => {
+    if (!window.confirm(`Delete "${conversation.title || 'New chat'}"?`)) return
+    try {
+      await deleteConversation(conversation.id)
+    } catch (error) {
+      console.error('Delete Conversation Error:', error)
+    }
+    if (conversation.id === conversationIdRef.current) {
+      await startNewConversation()
+    } else {
+      refreshConversations()
+    }
+  }
+
+  // The conversation for the next message, created for a new chat; null when it cannot be
+  // created, and the chat goes on without being saved
+  const ensureConversation = async () => {
+    if (conversationIdRef.current) {
+      return conversationIdRef.current
+    }
+    try {
+      const conversation = await createConversation()
+      selectConversation(conversation.id)
+      return conversation.id
+    } catch (error) {
+      console.error('Create Conversation Error:', error)
+      return null
+    }
+  }
+
+  // Save the chart a conversation produced (default: the open one), then refresh the list (a new
+  // conversation is named after its first message). Nothing is saved once another conversation
+  // is open, because the chart on the page is no longer its chart
+  const saveChart = async (id = conversationIdRef.current) => {
+    if (!id || id !== conversationIdRef.current) return
+    try {
+      const chartState = await getChartState()
+      if (chartState) {
+        await saveConversationChart(id, chartState)
+      }
+    } catch (error) {
+      console.error('Save Conversation Chart Error:', error)
+    }
+    refreshConversations()
+  }
+
+  // Undo or redo a chart change (undoChartChange or redoChartChange) and keep the result in the conversation
+  const stepChartHistory = async (step) => {
+    if (await step()) {
+      await saveChart()
+    }
+  }
+
+  // Ask the server to fix a chartAction Power BI rejected, then apply the fix; a fix Power BI
+  // rejects as well goes back again until the server has used up its attempts and asks the user
+  const correctChartAction = async (message, chartAction, failure, conversationId) => {
+    let rejected = chartAction
+    let step = failure.step
+    let error = failure.error
+    try {
+      for (let attempt = 1; ; attempt++) {
+        addWarningNotes([`Power BI could not apply the chart while ${step} (${error}). Asking for a fix...`])
+        const response = await fetch('/chat/correct', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            message,
+            chartAction: rejected,
+            error,
+            attempt,
+            currentChart: getCurrentChartConfig(),
+            chatHistory: chatHistoryRef.current,
+            pageVisuals: await getPageVisuals(),
+            reportPages: await getReportPages(),
+            conversationId
+          })
+        })
+        const data = await response.json()
+        if (!response.ok) {
+          console.error(`Correction failed: ${data.error}. Details: ${data.details || 'No details'}`)
+          addMessage(`Error: ${data.error}`, false)
+          return false
+        }
+
+        console.log(`Correction ${attempt} of ${data.maxAttempts}:`, data.chartAction)
+        if (data.chatResponse) {
+          addMessage(data.chatResponse, false)
+        }
+        addWarningNotes(data.warnings)
+        addFieldSuggestions(data.suggestions)
+        if (!data.chartAction) {
+          return false
+        }
+
+        let nextFailure = null
+        await updateChartFromAI(data.chartAction, { onFailure: (result) => { nextFailure = result } })
+        if (!nextFailure) {
+          return true
+        }
+        rejected = data.chartAction
+        step = nextFailure.step
+        error = nextFailure.error
+      }
+    } catch (correctionError) {
+      console.error('Chart Correction Error:', correctionError)
+      addMessage('Sorry, the chart could not be fixed. Please try again.', false)
+      return false
+    }
+  }
+
+  // Apply the chosen suggestion and record the choice in the chat history
+  const handleSuggestionClick = (messageId, suggestion) => {
+    setMessages(prev => prev.map(message =>
+      message.id === messageId ? { ...message, selected: suggestion.label } : message
+    ))
+    addMessage(`Use ${suggestion.label}`, true)
+    const conversationId = conversationIdRef.current
+    if (conversationId) {
+      addConversationMessages(conversationId, [{ role: 'user', content: `Use ${suggestion.label}` }])
+        .catch(error => console.error('Add Conversation Messages Error:', error))
+    }
+    updateChartFromAI(suggestion.chartAction).then(() => saveChart(conversationId))
+  }
+
   const autoResizeTextarea = (textarea) => {
     textarea.style.height = 'auto'
     textarea.style.height = Math.min(textarea.scrollHeight, 100) + 'px'
@@ -163,78 +512,121 @@ const ChatPanel = () => {
     setIsThinking(true)
     
     try {
+      // The charts on the page let the AI target "the second chart" or add a chart next to them
+      const pageVisuals = await getPageVisuals()
+      // The pages let the AI open, add, rename or delete them by name or number
+      const reportPages = await getReportPages()
+      // The server keeps the chat in a conversation so it survives a reload
+      const conversationId = await ensureConversation()
+
       console.log('=== FRONTEND REQUEST ===')
       console.log('User message:', message)
+      console.log('Page visuals:', pageVisuals)
+      console.log('Report pages:', reportPages)
       console.log('Chat history:', chatHistoryRef.current)
       console.log('========================')
       
-      const response = await fetch('/chat', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
+      // Stream the response; the thinking indicator is replaced by the first tokens
+      let chartAction = null
+      let formatAction = null
+      let pageAction = null
+      let historyAction = null
+      // Chart changes of the response and the save of the resulting chart, awaited before the input is enabled again
+      let responseApplied = null
+
+      await streamChat({ 
+        message: message,
+        currentChart: getCurrentChartConfig(), // Get current chart config from service
+        chatHistory: chatHistoryRef.current,
+        pageVisuals,
+        reportPages,
+        // The undo/redo counts let the AI answer "go back to the previous chart"
+        changeHistory: getChartHistoryState(),
+        conversationId
+      }, {
+        onToken: (text) => {
+          setIsThinking(false)
+          setStreamingText(prev => (prev || '') + text)
         },
-        body: JSON.stringify({ 
-          message: message,
-          currentChart: getCurrentChartConfig(), // Get current chart config from service
-          chatHistory: chatHistoryRef.current
-        })
+        onChartAction: (action) => {
+          chartAction = action
+        },
+        onFormatAction: (action) => {
+          formatAction = action
+        },
+        onPageAction: (action) => {
+          pageAction = action
+        },
+        onHistoryAction: (action) => {
+          historyAction = action
+        },
+        onDone: (data) => {
+          // The server has already parsed and validated the AI response
+          console.log('=== SERVER SUCCESS RESPONSE ===')
+          console.log('Chat Response:', data.chatResponse)
+          console.log('Chart Action:', chartAction)
+          console.log('Warnings:', data.warnings)
+          console.log('================================')
+
+          // The final text may differ from the stream if the server corrected the response
+          setIsThinking(false)
+          setStreamingText(null)
+          if (data.chatResponse) {
+            // Keep the DAX query that answered a data question for inspection
+            addMessage(data.chatResponse, false, { daxQuery: data.daxQuery || null })
+          }
+
+          // Show any automatic corrections the server made
+          addWarningNotes(data.warnings)
+
+          // Let the user pick when a field matched several schema fields
+          addFieldSuggestions(data.suggestions)
+
+          // The conversation keeps the chart the response produced
+          responseApplied = applyResponseActions(
+            { historyAction, pageAction, chartAction, formatAction },
+            (failedAction, failure) => correctChartAction(message, failedAction, failure, conversationId)
+          ).then(() => saveChart(conversationId))
+            .catch(actionsError => console.error('Chat Response Actions Error:', actionsError))
+        },
+        onError: (data) => {
+          const errorMessage = `Server error: ${data.error}. Details: ${data.details || 'No details'}`
+          console.error(errorMessage)
+          setIsThinking(false)
+          setStreamingText(null)
+          addMessage(`Error: ${data.error}`, false)
+        }
       })
-      
-      const data = await response.json()
-      
-      // Hide thinking indicator
+
+      // Re-enable input once the stream has ended and the chart changes are applied and saved
       setIsThinking(false)
-      
-      // Re-enable input
+      setStreamingText(null)
+      await responseApplied
       enableInput()
-      
-      if (data.error) {
-        const errorMessage = `Server error: ${data.error}. Details: ${data.details || 'No details'}`
-        console.error(errorMessage)
-        addMessage(`Error: ${data.error}`, false)
-      } else {
-        console.log('=== SERVER SUCCESS RESPONSE ===')
-        console.log('Raw AI response:', data.response)
-        console.log('================================')
-        
-        try {
-          const aiResponse = JSON.parse(data.response)
-          
-          console.log('=== PARSED AI RESPONSE ===')
-          console.log('Chat Response:', aiResponse.chatResponse)
-          console.log('Chart Action:', aiResponse.chartAction)
-          console.log('==========================')
-          
-          // Add chat response
-          if (aiResponse.chatResponse) {
-            addMessage(aiResponse.chatResponse, false)
-          }
-          
-          // Handle chart action
-          if (aiResponse.chartAction) {
-            console.log('=== PROCESSING CHART ACTION ===')
-            console.log('Chart action received:', aiResponse.chartAction)
-            console.log('===============================')
-            // Integrate with chart operations service
-            updateChartFromAI(aiResponse.chartAction)
-          }
-          
-        } catch (parseError) {
-          console.log('Non-JSON response received, treating as text')
-          addMessage(data.response, false)
-        }
-      }
     } catch (error) {
       console.error('Chat Request Error:', error)
       setIsThinking(false)
+      setStreamingText(null)
       enableInput()
       addMessage('Sorry, I encountered an error. Please try again.', false)
     }
   }
 
+  // Render a markdown pipe table (data question results) as an HTML table
+  const renderTable = (block) => {
+    const rows = block.trim().split('\n')
+      .filter(line => !/^\|[\s|:-]+\|$/.test(line.trim()))
+      .map(line => line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|')))
+    const [header, ...body] = rows
+    return '<table><thead><tr>' + header.map(cell => `<th>${cell}</th>`).join('') + '</tr></thead><tbody>' +
+      body.map(row => '<tr>' + row.map(cell => `<td>${cell}</td>`).join('') + '</tr>').join('') + '</tbody></table>'
+  }
+
   // Parse markdown for assistant messages (enhanced implementation)
   const parseMarkdown = (text) => {
     return text
+      // Tables
+      .replace(/(?:^\|.*\|[ \t]*(?:\n|$))+/gm, renderTable)
       // Headers
       .replace(/^### (.*$)/gim, '<h3>$1</h3>')
       .replace(/^## (.*$)/gim, '<h2>$1</h2>')
@@ -257,40 +649,115 @@ const ChatPanel = () => {
   return (
     <div className="chat-panel">
       <div className="chat-header">
-        Power BI Embedded Chart Chat Agent
+        <button
+          type="button"
+          className="conversations-toggle"
+          title="Show or hide saved chats"
+          onClick={() => setIsSidebarCollapsed(collapsed => !collapsed)}
+        >
+          &#9776;
+        </button>
+        <span className="chat-title">Power BI Embedded Chart Chat Agent</span>
+        <div className="history-buttons">
+          <button
+            type="button"
+            className="history-button"
+            title="Undo chart change (Ctrl+Z)"
+            disabled={changeHistory.undo === 0}
+            onClick={() => stepChartHistory(undoChartChange)}
+          >
+            &#8630; Undo
+          </button>
+          <button
+            type="button"
+            className="history-button"
+            title="Redo chart change (Ctrl+Y)"
+            disabled={changeHistory.redo === 0}
+            onClick={() => stepChartHistory(redoChartChange)}
+          >
+            Redo &#8631;
+          </button>
+        </div>
       </div>
       
-      <div className="chat-messages">
-        {messages.map((message) => (
-          <div key={message.id} className={`message ${message.isUser ? 'user' : 'assistant'}`}>
-            {message.isUser ? (
-              message.content
+      <div className="chat-body">
+        {!isSidebarCollapsed && (
+          <ConversationSidebar
+            conversations={conversations}
+            currentId={conversationId}
+            disabled={isInputDisabled}
+            onNew={startNewConversation}
+            onOpen={openConversation}
+            onRename={handleRenameConversation}
+            onDelete={handleDeleteConversation}
+          />
+        )}
+        <div className="chat-main">
+          <div className="chat-messages">
+            {messages.map((message) => message.suggestions ? (
+              <div key={message.id} className="message suggestions">
+                <div className="suggestions-prompt">Did you mean:</div>
+                {message.suggestions.map(suggestion => (
+                  <button
+                    key={suggestion.label}
+                    type="button"
+                    className={`suggestion-button ${message.selected === suggestion.label ? 'selected' : ''}`}
+                    disabled={message.selected !== null}
+                    onClick={() => handleSuggestionClick(message.id, suggestion)}
+                  >
+                    {suggestion.label}
+                  </button>
+                ))}
+              </div>
             ) : (
-              <div dangerouslySetInnerHTML={{ __html: parseMarkdown(message.content) }} />
+              <div key={message.id} className={`message ${message.isUser ? 'user' : message.isNote ? 'note' : 'assistant'}`}>
+                {message.isUser || message.isNote ? (
+                  message.content
+                ) : (
+                  <div dangerouslySetInnerHTML={{ __html: parseMarkdown(message.content) }} />
+                )}
+                {message.daxQuery?.query && (
+                  <details className="dax-query">
+                    <summary>
+                      {message.daxQuery.error
+                        ? 'DAX query (failed)'
+                        : `DAX query (${message.daxQuery.rowCount} row${message.daxQuery.rowCount === 1 ? '' : 's'})`}
+                    </summary>
+                    <pre>{message.daxQuery.query}</pre>
+                    {message.daxQuery.error && <div className="dax-query-error">{message.daxQuery.error}</div>}
+                  </details>
+                )}
+              </div>
+            ))}
+        
+            {streamingText !== null && (
+              <div className="message assistant">
+                <div dangerouslySetInnerHTML={{ __html: parseMarkdown(streamingText) }} />
+              </div>
             )}
-          </div>
-        ))}
         
-        {isThinking && (
-          <div className="message assistant typing">
-            {thinkingText}
-          </div>
-        )}
+            {isThinking && (
+              <div className="message assistant typing">
+                {thinkingText}
+              </div>
+            )}
         
-        <div ref={messagesEndRef} />
-      </div>
+            <div ref={messagesEndRef} />
+          </div>
       
-      <div className="chat-input-container">
-        <textarea
-          ref={textareaRef}
-          className="chat-input"
-          value={inputValue}
-          onChange={handleInputChange}
-          onKeyPress={handleKeyPress}
-          placeholder={placeholder}
-          disabled={isInputDisabled}
-          rows="1"
-        />
+          <div className="chat-input-container">
+            <textarea
+              ref={textareaRef}
+              className="chat-input"
+              value={inputValue}
+              onChange={handleInputChange}
+              onKeyPress={handleKeyPress}
+              placeholder={placeholder}
+              disabled={isInputDisabled}
+              rows="1"
+            />
+          </div>
+        </div>
       </div>
     </div>
   )
@@ -0,0 +1,63 @@
+import React from 'react'
+import './ConversationSidebar.css'
+
+/**
+ * Saved conversations next to the chat
+ * Lists the conversations (most recent first) with buttons to start a new chat and to
+ * open, rename or delete one. The chat panel owns the conversations and handles the actions.
+ */
+const ConversationSidebar = ({ conversations, currentId, disabled, onNew, onOpen, onRename, onDelete }) => {
+  return (
+    <aside className="conversation-sidebar">
+      <button
+        type="button"
+        className="new-conversation-button"
+        disabled={disabled}
+        onClick={onNew}
+      >
+        + New chat
+      </button>
+      <ul className="conversation-list">
+        {conversations.length === 0 && (
+          <li className="conversation-empty">No saved chats yet</li>
+        )}
+        {conversations.map(conversation => (
+          <li
+            key={conversation.id}
+            className={`conversation-item ${conversation.id === currentId ? 'active' : ''}`}
+          >
+            <button
+              type="button"
+              className="conversation-title"
+              title={`${conversation.title || 'New chat'} (${conversation.messageCount} messages)`}
+              disabled={disabled}
+              onClick={() => onOpen(conversation.id)}
+            >
+              {conversation.title || 'New chat'}
+            </button>
+            <button
+              type="button"
+              className="conversation-action"
+              title="Rename chat"
+              disabled={disabled}
+              onClick={() => onRename(conversation)}
+            >
+              &#9998;
+            </button>
+            <button
+              type="button"
+              className="conversation-action"
+              title="Delete chat"
+              disabled={disabled}
+              onClick={() => onDelete(conversation)}
+            >
+              &times;
+            </button>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  )
+}
+
+export default ConversationSidebar
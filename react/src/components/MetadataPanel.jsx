@@ -162,11 +162,17 @@ const MetadataPanel = ({ isCollapsed, onToggle }) => {
                           key={column.name}
                           className={`metadata-column ${column.isMeasure ? 'metadata-measure' : ''}`}
                           onClick={() => handleColumnClick(column.name, getDisplayType(column))}
+                          title={column.synonyms?.length ? `Also called: ${column.synonyms.join(', ')}` : undefined}
                         >
                           <span className="metadata-column-icon">
                             {getColumnIcon(column)}
                           </span>
                           <span className="metadata-column-name">{column.name}</span>
+                          {column.synonyms?.length > 0 && (
+                            <span className="metadata-column-synonyms">
+                              {column.synonyms.join(', ')}
+                            </span>
+                          )}
                           <span className="metadata-column-type">
                             {getDisplayType(column)}
                           </span>
@@ -5,6 +5,7 @@
 
 import { useState, useEffect, useRef } from 'react'
 import { initializePowerBI, setReportInstance, updateReportState, createDefaultVisual } from '../services/powerbiService'
+import { selectClickedVisual, followPageChange } from '../services/chartOperationsService'
 import { serverLog, logErrorToServer } from '../utils/logging'
 
 export const usePowerBI = () => {
@@ -47,7 +48,7 @@ export const usePowerBI = () => {
           serverLog('PowerBI Hook: Creating default visual on report load...')
           await createDefaultVisual(reportRef.current)
           visualCreated.current = true
-          serverLog('PowerBI Hook: Default visual created successfully on report load')
+          serverLog('PowerBI Hook: Default visual ready on report load')
         } catch (error) {
           serverLog(`PowerBI Hook: Error creating default visual on report load: ${error.message}`)
           logErrorToServer('PowerBI Hook: Error creating default visual on report load', error)
@@ -66,6 +67,22 @@ export const usePowerBI = () => {
     ['error', (event) => {
       logErrorToServer('PowerBI Hook: PowerBI Error', event.detail)
       setError(`PowerBI Error: ${event.detail}`)
+    }],
+    ['visualClicked', (event) => {
+      // The chat edits the chart the user clicked
+      const visual = event.detail && event.detail.visual
+      if (visual) {
+        serverLog(`PowerBI Hook: Visual clicked: ${visual.type} ${visual.title || visual.name}`)
+        selectClickedVisual(visual.name)
+      }
+    }],
+    ['pageChanged', (event) => {
+      // The chat follows the open page (page tabs or the chat)
+      const page = event.detail && event.detail.newPage
+      if (page) {
+        serverLog(`PowerBI Hook: Page changed: ${page.displayName || page.name}`)
+        followPageChange(page.name)
+      }
     }]
   ])
 
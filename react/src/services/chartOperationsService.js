@@ -4,61 +4,312 @@
  * React equivalent of vanilla's chart-operations.js
  */
 
+import { models } from 'powerbi-client'
 import { getReportInstance } from './powerbiService'
 import { serverLog, logErrorToServer } from '../utils/logging'
 
 /* global window, CustomEvent */
 
 // Track current chart configuration for partial updates
+// (chartType, one property per field role such as xAxis/yAxis/values, filters, topN, sort)
 let currentChartConfig = {
-  yAxis: null,
-  xAxis: null,
   chartType: null,
-  series: null
+  filters: [],
+  topN: null,
+  sort: null,
+  format: null
 }
 
-// Supported chart types in Power BI
-const SUPPORTED_CHART_TYPES = [
-  'columnChart',
-  'barChart', 
-  'lineChart',
-  'areaChart',
-  'pieChart',
-  'donutChart',
-  'clusteredColumnChart',
-  'stackedColumnChart'
-]
+// formatAction properties and the visual properties (visual.setProperty selectors) they set
+const FORMAT_SELECTORS = {
+  title: { text: ['title', 'titleText'], visible: ['title', 'visible'], fontSize: ['title', 'textSize'] },
+  dataLabels: { visible: ['dataLabels', 'visible'], fontSize: ['dataLabels', 'textSize'] },
+  legend: { visible: ['legend', 'visible'], position: ['legend', 'position'], fontSize: ['legend', 'textSize'] },
+  xAxis: { title: ['xAxis', 'titleText'], showTitle: ['xAxis', 'titleVisible'], fontSize: ['xAxis', 'textSize'] },
+  yAxis: { title: ['yAxis', 'titleText'], showTitle: ['yAxis', 'titleVisible'], fontSize: ['yAxis', 'textSize'] }
+}
+
+// Visual type registry from the server: chartAction properties and data roles per chart type
+let visualTypes = null
+let visualTypesRequest = null
+
+// Visual the chat is editing (null: the first chart on the page) and the visual the user last clicked
+let currentVisualName = null
+let selectedVisualName = null
+
+// Tracked configurations of the other visuals the chat has edited, keyed by visual name
+const visualConfigs = new Map()
+
+// Chart changes the chat can undo and redo, oldest first: { pageName, visualName, config } per change,
+// config being the chart before the change (null for a visual the change added)
+const MAX_HISTORY_STEPS = 50
+const undoStack = []
+const redoStack = []
+// Chat chart update, undo, redo or conversation restore that is running; undo and redo are ignored meanwhile
+let historyTask = null
+
+// Automatic grid: page size when the page does not report one, page margin and gap between visuals (px)
+const DEFAULT_PAGE_SIZE = { width: 1280, height: 720 }
+const PAGE_MARGIN = 18
+const VISUAL_GAP = 12
+
+/**
+ * Load the visual type registry (GET /system/visual-types) once
+ */
+export const loadVisualTypes = () => {
+  if (!visualTypesRequest) {
+    visualTypesRequest = fetch('/system/visual-types')
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Visual types request failed: ${response.status} ${response.statusText}`)
+        }
+        return response.json()
+      })
+      .then(registry => {
+        visualTypes = registry.visualTypes
+        serverLog(`Chart Operations: Supported chart types: ${Object.keys(visualTypes).join(', ')}`)
+        return visualTypes
+      })
+      .catch(error => {
+        // Allow a retry on the next chart update
+        visualTypesRequest = null
+        throw error
+      })
+  }
+  return visualTypesRequest
+}
+
+/**
+ * Get a visual type from the registry ({ categoryRole, valueRole, roles }), or null when unknown
+ */
+const getVisualType = (type) => {
+  return (visualTypes && visualTypes[type]) || null
+}
+
+/**
+ * Every chartAction property that binds a field in some visual type
+ */
+const getRoleKeys = () => {
+  return [...new Set(Object.values(visualTypes || {}).flatMap(visual => Object.keys(visual.roles)))]
+}
 
 /**
  * Check if a visual is a supported chart type
  */
 const isSupportedChartType = (visual) => {
-  return SUPPORTED_CHART_TYPES.includes(visual.type)
+  return Boolean(getVisualType(visual.type))
 }
 
 /**
- * Find the first chart visual on the active page
+ * Sort visuals in reading order: top to bottom, then left to right
  */
-const findChartVisual = async (activePage) => {
+const sortVisualsByLayout = (visuals) => {
+  const position = visual => visual.layout || {}
+  return [...visuals].sort((a, b) =>
+    ((position(a).y || 0) - (position(b).y || 0)) || ((position(a).x || 0) - (position(b).x || 0)))
+}
+
+/**
+ * Get the supported chart visuals on a page in reading order
+ * Positions in this list are the ones the chat uses ("the second chart" is index 2).
+ */
+const getChartVisuals = async (activePage) => {
+  await loadVisualTypes()
+  const visuals = await activePage.getVisuals()
+  return sortVisualsByLayout(visuals.filter(visual => isSupportedChartType(visual)))
+}
+
+/**
+ * Describe a chartAction visual target for messages ('chart 2', 'the chart "Sales by month"')
+ */
+const describeVisualTarget = (target) => {
+  if (target.index) return `chart ${target.index}`
+  if (target.title) return `the chart "${target.title}"`
+  return 'the selected chart'
+}
+
+/**
+ * Find a chart visual on the active page
+ * target is a validated chartAction.visual ({ index }, { title } or { selected }); without it
+ * this is the chart the chat is editing, or the first chart on the page.
+ */
+const findChartVisual = async (activePage, target = null) => {
   try {
-    const visuals = await activePage.getVisuals()
-    serverLog(`Chart Operations: Found ${visuals.length} visuals on the page`)
-        
-    const chartVisual = visuals.find(visual => isSupportedChartType(visual))
+    const visuals = await getChartVisuals(activePage)
+    serverLog(`Chart Operations: Found ${visuals.length} chart visuals on the page`)
+
+    let chartVisual
+    if (target && target.index) {
+      chartVisual = visuals[target.index - 1]
+    } else if (target && target.title) {
+      chartVisual = visuals.find(visual => (visual.title || '').toLowerCase() === target.title.toLowerCase())
+    } else if (target && target.selected) {
+      chartVisual = visuals.find(visual => visual.name === selectedVisualName)
+    } else {
+      chartVisual = visuals.find(visual => visual.name === currentVisualName) || visuals[0]
+    }
         
     if (chartVisual) {
       serverLog(`Chart Operations: Found chart visual: ${chartVisual.type} ${chartVisual.title || ''}`)
     } else {
-      serverLog(`Chart Operations: No suitable chart visual found - available types: ${visuals.map(v => v.type).join(', ')}`)
+      serverLog(`Chart Operations: No suitable chart visual found - chart types on the page: ${visuals.map(v => v.type).join(', ')}`)
     }
         
-    return chartVisual
+    return chartVisual || null
   } catch (error) {
     serverLog(`Chart Operations: Error finding chart visual: ${error.message}`)
     return null
   }
 }
 
+/**
+ * Read data role fields as Table.Field names (the field name alone when the table is unknown)
+ */
+const readDataFieldNames = (dataFields) => {
+  return (dataFields || [])
+    .map(dataField => {
+      const name = dataField.measure || dataField.column
+      if (!name) return null
+      return dataField.table ? `${dataField.table}.${name}` : name
+    })
+    .filter(Boolean)
+}
+
+/**
+ * Read the chart type and fields of a chart visual ({ chartType, one property per field role, measureFields? })
+ */
+const readVisualConfig = async (chartVisual) => {
+  const visual = getVisualType(chartVisual.type)
+  const config = { chartType: chartVisual.type }
+  const measureFields = []
+  for (const [property, role] of Object.entries(visual ? visual.roles : {})) {
+    let dataFields = null
+    try {
+      dataFields = await chartVisual.getDataFields(role.dataRole)
+    } catch (roleError) {
+      serverLog(`Chart Operations: ${role.dataRole} data role not available: ${roleError.message}`)
+    }
+
+    // Several fields are read back as a list
+    const names = readDataFieldNames(dataFields)
+    config[property] = role.multiple && names.length > 1 ? names : names[0] || null
+    if (role.kind === 'any') {
+      measureFields.push(...readDataFieldNames((dataFields || []).filter(dataField => dataField.measure)))
+    }
+  }
+  if (measureFields.length > 0) {
+    config.measureFields = measureFields
+  }
+  return config
+}
+
+/**
+ * Make a chart visual the one the chat edits
+ * The tracked configuration of the previous visual is kept for when the chat returns to it;
+ * a visual the chat has not edited yet starts from the fields it shows.
+ */
+const selectChartVisual = async (chartVisual) => {
+  if (chartVisual.name === currentVisualName) {
+    return
+  }
+  // The configuration tracked so far belongs to the first chart until a visual is picked
+  if (currentVisualName === null) {
+    currentVisualName = chartVisual.name
+    return
+  }
+
+  visualConfigs.set(currentVisualName, currentChartConfig)
+  currentVisualName = chartVisual.name
+  currentChartConfig = visualConfigs.get(chartVisual.name) || {
+    filters: [],
+    topN: null,
+    sort: null,
+    format: null,
+    ...(await readVisualConfig(chartVisual))
+  }
+  serverLog(`Chart Operations: Chat is now editing visual: ${chartVisual.type} ${chartVisual.title || chartVisual.name}`)
+}
+
+/**
+ * Follow the report to another page: the chat edits the first chart there
+ * The configuration of the chart left behind is kept for when the chat returns to it;
+ * on a page without charts the next chart the chat adds starts from a blank configuration.
+ */
+export const followActivePage = async (activePage) => {
+  const visuals = await getChartVisuals(activePage)
+  if (currentVisualName !== null && visuals.some(visual => visual.name === currentVisualName)) {
+    return
+  }
+
+  if (currentVisualName !== null) {
+    visualConfigs.set(currentVisualName, currentChartConfig)
+  }
+  const chartVisual = visuals[0] || null
+  currentVisualName = chartVisual ? chartVisual.name : null
+  currentChartConfig = (chartVisual && visualConfigs.get(chartVisual.name)) || {
+    chartType: null,
+    filters: [],
+    topN: null,
+    sort: null,
+    format: null,
+    ...(chartVisual ? await readVisualConfig(chartVisual) : {})
+  }
+  serverLog(`Chart Operations: Chat is now editing page: ${activePage.displayName} ${chartVisual ? `(${chartVisual.type})` : '(no charts)'}`)
+}
+
+/**
+ * Set the position and size of a visual ({ x, y, width, height } in pixels)
+ */
+export const setVisualLayout = async (visual, layout) => {
+  await visual.moveVisual(layout.x, layout.y)
+  await visual.resizeVisual(layout.width, layout.height)
+}
+
+/**
+ * Lay out every visual on the page in an automatic grid
+ * Visuals keep their reading order; lastVisualName (a newly added visual) goes last.
+ */
+export const arrangeVisuals = async (activePage, lastVisualName = null) => {
+  const visuals = sortVisualsByLayout(await activePage.getVisuals())
+  const ordered = [
+    ...visuals.filter(visual => visual.name !== lastVisualName),
+    ...visuals.filter(visual => visual.name === lastVisualName)
+  ]
+  if (ordered.length === 0) {
+    return
+  }
+
+  const pageSize = activePage.defaultSize && activePage.defaultSize.width ? activePage.defaultSize : DEFAULT_PAGE_SIZE
+  const columns = Math.ceil(Math.sqrt(ordered.length))
+  const rows = Math.ceil(ordered.length / columns)
+  const width = Math.floor((pageSize.width - 2 * PAGE_MARGIN - (columns - 1) * VISUAL_GAP) / columns)
+  const height = Math.floor((pageSize.height - 2 * PAGE_MARGIN - (rows - 1) * VISUAL_GAP) / rows)
+
+  serverLog(`Chart Operations: Arranging ${ordered.length} visuals in a ${columns}x${rows} grid...`)
+  for (const [position, visual] of ordered.entries()) {
+    const column = position % columns
+    const row = Math.floor(position / columns)
+    await setVisualLayout(visual, {
+      x: PAGE_MARGIN + column * (width + VISUAL_GAP),
+      y: PAGE_MARGIN + row * (height + VISUAL_GAP),
+      width,
+      height
+    })
+  }
+}
+
+/**
+ * Add a chart visual to the page and rearrange the page grid
+ */
+const createChartVisual = async (activePage, chartType) => {
+  serverLog(`Chart Operations: Adding a ${chartType} visual to the page...`)
+  const response = await activePage.createVisual(chartType, {
+    displayState: { mode: models.VisualContainerDisplayMode.Visible }
+  })
+  await arrangeVisuals(activePage, response.visual.name)
+  return response.visual
+}
+
 /**
  * Helper function to parse field names in [Table].[Field] format
  */
@@ -75,129 +326,58 @@ const parseFieldName = (fieldName) => {
 
 /**
  * Clear existing fields from the chart
+ * Every data role of the visual's type in the registry is emptied.
  */
 const clearChartFields = async (chartVisual) => {
-  try {
-    // Clear Y-axis (values)
-    const yAxisFields = await chartVisual.getDataFields('Y')
-    if (yAxisFields && yAxisFields.length > 0) {
-      serverLog('Chart Operations: Clearing Y-axis fields...')
-      for (let i = yAxisFields.length - 1; i >= 0; i--) {
-        await chartVisual.removeDataField('Y', i)
-        serverLog(`Chart Operations: Removed Y-axis field at index ${i}`)
-      }
-    }
-        
-    // Clear X-axis (category)
-    const xAxisFields = await chartVisual.getDataFields('Category')
-    if (xAxisFields && xAxisFields.length > 0) {
-      serverLog('Chart Operations: Clearing Category axis fields...')
-      for (let i = xAxisFields.length - 1; i >= 0; i--) {
-        await chartVisual.removeDataField('Category', i)
-        serverLog(`Chart Operations: Removed Category axis field at index ${i}`)
-      }
-    }
+  const visual = getVisualType(chartVisual.type)
+  const dataRoles = [...new Set(Object.values(visual ? visual.roles : {}).map(role => role.dataRole))]
 
-    // Clear Legend fields (for series/grouping)
+  for (const dataRole of dataRoles) {
     try {
-      const legendFields = await chartVisual.getDataFields('Legend')
-      if (legendFields && legendFields.length > 0) {
-        serverLog('Chart Operations: Clearing Legend fields...')
-        for (let i = legendFields.length - 1; i >= 0; i--) {
-          await chartVisual.removeDataField('Legend', i)
-          serverLog(`Chart Operations: Removed Legend field at index ${i}`)
-        }
-      }
-    } catch (legendError) {
-      serverLog(`Chart Operations: Could not clear Legend fields (may not exist): ${legendError.message}`)
-      // Try alternative data role names
-      try {
-        const seriesFields = await chartVisual.getDataFields('Series')
-        if (seriesFields && seriesFields.length > 0) {
-          serverLog('Chart Operations: Clearing Series fields...')
-          for (let i = seriesFields.length - 1; i >= 0; i--) {
-            await chartVisual.removeDataField('Series', i)
-            serverLog(`Chart Operations: Removed Series field at index ${i}`)
-          }
+      const dataFields = await chartVisual.getDataFields(dataRole)
+      if (dataFields && dataFields.length > 0) {
+        serverLog(`Chart Operations: Clearing ${dataRole} fields...`)
+        for (let i = dataFields.length - 1; i >= 0; i--) {
+          await chartVisual.removeDataField(dataRole, i)
+          serverLog(`Chart Operations: Removed ${dataRole} field at index ${i}`)
         }
-      } catch (seriesError) {
-        serverLog(`Chart Operations: Could not clear Series fields either: ${seriesError.message}`)
       }
+    } catch (error) {
+      serverLog(`Chart Operations: Could not clear ${dataRole} fields (may not exist): ${error.message}`)
     }
-  } catch (error) {
-    serverLog(`Chart Operations: Could not clear existing fields (may not exist): ${error.message}`)
   }
 }
 
 /**
  * Add fields based on AI chartAction
+ * Each chartAction property the chart type has a role for is added to that role's data role.
  */
 const addFieldsFromAI = async (chartVisual, chartAction) => {
   try {
     serverLog('Chart Operations: addFieldsFromAI called with chartAction:', chartAction)
-        
-    // Add Y-axis field (measures)
-    if (chartAction.yAxis) {
-      const { table, field } = parseFieldName(chartAction.yAxis)
-      const target = {
-        $schema: 'http://powerbi.com/product/schema#measure',
-        table: table,
-        measure: field
-      }
-      serverLog(`Chart Operations: Adding ${chartAction.yAxis} (measure) to Y data role...`)
-      await chartVisual.addDataField('Y', target)
-      serverLog(`Chart Operations: ${chartAction.yAxis} added to Y data role successfully`)
-    }
-
-    // Add X-axis field (dimensions)
-    if (chartAction.xAxis) {
-      const { table, field } = parseFieldName(chartAction.xAxis)
-      const target = {
-        $schema: 'http://powerbi.com/product/schema#column',
-        table: table,
-        column: field
-      }
-      serverLog(`Chart Operations: Adding ${chartAction.xAxis} (dimension) to Category data role...`)
-      await chartVisual.addDataField('Category', target)
-      serverLog(`Chart Operations: ${chartAction.xAxis} added to Category data role successfully`)
-    }
-
-    // Add series field (for clustered charts) - goes to Legend data role
-    if (chartAction.series) {
-      const { table, field } = parseFieldName(chartAction.series)
-      const target = {
-        $schema: 'http://powerbi.com/product/schema#column',
-        table: table,
-        column: field
-      }
-      serverLog(`Chart Operations: Adding ${chartAction.series} (series) to Legend data role...`)
-            
-      try {
-        await chartVisual.addDataField('Legend', target)
-        serverLog(`Chart Operations: ${chartAction.series} added to Legend data role successfully`)
-      } catch (legendError) {
-        serverLog(`Chart Operations: Failed to add to Legend data role, trying Series: ${legendError.message}`)
-        try {
-          await chartVisual.addDataField('Series', target)
-          serverLog(`Chart Operations: ${chartAction.series} added to Series data role successfully`)
-        } catch (seriesError) {
-          serverLog(`Chart Operations: Failed to add to Series data role, trying Column Series: ${seriesError.message}`)
-          try {
-            await chartVisual.addDataField('ColumnSeries', target)
-            serverLog(`Chart Operations: ${chartAction.series} added to ColumnSeries data role successfully`)
-          } catch (finalError) {
-            serverLog(`Chart Operations: Failed to add series field to any data role: ${finalError.message}`)
-            // Don't throw - continue with other fields
-          }
-        }
-      }
+
+    const visual = getVisualType(chartAction.chartType)
+    if (!visual) {
+      throw new Error(`Unsupported chart type: ${chartAction.chartType}`)
     }
-        
+
+    // Roles that take columns and measures rely on the validator's list of measures
+    const measureFields = chartAction.measureFields || []
     const configuredFields = []
-    if (chartAction.yAxis) configuredFields.push(`Y: ${chartAction.yAxis}`)
-    if (chartAction.xAxis) configuredFields.push(`X: ${chartAction.xAxis}`)
-    if (chartAction.series) configuredFields.push(`Series: ${chartAction.series}`)
-    
+    for (const [property, role] of Object.entries(visual.roles)) {
+      for (const fieldName of [].concat(chartAction[property] || [])) {
+        const { table, field } = parseFieldName(fieldName)
+        const isMeasure = role.kind === 'measure' || (role.kind === 'any' && measureFields.includes(fieldName))
+        const target = isMeasure
+          ? { $schema: 'http://powerbi.com/product/schema#measure', table: table, measure: field }
+          : { $schema: 'http://powerbi.com/product/schema#column', table: table, column: field }
+        serverLog(`Chart Operations: Adding ${fieldName} (${property}) to ${role.dataRole} data role...`)
+        await chartVisual.addDataField(role.dataRole, target)
+        serverLog(`Chart Operations: ${fieldName} added to ${role.dataRole} data role successfully`)
+        configuredFields.push(`${role.dataRole}: ${fieldName}`)
+      }
+    }
+
     serverLog(`Chart Operations: Chart configured with fields: ${configuredFields.join(', ')}`)
         
   } catch (error) {
@@ -207,22 +387,165 @@ const addFieldsFromAI = async (chartVisual, chartAction) => {
   }
 }
 
+/**
+ * Convert a chartAction filter into a Power BI filter
+ */
+export const buildPowerBIFilter = (filter) => {
+  const { table, field } = parseFieldName(filter.field)
+  const target = filter.isMeasure ? { table, measure: field } : { table, column: field }
+
+  if (filter.type === 'advanced') {
+    return new models.AdvancedFilter(target, filter.logicalOperator, filter.conditions).toJSON()
+  }
+  if (filter.type === 'relativeDate') {
+    const { operator, timeUnitsCount, timeUnit, includeToday } = filter.relativeDate
+    return new models.RelativeDateFilter(
+      target,
+      models.RelativeDateOperators[operator],
+      timeUnitsCount,
+      models.RelativeDateFilterTimeUnit[timeUnit],
+      includeToday
+    ).toJSON()
+  }
+  return new models.BasicFilter(target, filter.operator, filter.values).toJSON()
+}
+
+/**
+ * Get the value (measure) and category axis of a chart configuration
+ */
+const getChartAxes = (config) => {
+  // The registry names the roles, e.g. bar charts are horizontal: the measure is on the x-axis
+  const visual = getVisualType(config.chartType) || { categoryRole: 'xAxis', valueRole: 'yAxis' }
+  return {
+    valueField: visual.valueRole ? config[visual.valueRole] : null,
+    categoryField: visual.categoryRole ? config[visual.categoryRole] : null
+  }
+}
+
+/**
+ * Build a Power BI TopN filter on the chart's category axis
+ */
+export const buildTopNFilter = (topN, config) => {
+  const axes = getChartAxes(config)
+  // Several measures rank by the first one; several row groups keep the top N of the first
+  const by = topN.by || [].concat(axes.valueField || [])[0]
+  const categoryField = [].concat(axes.categoryField || [])[0]
+  if (!categoryField || !by) {
+    throw new Error('Top N needs a chart with a category and a value field')
+  }
+
+  const category = parseFieldName(categoryField)
+  const measure = parseFieldName(by)
+  return new models.TopNFilter(
+    { table: category.table, column: category.field },
+    topN.direction,
+    topN.count,
+    { table: measure.table, measure: measure.field }
+  ).toJSON()
+}
+
+/**
+ * Apply filters and top N to the chart visual and the page
+ * Page filters are only touched when the chat set page filters before (previousFilters,
+ * default: the current chart's) or sets them now, so filters from the report author stay in place.
+ */
+const applyFilters = async (activePage, chartVisual, config, previousFilters = currentChartConfig.filters) => {
+  const filters = config.filters || []
+  const visualFilters = filters.filter(filter => filter.scope !== 'page').map(buildPowerBIFilter)
+  const pageFilters = filters.filter(filter => filter.scope === 'page').map(buildPowerBIFilter)
+  if (config.topN) {
+    visualFilters.push(buildTopNFilter(config.topN, config))
+  }
+
+  serverLog(`Chart Operations: Setting ${visualFilters.length} visual filter(s)...`)
+  await chartVisual.setFilters(visualFilters)
+
+  const hadPageFilters = (previousFilters || []).some(filter => filter.scope === 'page')
+  if (pageFilters.length > 0 || hadPageFilters) {
+    serverLog(`Chart Operations: Setting ${pageFilters.length} page filter(s)...`)
+    await activePage.setFilters(pageFilters)
+  }
+}
+
+/**
+ * Sort the chart visual
+ */
+const applySort = async (chartVisual, sort, config) => {
+  const valueField = [].concat(getChartAxes(config).valueField || [])[0]
+  const sortField = sort.field || valueField
+  if (!sortField) {
+    throw new Error('Sorting needs a field on the chart')
+  }
+
+  const { table, field } = parseFieldName(sortField)
+  const isMeasure = sort.isMeasure !== undefined
+    ? sort.isMeasure
+    : sortField === valueField && (config.measureFields || [sortField]).includes(sortField)
+  serverLog(`Chart Operations: Sorting chart by ${sortField} (${sort.direction})...`)
+  await chartVisual.sortBy({
+    orderBy: isMeasure ? { table, measure: field } : { table, column: field },
+    direction: models.SortDirection[sort.direction]
+  })
+}
+
+/**
+ * Merge a chart action into the current chart configuration
+ * Omitted values are preserved; topN and sort set to false are removed.
+ * A new top N without a sort sorts by its measure.
+ */
+const mergeChartConfig = (chartAction) => {
+  let sort = currentChartConfig.sort
+  if (chartAction.sort !== undefined) {
+    sort = chartAction.sort || null
+  } else if (chartAction.topN) {
+    sort = {
+      field: chartAction.topN.by,
+      direction: chartAction.topN.direction === 'Bottom' ? 'Ascending' : 'Descending',
+      isMeasure: true
+    }
+  }
+
+  // A field the action leaves out is kept only while the chart type binds it to the same data role
+  // (switching to barChart moves the category from xAxis to yAxis, so both are dropped)
+  const chartType = chartAction.chartType || currentChartConfig.chartType
+  const nextRoles = (getVisualType(chartType) || {}).roles || {}
+  const currentRoles = (getVisualType(currentChartConfig.chartType) || {}).roles || {}
+  const fields = {}
+  for (const property of getRoleKeys()) {
+    const kept = nextRoles[property] && currentRoles[property] &&
+      nextRoles[property].dataRole === currentRoles[property].dataRole
+    fields[property] = chartAction[property] || (kept ? currentChartConfig[property] : null) || null
+  }
+  const measureFields = [...new Set([...(chartAction.measureFields || []), ...(currentChartConfig.measureFields || [])])]
+
+  return {
+    ...fields,
+    chartType,
+    measureFields,
+    filters: chartAction.filters !== undefined ? chartAction.filters : currentChartConfig.filters,
+    topN: chartAction.topN !== undefined ? chartAction.topN || null : currentChartConfig.topN,
+    sort,
+    format: currentChartConfig.format
+  }
+}
+
 /**
  * Update the current chart configuration tracking
  */
 const updateCurrentChartConfig = (chartAction) => {
-  if (chartAction.yAxis) currentChartConfig.yAxis = chartAction.yAxis
-  if (chartAction.xAxis) currentChartConfig.xAxis = chartAction.xAxis
-  if (chartAction.chartType) currentChartConfig.chartType = chartAction.chartType
-  if (chartAction.series) currentChartConfig.series = chartAction.series
+  currentChartConfig = mergeChartConfig(chartAction)
   
   serverLog('Chart Operations: Updated current chart config:', currentChartConfig)
 }
 
 /**
- * Update chart based on AI response (main export function)
+ * Apply a chartAction to the report (see updateChartFromAI)
  */
-export const updateChartFromAI = async (chartAction) => {
+const applyChartAction = async (chartAction, { onFailure = null } = {}) => {
+  // Chart before the update (the undo entry) and the configuration being applied, for rollback
+  let snapshot = null
+  let nextConfig = null
+  let step = 'finding the chart'
   try {
     serverLog('Chart Operations: Starting AI chart update with:', chartAction)
         
@@ -233,7 +556,7 @@ export const updateChartFromAI = async (chartAction) => {
       window.dispatchEvent(new CustomEvent('chart-error', {
         detail: { message: 'Error: No report instance available.' }
       }))
-      return
+      return false
     }
         
     // Get the active page
@@ -245,52 +568,572 @@ export const updateChartFromAI = async (chartAction) => {
       window.dispatchEvent(new CustomEvent('chart-error', {
         detail: { message: 'Error: Could not find an active page to update the chart.' }
       }))
-      return
+      return false
     }
         
     serverLog(`Chart Operations: Found active page: ${activePage.displayName || activePage.name || 'unnamed'}`)
         
-    // Find the first chart visual
-    const chartVisual = await findChartVisual(activePage)
+    // Add a visual, or find the one the action targets (omitted: the chart being edited)
+    const target = chartAction.visual || null
+    let added = Boolean(target && target.new)
+    if (added) {
+      step = 'adding the visual'
+    }
+    let chartVisual = added
+      ? await createChartVisual(activePage, chartAction.chartType)
+      : await findChartVisual(activePage, target)
+
+    // A page without charts (such as a page the chat just added) gets one
+    if (!chartVisual && !target && chartAction.chartType && (await getChartVisuals(activePage)).length === 0) {
+      step = 'adding the visual'
+      chartVisual = await createChartVisual(activePage, chartAction.chartType)
+      added = true
+    }
         
     if (!chartVisual) {
       window.dispatchEvent(new CustomEvent('chart-error', {
-        detail: { message: 'Error: Could not find a chart visual to update.' }
+        detail: { message: target ? `Error: Could not find ${describeVisualTarget(target)} on the page.` : 'Error: Could not find a chart visual to update.' }
       }))
-      return
+      return false
     }
+
+    // Later requests and formatting apply to this visual
+    await selectChartVisual(chartVisual)
         
-    // Clear existing fields from both axes
-    await clearChartFields(chartVisual)
-        
-    // Change chart type if specified
-    if (chartAction.chartType && chartAction.chartType !== chartVisual.type) {
-      serverLog(`Chart Operations: Changing chart type from ${chartVisual.type} to ${chartAction.chartType}...`)
-      await chartVisual.changeType(chartAction.chartType)
-      serverLog(`Chart Operations: Chart type changed to ${chartAction.chartType} successfully`)
+    const fieldsChanged = Boolean(chartAction.chartType || getRoleKeys().some(property => chartAction[property]))
+    nextConfig = mergeChartConfig(chartAction)
+
+    // Record the chart as it is before the change (a chartAction that only picks a visual changes nothing)
+    if (added) {
+      snapshot = { pageName: activePage.name, visualName: chartVisual.name, config: null }
+    } else if (fieldsChanged || ['filters', 'topN', 'sort'].some(property => chartAction[property] !== undefined)) {
+      snapshot = await captureChartState(activePage, chartVisual)
+    }
+    if (snapshot) {
+      recordChartChange(snapshot)
+    }
+
+    // A filter-only chartAction ("only 2024") keeps the chart fields
+    if (fieldsChanged) {
+      // Clear the fields of every data role
+      step = 'clearing the chart fields'
+      await clearChartFields(chartVisual)
+
+      // Change chart type if specified
+      if (chartAction.chartType && chartAction.chartType !== chartVisual.type) {
+        step = `changing the chart type to ${chartAction.chartType}`
+        serverLog(`Chart Operations: Changing chart type from ${chartVisual.type} to ${chartAction.chartType}...`)
+        await chartVisual.changeType(chartAction.chartType)
+        serverLog(`Chart Operations: Chart type changed to ${chartAction.chartType} successfully`)
+      }
+
+      // Add the fields of the new configuration (fields the action leaves out are kept when the chart type still has their role)
+      step = 'adding the chart fields'
+      await addFieldsFromAI(chartVisual, nextConfig)
+    }
+
+    // Apply filters and top N (omitted: keep the current ones); the top N follows a new category axis
+    if (chartAction.filters !== undefined || chartAction.topN !== undefined || (fieldsChanged && nextConfig.topN)) {
+      step = 'applying the filters'
+      await applyFilters(activePage, chartVisual, nextConfig)
+    }
+
+    // Sort after the fields are in place
+    if (nextConfig.sort && (chartAction.sort !== undefined || chartAction.topN || fieldsChanged)) {
+      step = 'sorting the chart'
+      await applySort(chartVisual, nextConfig.sort, nextConfig)
     }
-        
-    // Add the new fields based on AI response
-    await addFieldsFromAI(chartVisual, chartAction)
         
     // Update the current chart configuration tracking
     updateCurrentChartConfig(chartAction)
         
     serverLog('Chart Operations: Chart updated successfully by AI')
+    return Boolean(snapshot)
         
   } catch (error) {
-    const errorMessage = `Chart Operations: Error updating chart: ${error.message}`
-    serverLog(errorMessage)
+    serverLog(`Chart Operations: Error updating chart while ${step}: ${error.message}`)
     logErrorToServer('Chart Operations: Error updating chart from AI', error)
+    const rolledBack = snapshot ? await rollbackChartChange(snapshot, nextConfig) : false
+    if (onFailure) {
+      onFailure({ step, error: error.message, rolledBack })
+      return false
+    }
+    const message = rolledBack
+      ? `Error: The chart could not be updated while ${step} (${error.message}). The previous chart was kept.`
+      : `Chart Operations: Error updating chart while ${step}: ${error.message}`
+    window.dispatchEvent(new CustomEvent('chart-error', { detail: { message } }))
+    return false
+  }
+}
+
+/**
+ * Update chart based on AI response (main export function)
+ * The update is a transaction: the chart as it was before is recorded for undo, and when
+ * a Power BI call fails part way the chart is put back the way it was (a visual the update
+ * added is removed again). Resolves to true when the change was recorded for undo.
+ * With onFailure, a failed Power BI call is passed to it as { step, error, rolledBack } instead of
+ * being shown in the chat (the chat asks the AI for a fix).
+ * It runs as a history task: undo and redo are ignored until the update and its rollback have finished.
+ */
+export const updateChartFromAI = (chartAction, options = {}) => runHistoryTask(() => applyChartAction(chartAction, options))
+
+/**
+ * Set one formatAction property (key.property, e.g. legend.position) on a chart visual
+ */
+const setFormatProperty = async (chartVisual, key, property, value) => {
+  const [objectName, propertyName] = FORMAT_SELECTORS[key][property]
+  await chartVisual.setProperty(
+    { objectName, propertyName },
+    { schema: 'http://powerbi.com/product/schema#property', value: property === 'position' ? models.LegendPosition[value] : value }
+  )
+  serverLog(`Chart Operations: Set ${objectName}.${propertyName} to ${value}`)
+}
+
+/**
+ * Apply a formatAction to the chart visual (main export function)
+ * Titles, data labels, legend and axes are set with the visual setProperty API.
+ * The formatting before the change is recorded for undo unless recordHistory is false
+ * (the chartAction of the same response already recorded it).
+ * Runs as a history task like updateChartFromAI.
+ */
+export const applyFormatFromAI = (formatAction, { recordHistory = true } = {}) => runHistoryTask(async () => {
+  try {
+    serverLog('Chart Operations: Applying chart formatting:', formatAction)
+
+    const report = getReportInstance()
+    if (!report) {
+      throw new Error('No report instance available')
+    }
+    const pages = await report.getPages()
+    const activePage = pages.find(page => page.isActive) || pages[0]
+    const chartVisual = activePage ? await findChartVisual(activePage) : null
+    if (!chartVisual) {
+      throw new Error('Could not find a chart visual to format')
+    }
+    if (recordHistory) {
+      recordChartChange(await captureChartState(activePage, chartVisual))
+    }
+
+    const failed = []
+    for (const [key, properties] of Object.entries(formatAction)) {
+      if (!FORMAT_SELECTORS[key]) continue
+      for (const [property, value] of Object.entries(properties)) {
+        try {
+          await setFormatProperty(chartVisual, key, property, value)
+        } catch (propertyError) {
+          serverLog(`Chart Operations: Could not set ${key}.${property}: ${propertyError.message}`)
+          failed.push(`${key}.${property}`)
+        }
+      }
+    }
+
+    // Track the formatting for follow-up requests
+    const format = { ...(currentChartConfig.format || {}) }
+    for (const [key, value] of Object.entries(formatAction)) {
+      format[key] = { ...(format[key] || {}), ...value }
+    }
+    currentChartConfig = { ...currentChartConfig, format }
+
+    if (failed.length > 0) {
+      window.dispatchEvent(new CustomEvent('chart-error', {
+        detail: { message: `Some formatting could not be applied to this chart: ${failed.join(', ')}` }
+      }))
+    }
+  } catch (error) {
+    const errorMessage = `Chart Operations: Error formatting chart: ${error.message}`
+    serverLog(errorMessage)
+    logErrorToServer('Chart Operations: Error formatting chart from AI', error)
     window.dispatchEvent(new CustomEvent('chart-error', {
       detail: { message: errorMessage }
     }))
   }
+})
+
+/**
+ * Notify the page that the number of changes to undo or redo changed
+ */
+const notifyHistoryChanged = () => {
+  window.dispatchEvent(new CustomEvent('chart-history-changed', { detail: getChartHistoryState() }))
+}
+
+/**
+ * Count the chart changes that can be undone and redone ({ undo, redo })
+ */
+export const getChartHistoryState = () => {
+  return { undo: undoStack.length, redo: redoStack.length }
+}
+
+/**
+ * Record a chart change for undo ({ pageName, visualName, config }); a new change cannot be redone over
+ */
+const recordChartChange = (entry) => {
+  undoStack.push(entry)
+  if (undoStack.length > MAX_HISTORY_STEPS) {
+    undoStack.shift()
+  }
+  redoStack.length = 0
+  notifyHistoryChanged()
+}
+
+/**
+ * Capture a chart as the history restores it: chart type, fields, filters, top N, sort and formatting
+ * The tracked configuration is used while it matches the visual; otherwise the fields are read from the report.
+ */
+const captureChartState = async (activePage, chartVisual) => {
+  const tracked = chartVisual.name === currentVisualName ? currentChartConfig : visualConfigs.get(chartVisual.name)
+  const config = tracked && tracked.chartType === chartVisual.type
+    ? tracked
+    : { filters: [], topN: null, sort: null, format: null, ...(await readVisualConfig(chartVisual)) }
+  return { pageName: activePage.name, visualName: chartVisual.name, config }
+}
+
+/**
+ * Point the history entries of a visual at the visual that replaced it
+ * (a visual added again by redo gets a new name)
+ */
+const renameHistoryVisual = (previousName, visualName) => {
+  for (const entry of [...undoStack, ...redoStack]) {
+    if (entry.visualName === previousName) {
+      entry.visualName = visualName
+    }
+  }
+}
+
+/**
+ * Put formatting back: properties of the target format are set, the ones only the
+ * current format has are reset to the report default
+ */
+const restoreFormat = async (chartVisual, fromFormat, toFormat) => {
+  const from = fromFormat || {}
+  const to = toFormat || {}
+  for (const [key, selectors] of Object.entries(FORMAT_SELECTORS)) {
+    for (const [property, [objectName, propertyName]] of Object.entries(selectors)) {
+      const value = to[key] ? to[key][property] : undefined
+      const current = from[key] ? from[key][property] : undefined
+      try {
+        if (value !== undefined && value !== current) {
+          await setFormatProperty(chartVisual, key, property, value)
+        } else if (value === undefined && current !== undefined) {
+          await chartVisual.resetProperty({ objectName, propertyName })
+          serverLog(`Chart Operations: Reset ${objectName}.${propertyName}`)
+        }
+      } catch (propertyError) {
+        serverLog(`Chart Operations: Could not restore ${objectName}.${propertyName}: ${propertyError.message}`)
+      }
+    }
+  }
 }
 
+/**
+ * Put a chart back the way a history entry recorded it
+ * A visual the change added is removed; a visual that is gone is added again. applied is the
+ * configuration the visual has now when it differs from the tracked one (a failed update), so
+ * its filters and formatting are undone too. Returns the entry that reverses the restore (for redo or undo).
+ */
+const restoreChartState = async (entry, applied = null) => {
+  const report = getReportInstance()
+  if (!report) {
+    throw new Error('No report instance available')
+  }
+  const pages = await report.getPages()
+  const page = pages.find(candidate => candidate.name === entry.pageName)
+  if (!page) {
+    throw new Error('The page of this change no longer exists')
+  }
+  if (!page.isActive) {
+    await page.setActive()
+    await followActivePage(page)
+  }
+
+  let chartVisual = (await getChartVisuals(page)).find(visual => visual.name === entry.visualName) || null
+  if (entry.config === null) {
+    if (!chartVisual) {
+      return entry
+    }
+    const inverse = await captureChartState(page, chartVisual)
+    serverLog(`Chart Operations: Removing the visual the change added: ${chartVisual.title || chartVisual.name}`)
+    await page.deleteVisual(chartVisual.name)
+    visualConfigs.delete(chartVisual.name)
+    if (currentVisualName === chartVisual.name) {
+      currentVisualName = null
+      await followActivePage(page)
+    }
+    await arrangeVisuals(page)
+    return inverse
+  }
+
+  const config = entry.config
+  let inverse
+  if (chartVisual) {
+    inverse = await captureChartState(page, chartVisual)
+  } else {
+    chartVisual = await createChartVisual(page, config.chartType)
+    renameHistoryVisual(entry.visualName, chartVisual.name)
+    inverse = { pageName: page.name, visualName: chartVisual.name, config: null }
+  }
+  await selectChartVisual(chartVisual)
+  const previous = applied || currentChartConfig
+
+  serverLog('Chart Operations: Restoring chart:', config)
+  await clearChartFields(chartVisual)
+  if (config.chartType !== chartVisual.type) {
+    await chartVisual.changeType(config.chartType)
+  }
+  if (getRoleKeys().some(property => config[property])) {
+    await addFieldsFromAI(chartVisual, config)
+  }
+  await applyFilters(page, chartVisual, config, [...(previous.filters || []), ...(currentChartConfig.filters || [])])
+  if (config.sort) {
+    await applySort(chartVisual, config.sort, config)
+  }
+  await restoreFormat(chartVisual, previous.format, config.format)
+
+  currentChartConfig = config
+  return inverse
+}
+
+/**
+ * Put the chart back after a failed update and drop the update from the undo history
+ * Resolves to true when the previous chart was restored.
+ */
+const rollbackChartChange = async (snapshot, attempted) => {
+  try {
+    serverLog('Chart Operations: Rolling back the failed chart update...')
+    await restoreChartState(snapshot, attempted)
+    if (undoStack[undoStack.length - 1] === snapshot) {
+      undoStack.pop()
+      notifyHistoryChanged()
+    }
+    serverLog('Chart Operations: Previous chart restored')
+    return true
+  } catch (rollbackError) {
+    logErrorToServer('Chart Operations: Error rolling back chart update', rollbackError)
+    return false
+  }
+}
+
+/**
+ * Run a change to the chart history (an async function that reports its own errors)
+ * once the one that is running has finished; resolves to the task's result
+ */
+const runHistoryTask = async (task) => {
+  while (historyTask) {
+    await historyTask
+  }
+  historyTask = task()
+  try {
+    return await historyTask
+  } finally {
+    historyTask = null
+  }
+}
+
+/**
+ * Move one change from one history stack to the other ('undo' or 'redo' for messages)
+ * Resolves to true when the change was restored.
+ */
+const stepChartHistory = async (from, to, label) => {
+  if (historyTask || from.length === 0) {
+    return false
+  }
+  return runHistoryTask(async () => {
+    try {
+      to.push(await restoreChartState(from.pop()))
+      serverLog(`Chart Operations: Chart change ${label === 'undo' ? 'undone' : 'redone'}`)
+      return true
+    } catch (error) {
+      logErrorToServer(`Chart Operations: Error during chart ${label}`, error)
+      window.dispatchEvent(new CustomEvent('chart-error', {
+        detail: { message: `Error: Could not ${label} the chart change: ${error.message}` }
+      }))
+      return false
+    } finally {
+      notifyHistoryChanged()
+    }
+  })
+}
+
+/**
+ * Undo the last chart change; resolves to true when a change was undone
+ */
+export const undoChartChange = () => stepChartHistory(undoStack, redoStack, 'undo')
+
+/**
+ * Redo the last chart change that was undone; resolves to true when a change was redone
+ */
+export const redoChartChange = () => stepChartHistory(redoStack, undoStack, 'redo')
+
+/**
+ * Apply a historyAction from the AI response ({ action, steps })
+ * Runs before the other actions of the same response.
+ * Resolves to true when every step was applied, false after an error (already reported).
+ */
+export const applyHistoryFromAI = async (historyAction) => {
+  serverLog('Chart Operations: Applying history action:', historyAction)
+  const redo = historyAction.action === 'redo'
+  if ((redo ? redoStack : undoStack).length === 0) {
+    window.dispatchEvent(new CustomEvent('chart-error', {
+      detail: { message: `There is no chart change to ${historyAction.action}.` }
+    }))
+    return false
+  }
+  for (let count = 0; count < historyAction.steps; count++) {
+    if (!(await (redo ? redoChartChange() : undoChartChange()))) {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Capture the chart the chat edits, for the conversation that produced it
+ * Resolves to { pageName, visualName, config }, or null when there is no chart.
+ */
+export const getChartState = async () => {
+  try {
+    const report = getReportInstance()
+    if (!report) {
+      return null
+    }
+    const pages = await report.getPages()
+    const activePage = pages.find(page => page.isActive) || pages[0]
+    const chartVisual = activePage ? await findChartVisual(activePage) : null
+    return chartVisual ? await captureChartState(activePage, chartVisual) : null
+  } catch (error) {
+    serverLog(`Chart Operations: Error capturing chart state: ${error.message}`)
+    return null
+  }
+}
+
+/**
+ * Put back the chart of a conversation that was opened ({ pageName, visualName, config }) and start a new undo history
+ * Waits for a running chat update, undo, redo or restore first, then skips the restore when isCurrent returns false
+ * (another conversation was opened meanwhile). The saved page and visual are used while they exist;
+ * otherwise the chart is rebuilt in the visual the chat edits on the open page (report edits are not
+ * kept across reloads). null only clears the history.
+ * Resolves to true when the chart was restored.
+ */
+export const restoreConversationChart = (chartState, isCurrent = () => true) => runHistoryTask(async () => {
+  if (!isCurrent()) {
+    return false
+  }
+  // The changes of the previous conversation cannot be undone in this one
+  undoStack.length = 0
+  redoStack.length = 0
+  if (!chartState || !chartState.config) {
+    notifyHistoryChanged()
+    return false
+  }
+
+  try {
+    const report = getReportInstance()
+    if (!report) {
+      throw new Error('No report instance available')
+    }
+    const pages = await report.getPages()
+    const page = pages.find(candidate => candidate.name === chartState.pageName) ||
+      pages.find(candidate => candidate.isActive) || pages[0]
+    const visuals = await getChartVisuals(page)
+    const chartVisual = visuals.find(visual => visual.name === chartState.visualName) ||
+      visuals.find(visual => visual.name === currentVisualName) || visuals[0] || null
+
+    await restoreChartState({
+      pageName: page.name,
+      visualName: chartVisual ? chartVisual.name : chartState.visualName,
+      config: chartState.config
+    })
+    serverLog('Chart Operations: Conversation chart restored')
+    return true
+  } catch (error) {
+    logErrorToServer('Chart Operations: Error restoring conversation chart', error)
+    window.dispatchEvent(new CustomEvent('chart-error', {
+      detail: { message: `Error: Could not restore the chart of this conversation: ${error.message}` }
+    }))
+    return false
+  } finally {
+    notifyHistoryChanged()
+  }
+})
+
 /**
  * Get current chart configuration
  */
 export const getCurrentChartConfig = () => {
   return { ...currentChartConfig }
+}
+
+/**
+ * List the chart visuals on the active page for the chat request
+ * Returns { index, title, chartType, current, selected, ...fields } per chart in reading order;
+ * fields come from the tracked configuration of the visuals the chat has edited and are
+ * read from the report for the others. Empty when the report is not ready.
+ */
+export const getPageVisuals = async () => {
+  try {
+    const report = getReportInstance()
+    if (!report) {
+      return []
+    }
+
+    const pages = await report.getPages()
+    const activePage = pages.find(page => page.isActive) || pages[0]
+    if (!activePage) {
+      return []
+    }
+
+    const visuals = await getChartVisuals(activePage)
+    const current = visuals.find(visual => visual.name === currentVisualName) || visuals[0]
+    const pageVisuals = []
+    for (const [position, visual] of visuals.entries()) {
+      const tracked = visual === current ? currentChartConfig : visualConfigs.get(visual.name)
+      const config = tracked && tracked.chartType === visual.type ? tracked : await readVisualConfig(visual)
+      const fields = Object.fromEntries(getRoleKeys().filter(key => config[key]).map(key => [key, config[key]]))
+      pageVisuals.push({
+        index: position + 1,
+        title: visual.title || '',
+        chartType: visual.type,
+        current: visual === current,
+        selected: visual.name === selectedVisualName,
+        ...fields
+      })
+    }
+    return pageVisuals
+  } catch (error) {
+    serverLog(`Chart Operations: Error listing page visuals: ${error.message}`)
+    return []
+  }
+}
+
+/**
+ * Make the chat follow a page the user or the chat opened
+ */
+export const followPageChange = async (pageName) => {
+  try {
+    const report = getReportInstance()
+    const pages = report ? await report.getPages() : []
+    const activePage = pages.find(page => page.name === pageName)
+    if (activePage) {
+      await followActivePage(activePage)
+    }
+  } catch (error) {
+    logErrorToServer('Chart Operations: Error following page change', error)
+  }
+}
+
+/**
+ * Make a chart the user clicked in the report the one the chat edits ("make it a bar chart")
+ */
+export const selectClickedVisual = async (visualName) => {
+  selectedVisualName = visualName
+  try {
+    const report = getReportInstance()
+    const pages = report ? await report.getPages() : []
+    const activePage = pages.find(page => page.isActive) || pages[0]
+    const chartVisual = activePage ? await findChartVisual(activePage, { selected: true }) : null
+    if (chartVisual) {
+      await selectChartVisual(chartVisual)
+    }
+  } catch (error) {
+    logErrorToServer('Chart Operations: Error selecting clicked visual', error)
+  }
 }
\ No newline at end of file
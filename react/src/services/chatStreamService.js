@@ -0,0 +1,105 @@
+/**
+ * Chat Stream Service
+ * Sends a chat request to the streaming endpoint and dispatches its server-sent events
+ * React equivalent of vanilla's chat-stream.js
+ */
+
+/* global fetch, TextDecoder */
+
+/**
+ * Parse one server-sent event block into its name and JSON payload
+ * @param {string} block - Raw event text (lines separated by \n)
+ * @returns {{event: string, data: Object}|null} Parsed event, or null if it has no data
+ */
+const parseEventBlock = (block) => {
+  let event = 'message'
+  const dataLines = []
+
+  block.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim()
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim())
+    }
+  })
+
+  if (dataLines.length === 0) {
+    return null
+  }
+
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) }
+  } catch (error) {
+    console.error('Could not parse stream event:', block, error)
+    return null
+  }
+}
+
+/**
+ * Stream a chat request
+ * Handlers are called as events arrive; onError also receives request and server errors.
+ * @param {Object} body - Request body ({ message, currentChart, chatHistory, pageVisuals, reportPages, changeHistory, conversationId })
+ * @param {Object} handlers - { onToken(text), onHistoryAction(historyAction), onPageAction(pageAction), onChartAction(chartAction), onFormatAction(formatAction), onDone({ chatResponse, warnings, suggestions, usage, conversationId }), onError({ error, details }) }
+ * @returns {Promise<void>} Resolves when the stream has ended
+ */
+export const streamChat = async (body, { onToken, onHistoryAction, onPageAction, onChartAction, onFormatAction, onDone, onError } = {}) => {
+  const response = await fetch('/chat/stream', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body)
+  })
+
+  // Validation and configuration errors come back as plain JSON before the stream starts
+  const contentType = response.headers.get('Content-Type') || ''
+  if (!contentType.includes('text/event-stream')) {
+    const data = await response.json()
+    if (onError) onError(data)
+    return
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+
+    let separatorIndex
+    while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+      const parsed = parseEventBlock(buffer.slice(0, separatorIndex))
+      buffer = buffer.slice(separatorIndex + 2)
+      if (!parsed) continue
+
+      switch (parsed.event) {
+        case 'token':
+          if (onToken) onToken(parsed.data.text)
+          break
+        case 'historyAction':
+          if (onHistoryAction) onHistoryAction(parsed.data)
+          break
+        case 'pageAction':
+          if (onPageAction) onPageAction(parsed.data)
+          break
+        case 'chartAction':
+          if (onChartAction) onChartAction(parsed.data)
+          break
+        case 'formatAction':
+          if (onFormatAction) onFormatAction(parsed.data)
+          break
+        case 'done':
+          if (onDone) onDone(parsed.data)
+          break
+        case 'error':
+          if (onError) onError(parsed.data)
+          break
+        default:
+          console.log('Ignoring unknown stream event:', parsed.event)
+      }
+    }
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Conversation Service
+ * Calls the server's conversations API: list, open, start, rename and delete saved
+ * chats, save the chart a chat produced and add messages no chat request carried
+ * React equivalent of the API calls in vanilla's conversations.js
+ */
+
+/* global fetch */
+
+/**
+ * Call the conversations API ('', '/<id>' or '/<id>/messages' after /conversations)
+ * Resolves to the response JSON (null for an empty response); rejects with the server error.
+ */
+const requestConversations = async (path = '', options = {}) => {
+  const response = await fetch(`/conversations${path}`, {
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    ...options
+  })
+  if (response.status === 204) {
+    return null
+  }
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data.error || `HTTP ${response.status}`)
+  }
+  return data
+}
+
+/**
+ * List the saved conversations, most recent first
+ * Resolves to { id, title, createdAt, updatedAt, messageCount, hasChart } per conversation.
+ */
+export const listConversations = async () => {
+  const { conversations } = await requestConversations()
+  return conversations
+}
+
+/**
+ * Get a conversation with its messages and chart state
+ */
+export const getConversation = (id) => requestConversations(`/${encodeURIComponent(id)}`)
+
+/**
+ * Start a conversation; untitled conversations are named after their first message
+ */
+export const createConversation = (title = null) => requestConversations('', {
+  method: 'POST',
+  body: JSON.stringify(title ? { title } : {})
+})
+
+/**
+ * Rename a conversation
+ */
+export const renameConversation = (id, title) => requestConversations(`/${encodeURIComponent(id)}`, {
+  method: 'PATCH',
+  body: JSON.stringify({ title })
+})
+
+/**
+ * Save the chart a conversation produced ({ pageName, visualName, config })
+ */
+export const saveConversationChart = (id, chartState) => requestConversations(`/${encodeURIComponent(id)}`, {
+  method: 'PATCH',
+  body: JSON.stringify({ chartState })
+})
+
+/**
+ * Add messages no chat request carried ({ role, content }, e.g. the field the user picked)
+ */
+export const addConversationMessages = (id, messages) => requestConversations(`/${encodeURIComponent(id)}/messages`, {
+  method: 'POST',
+  body: JSON.stringify({ messages })
+})
+
+/**
+ * Delete a conversation
+ */
+export const deleteConversation = (id) => requestConversations(`/${encodeURIComponent(id)}`, {
+  method: 'DELETE'
+})
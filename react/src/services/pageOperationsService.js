@@ -0,0 +1,122 @@
+/**
+ * Page Operations Service
+ * Lists the report pages for the chat and applies the pageAction of an AI response
+ * (add, switch, rename or delete a page) with the report page APIs
+ * React equivalent of vanilla's page-operations.js
+ */
+
+import { getReportInstance } from './powerbiService'
+import { followActivePage } from './chartOperationsService'
+import { serverLog, logErrorToServer } from '../utils/logging'
+
+/* global window, CustomEvent */
+
+/**
+ * List the report pages for the chat request
+ * Returns { index, name, displayName, active } per page in tab order, empty when the report is not ready.
+ */
+export const getReportPages = async () => {
+  try {
+    const report = getReportInstance()
+    if (!report) {
+      return []
+    }
+
+    const pages = await report.getPages()
+    return pages.map((page, position) => ({
+      index: position + 1,
+      name: page.name,
+      displayName: page.displayName,
+      active: Boolean(page.isActive)
+    }))
+  } catch (error) {
+    serverLog(`Page Operations: Error listing report pages: ${error.message}`)
+    return []
+  }
+}
+
+/**
+ * Find the page a pageAction refers to ({ index, name, displayName })
+ * The server resolves the page against the list the chat sent, so its internal name
+ * is tried first; the position and display name cover pages added since.
+ */
+const findPage = (pages, reference) => {
+  const displayName = (reference.displayName || '').toLowerCase()
+  return pages.find(page => reference.name && page.name === reference.name) ||
+    pages.find(page => displayName && (page.displayName || '').toLowerCase() === displayName) ||
+    (reference.index ? pages[reference.index - 1] : null) ||
+    null
+}
+
+/**
+ * Open a page and let the chat follow it
+ */
+const openPage = async (page) => {
+  await page.setActive()
+  await followActivePage(page)
+}
+
+/**
+ * Apply a pageAction from the AI response ({ action, page?, name? })
+ * Runs before the chartAction of the same response, so a chart lands on the page that was opened.
+ * Resolves to true when the pages were changed, false after an error (already reported).
+ */
+export const applyPageFromAI = async (pageAction) => {
+  try {
+    serverLog('Page Operations: Applying page action:', pageAction)
+
+    const report = getReportInstance()
+    if (!report) {
+      throw new Error('No report instance available')
+    }
+
+    const pages = await report.getPages()
+    const activePage = pages.find(page => page.isActive) || pages[0]
+    const page = pageAction.page ? findPage(pages, pageAction.page) : activePage
+    if (!page) {
+      throw new Error(`Could not find page ${pageAction.page.displayName ? `"${pageAction.page.displayName}"` : pageAction.page.index}`)
+    }
+
+    switch (pageAction.action) {
+      case 'add': {
+        const newPage = await report.addPage(pageAction.name)
+        await openPage(newPage)
+        serverLog(`Page Operations: Page added: ${newPage.displayName}`)
+        break
+      }
+      case 'switch':
+        await openPage(page)
+        serverLog(`Page Operations: Page opened: ${page.displayName}`)
+        break
+      case 'rename': {
+        const previousName = page.displayName
+        await page.setDisplayName(pageAction.name)
+        serverLog(`Page Operations: Page renamed from "${previousName}" to "${pageAction.name}"`)
+        break
+      }
+      case 'delete': {
+        if (pages.length === 1) {
+          throw new Error('The report needs at least one page')
+        }
+        // The open page cannot be deleted; open its neighbour first
+        if (page.name === activePage.name) {
+          const position = pages.indexOf(page)
+          await openPage(pages[position + 1] || pages[position - 1])
+        }
+        await report.deletePage(page.name)
+        serverLog(`Page Operations: Page deleted: ${page.displayName}`)
+        break
+      }
+      default:
+        throw new Error(`Unknown page action "${pageAction.action}"`)
+    }
+    return true
+
+  } catch (error) {
+    logErrorToServer('Page Operations: Error applying page action', error)
+    window.dispatchEvent(new CustomEvent('chart-error', {
+      detail: { message: `Error changing pages: ${error.message}` }
+    }))
+    return false
+  }
+}
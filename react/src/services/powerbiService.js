@@ -188,6 +188,7 @@ export const updateReportState = (newState) => {
 
 /**
  * Create a default visual on the active page (matching vanilla app)
+ * A page that already has visuals is left as it is; the chat adds visuals to it.
  */
 export const createDefaultVisual = async (report) => {
   try {
@@ -207,6 +208,12 @@ export const createDefaultVisual = async (report) => {
       throw new Error('No active page found')
     }
 
+    const existingVisuals = await activePage.getVisuals()
+    if (existingVisuals.length > 0) {
+      serverLog(`PowerBI Service: Active page already has ${existingVisuals.length} visuals - no default visual needed`)
+      return null
+    }
+
     // Create a simple line chart visual with layout (matching vanilla app exactly)
     const customLayout = {
       width: 1242,
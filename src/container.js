@@ -6,7 +6,18 @@
 const configService = require('./services/configService');
 const AgentService = require('./services/agentService');
 const AzureOpenAIProvider = require('./services/azureOpenAIProvider');
+const OpenAIProvider = require('./services/openAIProvider');
+const OpenAICompatibleProvider = require('./services/openAICompatibleProvider');
+const EntraTokenProvider = require('./services/entraTokenProvider');
+const PromptTemplateService = require('./services/promptTemplateService');
+const GlossaryService = require('./services/glossaryService');
+const DaxQueryService = require('./services/daxQueryService');
+const ReplayProvider = require('./services/replayProvider');
+const ConversationService = require('./services/conversationService');
+const MemoryConversationStore = require('./services/memoryConversationStore');
+const FileConversationStore = require('./services/fileConversationStore');
 const ChatController = require('./controllers/chatController');
+const ConversationController = require('./controllers/conversationController');
 const EmbedController = require('./controllers/embedController');
 const MetadataController = require('./controllers/metadataController');
 const FabricController = require('./controllers/fabricController');
@@ -14,10 +25,46 @@ const PowerBIService = require('./services/powerbiService');
 const FabricService = require('./services/fabricService');
 const msal = require('@azure/msal-node');
 const fetch = require('node-fetch');
+const fs = require('fs');
 
 class Container {
   constructor() {
     this.services = {};
+
+    // LLM provider factories keyed by LLM_PROVIDER value: (config, httpClient) => provider
+    this.llmProviderFactories = {
+      'azure-openai': (config, httpClient) => new AzureOpenAIProvider({
+        endpoint: config.azureOpenAIEndpoint,
+        apiKey: config.azureOpenAIApiKey,
+        tokenProvider: this.getAzureOpenAITokenProvider(),
+        deploymentName: config.azureOpenAIDeploymentName,
+        apiVersion: config.azureOpenAIApiVersion,
+        timeoutMs: config.llmTimeoutMs,
+        maxRetries: config.llmMaxRetries
+      }, httpClient),
+      'openai': (config, httpClient) => new OpenAIProvider({
+        apiKey: config.openaiApiKey,
+        model: config.openaiModel,
+        baseUrl: config.openaiBaseUrl,
+        organization: config.openaiOrganization,
+        timeoutMs: config.llmTimeoutMs,
+        maxRetries: config.llmMaxRetries
+      }, httpClient),
+      'openai-compatible': (config, httpClient) => new OpenAICompatibleProvider({
+        baseUrl: config.openaiCompatibleBaseUrl,
+        model: config.openaiCompatibleModel,
+        apiKey: config.openaiCompatibleApiKey,
+        streamUsage: config.openaiCompatibleStreamUsage,
+        timeoutMs: config.llmTimeoutMs,
+        maxRetries: config.llmMaxRetries
+      }, httpClient)
+    };
+
+    // Conversation store factories keyed by CONVERSATION_STORE value: (config) => store
+    this.conversationStoreFactories = {
+      'memory': () => new MemoryConversationStore(),
+      'file': config => new FileConversationStore({ dir: config.conversationDir })
+    };
   }
 
   /**
@@ -29,56 +76,241 @@ class Container {
   }
 
   /**
-   * Get AzureOpenAIProvider instance
-   * Lazy initialization - creates on first request
+   * Register an LLM provider factory
+   * Every provider must implement the same complete() contract as AzureOpenAIProvider.
+   * @param {string} name - Provider name, selected with LLM_PROVIDER
+   * @param {Function} factory - (config, httpClient) => provider instance
    */
-  getAzureOpenAIProvider() {
-    if (!this.services.azureOpenAIProvider) {
+  registerLLMProvider(name, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error('LLM provider factory must be a function');
+    }
+    this.llmProviderFactories[name] = factory;
+    delete this.services.llmProvider;
+  }
+
+  /**
+   * Get the configured LLM provider instance
+   * Lazy initialization - creates the provider selected by LLM_PROVIDER on first request
+   */
+  getLLMProvider() {
+    if (!this.services.llmProvider) {
       const config = this.getConfigService().loadConfig();
+      this.services.llmProvider = this.createLLMProvider(config.llmProvider);
+    }
+    return this.services.llmProvider;
+  }
 
-      // Map application config to provider-specific config
-      const providerConfig = {
-        endpoint: config.azureOpenAIEndpoint,
-        apiKey: config.azureOpenAIApiKey,
-        deploymentName: config.azureOpenAIDeploymentName,
-        apiVersion: config.azureOpenAIApiVersion
-      };
+  /**
+   * Create a new LLM provider instance (not cached)
+   * With LLM_REPLAY_MODE=record the provider is wrapped in a recording ReplayProvider;
+   * with LLM_REPLAY_MODE=replay only recorded responses are served and no provider is created.
+   * @param {string} name - Registered provider name (LLM_PROVIDER value)
+   * @param {Object} [configOverrides] - Config values to override (e.g. another azureOpenAIDeploymentName)
+   * @returns {Object} Provider instance
+   */
+  createLLMProvider(name, configOverrides = {}) {
+    const config = { ...this.getConfigService().loadConfig(), ...configOverrides };
 
-      this.services.azureOpenAIProvider = new AzureOpenAIProvider(
-        providerConfig,
-        fetch
+    if (config.llmReplayMode === ReplayProvider.REPLAY_MODES.REPLAY) {
+      console.log('[Container] Using LLM replay provider (recorded responses only)');
+      return new ReplayProvider({ mode: config.llmReplayMode, dir: config.llmReplayDir });
+    }
+
+    const factory = this.llmProviderFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider "${name}". Registered providers: ${Object.keys(this.llmProviderFactories).join(', ')}`);
+    }
+
+    console.log(`[Container] Using LLM provider: ${name}`);
+    const provider = factory(config, fetch);
+
+    return config.llmReplayMode === ReplayProvider.REPLAY_MODES.RECORD
+      ? new ReplayProvider({ mode: config.llmReplayMode, dir: config.llmReplayDir }, provider)
+      : provider;
+  }
+
+  /**
+   * Get the Entra token provider for Azure OpenAI
+   * Lazy initialization - returns null when AZURE_OPENAI_AUTH_MODE is 'api-key'
+   */
+  getAzureOpenAITokenProvider() {
+    const config = this.getConfigService().loadConfig();
+    if (config.azureOpenAIAuthMode === 'api-key') {
+      return null;
+    }
+
+    if (!this.services.azureOpenAITokenProvider) {
+      let msalClient = null;
+
+      if (config.azureOpenAIAuthMode === EntraTokenProvider.TOKEN_AUTH_MODES.SERVICE_PRINCIPAL) {
+        if (config.azureOpenAIClientCertificatePath) {
+          // Certificate credentials need their own MSAL client
+          msalClient = new msal.ConfidentialClientApplication({
+            auth: {
+              clientId: config.clientId,
+              authority: `https://login.microsoftonline.com/${config.tenantId}`,
+              clientCertificate: {
+                thumbprint: config.azureOpenAIClientCertificateThumbprint,
+                privateKey: fs.readFileSync(config.azureOpenAIClientCertificatePath, 'utf8')
+              }
+            }
+          });
+        } else {
+          // Reuse the Power BI service principal (TENANT_ID/CLIENT_ID/CLIENT_SECRET)
+          msalClient = this.getMsalClient();
+        }
+      }
+
+      this.services.azureOpenAITokenProvider = new EntraTokenProvider(
+        {
+          mode: config.azureOpenAIAuthMode,
+          managedIdentityClientId: config.azureOpenAIManagedIdentityClientId
+        },
+        { msalClient, httpClient: fetch }
       );
     }
-    return this.services.azureOpenAIProvider;
+    return this.services.azureOpenAITokenProvider;
+  }
+
+  /**
+   * Get PromptTemplateService instance
+   * Lazy initialization - template directories come from config
+   */
+  getPromptTemplateService() {
+    if (!this.services.promptTemplateService) {
+      const config = this.getConfigService().loadConfig();
+      this.services.promptTemplateService = new PromptTemplateService({
+        templatesDir: config.promptTemplatesDir,
+        datasetsDir: config.promptDatasetsDir
+      });
+    }
+    return this.services.promptTemplateService;
+  }
+
+  /**
+   * Get GlossaryService instance
+   * Lazy initialization - glossaries live next to the per-dataset prompt overrides
+   */
+  getGlossaryService() {
+    if (!this.services.glossaryService) {
+      const config = this.getConfigService().loadConfig();
+      this.services.glossaryService = new GlossaryService({
+        datasetsDir: config.promptDatasetsDir
+      });
+    }
+    return this.services.glossaryService;
   }
 
   /**
    * Get AgentService instance
-   * Lazy initialization - creates on first request with provider
+   * Lazy initialization - creates on first request with provider and response mode
    */
   getAgentService() {
     if (!this.services.agentService) {
-      this.services.agentService = new AgentService(
-        this.getAzureOpenAIProvider()
-      );
+      this.services.agentService = this.createAgentService(this.getLLMProvider());
     }
     return this.services.agentService;
   }
 
+  /**
+   * Create a new AgentService with the configured agent options (not cached)
+   * Used by tools that run the agent against several providers (e.g. tools/evaluate.js)
+   * @param {Object} llmProvider - Provider instance
+   * @param {Object} [optionOverrides] - AgentService options to override (e.g. responseMode)
+   * @returns {AgentService} Agent service
+   */
+  createAgentService(llmProvider, optionOverrides = {}) {
+    const config = this.getConfigService().loadConfig();
+
+    return new AgentService(llmProvider, {
+      responseMode: config.agentResponseMode,
+      historyTokenBudget: config.chatHistoryTokenBudget,
+      promptTemplates: this.getPromptTemplateService(),
+      schemaTokenBudget: config.schemaTokenBudget,
+      schemaPageSize: config.schemaPageSize,
+      ...optionOverrides
+    });
+  }
+
+  /**
+   * Register a conversation store factory
+   * Every store must implement the same list()/get()/save()/delete() contract as MemoryConversationStore.
+   * @param {string} name - Store name, selected with CONVERSATION_STORE
+   * @param {Function} factory - (config) => store instance
+   */
+  registerConversationStore(name, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error('Conversation store factory must be a function');
+    }
+    this.conversationStoreFactories[name] = factory;
+    delete this.services.conversationStore;
+    delete this.services.conversationService;
+  }
+
+  /**
+   * Get the configured conversation store
+   * Lazy initialization - creates the store selected by CONVERSATION_STORE on first request
+   */
+  getConversationStore() {
+    if (!this.services.conversationStore) {
+      const config = this.getConfigService().loadConfig();
+      const factory = this.conversationStoreFactories[config.conversationStore];
+      if (!factory) {
+        throw new Error(`Unknown conversation store "${config.conversationStore}". Registered stores: ${Object.keys(this.conversationStoreFactories).join(', ')}`);
+      }
+
+      console.log(`[Container] Using conversation store: ${config.conversationStore}`);
+      this.services.conversationStore = factory(config);
+    }
+    return this.services.conversationStore;
+  }
+
+  /**
+   * Get ConversationService instance
+   * Lazy initialization with the configured store and message limit
+   */
+  getConversationService() {
+    if (!this.services.conversationService) {
+      const config = this.getConfigService().loadConfig();
+
+      this.services.conversationService = new ConversationService(
+        this.getConversationStore(),
+        { maxMessages: config.conversationMaxMessages }
+      );
+    }
+    return this.services.conversationService;
+  }
+
   /**
    * Get ChatController instance
-   * Lazy initialization with injected AgentService and PowerBIService
+   * Lazy initialization with injected AgentService, PowerBIService, DaxQueryService and ConversationService
    */
   getChatController() {
     if (!this.services.chatController) {
       this.services.chatController = new ChatController(
         this.getAgentService(),
-        this.getPowerBIService()
+        this.getPowerBIService(),
+        this.getDaxQueryService(),
+        this.getConversationService()
       );
     }
     return this.services.chatController;
   }
 
+  /**
+   * Get ConversationController instance
+   * Lazy initialization with injected ConversationService
+   */
+  getConversationController() {
+    if (!this.services.conversationController) {
+      this.services.conversationController = new ConversationController(
+        this.getConversationService()
+      );
+    }
+    return this.services.conversationController;
+  }
+
   /**
    * Get EmbedController instance
    * Lazy initialization with injected PowerBIService
@@ -141,7 +373,7 @@ class Container {
 
   /**
    * Get PowerBIService instance
-   * Lazy initialization with injected config, msalClient, and httpClient
+   * Lazy initialization with injected config, msalClient, httpClient and glossary
    */
   getPowerBIService() {
     if (!this.services.powerbiService) {
@@ -150,12 +382,29 @@ class Container {
       this.services.powerbiService = new PowerBIService(
         config,
         this.getMsalClient(),
-        fetch
+        fetch,
+        this.getGlossaryService()
       );
     }
     return this.services.powerbiService;
   }
 
+  /**
+   * Get DaxQueryService instance
+   * Lazy initialization with injected PowerBIService and the row limit from config
+   */
+  getDaxQueryService() {
+    if (!this.services.daxQueryService) {
+      const config = this.getConfigService().loadConfig();
+
+      this.services.daxQueryService = new DaxQueryService(
+        this.getPowerBIService(),
+        { maxRows: config.daxQueryMaxRows }
+      );
+    }
+    return this.services.daxQueryService;
+  }
+
   /**
    * Get FabricService instance
    * Lazy initialization with injected config and httpClient
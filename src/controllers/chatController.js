@@ -1,12 +1,119 @@
 const configService = require('../services/configService');
 const errorService = require('../services/errorService');
+const chartActionValidator = require('../services/chartActionValidator');
+const { LLMError, LLMAbortedError, LLMThrottledError } = require('../services/llmErrors');
+
+/**
+ * Add up token usage from several provider calls
+ * @param {Object|null} first - Usage from the first call
+ * @param {Object|null} second - Usage from the second call
+ * @returns {Object|null} Combined usage
+ */
+function combineUsage(first, second) {
+  if (!first) return second || null;
+  if (!second) return first;
+  const combined = {};
+  for (const key of ['prompt_tokens', 'completion_tokens', 'total_tokens']) {
+    combined[key] = (first[key] || 0) + (second[key] || 0);
+  }
+  return combined;
+}
+
+/**
+ * Create an AbortSignal that fires when the client disconnects before we respond
+ * @param {Object} res - Express response
+ * @returns {AbortSignal} Signal passed to the agent service
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('[ChatController] Client disconnected, cancelling LLM request');
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Describe an agent failure for the HTTP response
+ * Typed LLM errors map to their own status code and user-facing message.
+ * @param {Error} error - Error from the agent service
+ * @returns {{status: number, message: string, details: string, retryAfterMs: number|null}} Response description
+ */
+function describeAgentError(error) {
+  if (error instanceof LLMError) {
+    return {
+      status: error.httpStatus,
+      message: error.userMessage,
+      details: error.message,
+      retryAfterMs: error instanceof LLMThrottledError ? error.retryAfterMs : null
+    };
+  }
+  return { status: 500, message: 'Failed to generate response', details: error.message, retryAfterMs: null };
+}
+
+/**
+ * Read a report list (pageVisuals, reportPages) from a chat request body
+ * Entries that are not objects are dropped; anything but an array means the report is unknown.
+ * @param {Object} body - Request body
+ * @param {string} key - Body property
+ * @returns {Array<Object>|null} List entries, or null when the client did not send the list
+ */
+function readReportList(body, key) {
+  const list = body && body[key];
+  if (!Array.isArray(list)) {
+    return null;
+  }
+  return list.filter(entry => entry && typeof entry === 'object' && !Array.isArray(entry));
+}
+
+/**
+ * Read the undo/redo counts from a chat request body
+ * @param {Object} body - Request body
+ * @returns {Object|null} { undo, redo }, or null when the client did not send them
+ */
+function readChangeHistory(body) {
+  const changeHistory = body && body.changeHistory;
+  if (!changeHistory || typeof changeHistory !== 'object') {
+    return null;
+  }
+  const count = value => (Number.isInteger(value) && value >= 0 ? value : 0);
+  return { undo: count(changeHistory.undo), redo: count(changeHistory.redo) };
+}
+
+/**
+ * Read the conversation ID from a chat request body
+ * @param {Object} body - Request body
+ * @returns {string|null} Conversation ID, or null when the chat is not kept on the server
+ */
+function readConversationId(body) {
+  const conversationId = body && body.conversationId;
+  return typeof conversationId === 'string' && conversationId.trim() !== '' ? conversationId.trim() : null;
+}
+
+/**
+ * Write one server-sent event
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
 /**
  * Chat Controller - Handles AI chat functionality
  * Thin wrapper around AgentService with metadata integration
  */
 class ChatController {
-  constructor(agentService, powerbiService) {
+  /**
+   * @param {Object} agentService - AgentService
+   * @param {Object} powerbiService - PowerBIService (dataset metadata)
+   * @param {Object} [daxQueryService] - DaxQueryService that answers data questions (omit to disable them)
+   * @param {Object} [conversationService] - ConversationService that keeps chats on the server (omit to disable them)
+   */
+  constructor(agentService, powerbiService, daxQueryService = null, conversationService = null) {
     if (!agentService) {
       throw new Error('agentService is required');
     }
@@ -15,36 +122,55 @@ class ChatController {
     }
     this.openaiService = agentService; // Keep property name for backward compatibility
     this.powerbiService = powerbiService;
+    this.daxQueryService = daxQueryService;
+    this.conversationService = conversationService;
   }
   /**
      * Process chat message with AI
      * POST /chat
-     * Body: { message, conversation? }
+     * Body: { message, currentChart?, chatHistory?, pageVisuals?, reportPages?, changeHistory?, conversationId? }
+     * pageVisuals lists the visuals on the open page ({ index, title, chartType, current, selected, ...fields });
+     * reportPages lists the pages of the report ({ index, name, displayName, active });
+     * changeHistory counts the chart changes the browser can undo and redo ({ undo, redo });
+     * conversationId names a stored conversation: its messages replace chatHistory and the
+     * request and response are added to it once the response is complete
      */
   async chat(req, res) {
     console.log('[ChatController] Chat request received:', req.body);
     try {
       // Validate request - extract all expected parameters from original implementation
-      const { message, currentChart, chatHistory } = req.body || {};
+      const { message, currentChart, chatHistory: sentHistory } = req.body || {};
+      const pageVisuals = readReportList(req.body, 'pageVisuals');
+      const reportPages = readReportList(req.body, 'reportPages');
+      const changeHistory = readChangeHistory(req.body);
+      const conversationId = readConversationId(req.body);
       console.log('[ChatController] Extracted message:', message);
       console.log('[ChatController] Extracted currentChart:', currentChart);
-      console.log('[ChatController] Extracted chatHistory:', chatHistory);
+      console.log('[ChatController] Extracted chatHistory:', sentHistory);
             
       if (!message || message.trim() === '') {
         console.log('[ChatController] Message validation failed');
         return errorService.sendError(res, 400, 'Message is required');
       }
 
+      // A stored conversation replaces the history the browser sent
+      const conversation = await this._openConversation(conversationId);
+      if (conversationId && !conversation) {
+        return errorService.sendError(res, 404, 'Conversation not found');
+      }
+      const chatHistory = conversation ? this.conversationService.getChatHistory(conversation) : sentHistory;
+
       console.log('[ChatController] Loading configuration...');
       // Load configuration
       const config = configService.loadConfig();
       console.log('[ChatController] Configuration loaded successfully');
       console.log('[ChatController] Configuration loaded successfully');
             
-      // Check OpenAI configuration
-      if (!config.openaiApiKey && !config.azureOpenAIApiKey) {
-        console.log('[ChatController] OpenAI configuration missing');
-        return errorService.sendError(res, 500, 'OpenAI service not configured');
+      // Check LLM provider configuration
+      const llmConfigError = configService.validateLLMConfig(config);
+      if (llmConfigError) {
+        console.log('[ChatController] LLM provider configuration missing:', llmConfigError);
+        return errorService.sendError(res, 500, 'LLM service not configured', llmConfigError);
       }
 
       console.log('[ChatController] Getting metadata context...');
@@ -67,21 +193,47 @@ class ChatController {
 
       console.log('[ChatController] Calling agent service...');
       // Generate response using Agent service
+      const signal = abortOnDisconnect(res);
       try {
         const result = await this.openaiService.processChat(
           message,
           context,
           currentChart,
           chatHistory,
-          { req, res }
+          { signal, datasetId: config.powerBIDatasetId, pageVisuals, reportPages, changeHistory }
         );
 
         console.log('[ChatController] Chat processing complete, result:', result);
 
-        res.json({ response: result.response, usage: result.usage });
+        const chatResponse = await this._buildChatResponse(result, {
+          message,
+          context,
+          currentChart,
+          chatHistory,
+          pageVisuals,
+          reportPages,
+          changeHistory,
+          workspaceId: config.powerBIWorkspaceId,
+          datasetId: config.powerBIDatasetId,
+          signal
+        });
+
+        await this._recordMessages(conversationId, [
+          { role: 'user', content: message },
+          { role: 'assistant', content: chatResponse.chatResponse }
+        ]);
+        res.json({ ...chatResponse, conversationId });
       } catch (openaiError) {
+        if (openaiError instanceof LLMAbortedError) {
+          console.log('[ChatController] Request cancelled by client');
+          return;
+        }
         console.log('[ChatController] OpenAI error:', openaiError.message);
-        return errorService.sendError(res, 500, 'Failed to generate response', openaiError.message);
+        const { status, message: errorMessage, details, retryAfterMs } = describeAgentError(openaiError);
+        if (retryAfterMs !== null) {
+          res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+        }
+        return errorService.sendError(res, status, errorMessage, details);
       }
 
     } catch (error) {
@@ -89,73 +241,499 @@ class ChatController {
     }
   }
 
+  /**
+     * Turn a raw agent result into a typed response
+     * Parses the JSON, validates the chartAction against the dataset schema and
+     * gives the model one chance to correct a response that fails validation.
+     * A field that matches several schema fields is not sent back to the model;
+     * the user picks one of the suggestions instead. A daxQuery is checked the same
+     * way, then run against the dataset and its result appended to the chat text.
+     * An invalid formatAction, pageAction or historyAction is corrected the same way;
+     * if it stays invalid only the formatting, the page change or the undo is dropped.
+     *
+     * @param {Object} result - Provider result from AgentService.processChat
+     * @param {Object} chatContext - Original request context
+     * @param {string} chatContext.message - User message
+     * @param {Object} chatContext.context - Dataset metadata
+     * @param {Object} chatContext.currentChart - Current chart context from frontend
+     * @param {Array} chatContext.chatHistory - Chat history for context
+     * @param {Array<Object>} [chatContext.pageVisuals] - Visuals on the report page (chartAction.visual is checked against them)
+     * @param {Array<Object>} [chatContext.reportPages] - Pages of the report (pageAction.page is checked against them)
+     * @param {Object} [chatContext.changeHistory] - Chart changes the browser can undo and redo ({ undo, redo })
+     * @param {string} [chatContext.workspaceId] - Workspace of the dataset (runs data queries)
+     * @param {string} [chatContext.datasetId] - Dataset whose prompt overrides apply
+     * @param {AbortSignal} [chatContext.signal] - Cancels the correction request
+     * @returns {Promise<Object>} { chatResponse, chartAction, formatAction, pageAction, historyAction, daxQuery, warnings, suggestions, usage, promptVersion, schemaSelection }
+     * @private
+     */
+  async _buildChatResponse(result, { message, context, currentChart, chatHistory, pageVisuals = null, reportPages = null, changeHistory = null, workspaceId = null, datasetId = null, signal = null }) {
+    let validation = await this._validateResponse(result.response, context, { workspaceId, datasetId, pageVisuals, reportPages, changeHistory });
+    let rawResponse = result.response;
+    let usage = result.usage || null;
+    let promptVersion = result.promptVersion || null;
+    const schemaSelection = result.schemaSelection || null;
+
+    const problems = [
+      ...validation.errors,
+      ...validation.formatErrors,
+      ...validation.pageErrors,
+      ...validation.historyErrors,
+      ...validation.daxErrors
+    ];
+    if (problems.length > 0 && validation.suggestions.length === 0) {
+      console.log('[ChatController] Response failed validation, requesting correction:', problems);
+      try {
+        const corrected = await this.openaiService.repairResponse(
+          message,
+          result.response,
+          problems,
+          context,
+          currentChart,
+          chatHistory,
+          { signal, datasetId, pageVisuals, reportPages, changeHistory }
+        );
+        usage = combineUsage(usage, corrected.usage);
+
+        const correctedValidation = await this._validateResponse(corrected.response, context, { workspaceId, datasetId, pageVisuals, reportPages, changeHistory });
+        const correctedProblems = [
+          ...correctedValidation.errors,
+          ...correctedValidation.formatErrors,
+          ...correctedValidation.pageErrors,
+          ...correctedValidation.historyErrors,
+          ...correctedValidation.daxErrors
+        ];
+        if (correctedProblems.length === 0 || correctedValidation.chatResponse) {
+          validation = correctedValidation;
+          rawResponse = corrected.response;
+          promptVersion = corrected.promptVersion || promptVersion;
+        }
+      } catch (repairError) {
+        if (repairError instanceof LLMAbortedError) {
+          throw repairError;
+        }
+        console.log('[ChatController] Correction request failed:', repairError.message);
+      }
+    }
+
+    const warnings = [...validation.warnings];
+    if (validation.suggestions.length > 0) {
+      console.log('[ChatController] Ambiguous field, offering suggestions:', validation.suggestions.map(suggestion => suggestion.label));
+    } else if (validation.errors.length > 0) {
+      console.log('[ChatController] Response still invalid after correction:', validation.errors);
+      warnings.push(`The chart was not changed: ${validation.errors.join('; ')}`);
+    }
+    if (validation.formatErrors.length > 0) {
+      console.log('[ChatController] Formatting still invalid after correction:', validation.formatErrors);
+      warnings.push(`The formatting was not changed: ${validation.formatErrors.join('; ')}`);
+    }
+    if (validation.pageErrors.length > 0) {
+      console.log('[ChatController] Page change still invalid after correction:', validation.pageErrors);
+      warnings.push(`The pages were not changed: ${validation.pageErrors.join('; ')}`);
+    }
+    if (validation.historyErrors.length > 0) {
+      console.log('[ChatController] Undo/redo still invalid after correction:', validation.historyErrors);
+      warnings.push(`Nothing was undone or redone: ${validation.historyErrors.join('; ')}`);
+    }
+
+    // Unparseable output is still shown to the user as plain text
+    let chatResponse = validation.chatResponse || rawResponse;
+    let daxQuery = null;
+    if (validation.daxErrors.length > 0) {
+      console.log('[ChatController] Data query still invalid after correction:', validation.daxErrors);
+      warnings.push(`The data query was not run: ${validation.daxErrors.join('; ')}`);
+      daxQuery = { query: validation.daxQuery, error: validation.daxErrors.join('; ') };
+    } else if (validation.daxQuery) {
+      const answer = await this._answerDataQuestion(validation.daxQuery, workspaceId, datasetId);
+      daxQuery = answer.daxQuery;
+      if (answer.markdown) {
+        chatResponse = `${chatResponse}\n\n${answer.markdown}`;
+      }
+      if (answer.warning) {
+        warnings.push(answer.warning);
+      }
+    }
+
+    return {
+      chatResponse,
+      chartAction: validation.chartAction,
+      formatAction: validation.formatAction,
+      pageAction: validation.pageAction,
+      historyAction: validation.historyAction,
+      daxQuery,
+      warnings,
+      suggestions: validation.suggestions,
+      usage,
+      promptVersion,
+      schemaSelection
+    };
+  }
+
+  /**
+     * Validate an agent response, including its data query and filter values
+     * Filter values that do not exist in their column are errors, so they go
+     * through the same correction request as invalid fields.
+     * @param {string} rawResponse - Raw response text from the agent
+     * @param {Object} context - Dataset metadata
+     * @param {Object} [dataset] - Dataset the filter values are checked against
+     * @param {string} [dataset.workspaceId] - Power BI workspace ID
+     * @param {string} [dataset.datasetId] - Power BI dataset ID
+     * @param {Array<Object>} [dataset.pageVisuals] - Visuals on the report page (checks chartAction.visual)
+     * @param {Array<Object>} [dataset.reportPages] - Pages of the report (checks pageAction.page)
+     * @param {Object} [dataset.changeHistory] - Chart changes the browser can undo and redo (checks historyAction.steps)
+     * @returns {Promise<Object>} validateAgentResponse() result plus daxQuery and daxErrors
+     * @private
+     */
+  async _validateResponse(rawResponse, context, { workspaceId = null, datasetId = null, pageVisuals = null, reportPages = null, changeHistory = null } = {}) {
+    const validation = chartActionValidator.validateAgentResponse(rawResponse, context, { pageVisuals, reportPages, changeHistory });
+    const daxErrors = validation.daxQuery && this.daxQueryService
+      ? this.daxQueryService.checkQuery(validation.daxQuery, context)
+      : [];
+
+    const filters = validation.chartAction && validation.chartAction.filters;
+    if (!filters || !filters.some(filter => filter.type === 'basic') || !this.daxQueryService || !workspaceId || !datasetId) {
+      return { ...validation, daxErrors };
+    }
+
+    try {
+      const checked = await this.daxQueryService.checkFilterValues(workspaceId, datasetId, filters);
+      const warnings = [...validation.warnings, ...checked.warnings];
+      if (checked.errors.length > 0) {
+        return { ...validation, chartAction: null, warnings, errors: [...validation.errors, ...checked.errors], daxErrors };
+      }
+      return { ...validation, chartAction: { ...validation.chartAction, filters: checked.filters }, warnings, daxErrors };
+    } catch (error) {
+      console.log('[ChatController] Filter value check failed:', error.message);
+      return { ...validation, warnings: [...validation.warnings, 'Filter values could not be checked against the dataset'], daxErrors };
+    }
+  }
+
+  /**
+     * Run a checked data query and format its result for the chat
+     * @param {string} query - DAX query from the agent
+     * @param {string} workspaceId - Power BI workspace ID
+     * @param {string} datasetId - Power BI dataset ID
+     * @returns {Promise<{markdown: string|null, daxQuery: Object, warning: string|null}>} Result text, query details and any warning
+     * @private
+     */
+  async _answerDataQuestion(query, workspaceId, datasetId) {
+    if (!this.daxQueryService || !workspaceId || !datasetId) {
+      return {
+        markdown: null,
+        daxQuery: { query, error: 'Data queries are not available' },
+        warning: 'The data query was not run because no Power BI dataset is connected'
+      };
+    }
+
+    try {
+      const result = await this.daxQueryService.runQuery(workspaceId, datasetId, query);
+      return {
+        markdown: this.daxQueryService.formatResult(result),
+        daxQuery: { query, columns: result.columns, rowCount: result.rowCount, truncated: result.truncated },
+        warning: null
+      };
+    } catch (error) {
+      console.log('[ChatController] Data query failed:', error.message);
+      return {
+        markdown: null,
+        daxQuery: { query, error: error.message },
+        warning: 'The data query failed to run against the dataset'
+      };
+    }
+  }
+
   /**
      * Process streaming chat message with AI
      * POST /chat/stream
-     * Body: { message, conversation? }
+     * Body: { message, currentChart?, chatHistory?, pageVisuals?, reportPages?, changeHistory?, conversationId? }
+     *
+     * Responds with server-sent events:
+     * - token:       { text } - next piece of the chatResponse text
+     * - historyAction: validated historyAction ({ action: undo|redo, steps }), sent first: the browser steps back or forward before other changes
+     * - pageAction:  validated pageAction (add, switch, rename or delete a page), sent first so the chart lands on that page
+     * - chartAction: validated chartAction, sent once the response is complete
+     * - formatAction: validated formatAction (chart title, data labels, legend, axis titles), sent after the chartAction
+     * - done:        { chatResponse, daxQuery, warnings, suggestions, usage, promptVersion, schemaSelection, conversationId } - final (possibly corrected) response;
+     *                suggestions holds { label, axis, chartAction } choices when a field was ambiguous,
+     *                daxQuery the data query that answered the question ({ query, rowCount, truncated } or { query, error }),
+     *                conversationId the conversation the turn was added to (null without one),
+     *                usage the token usage reported for the reply, null when the provider reported none
+     *                (Azure OpenAI api-versions before 2024-09-01-preview, OpenAI-compatible servers unless
+     *                OPENAI_COMPATIBLE_STREAM_USAGE=true)
+     * - error:       { error, details, code } - code is the LLM error kind (throttled, auth, ...)
      */
   async chatStream(req, res) {
+    const { message, currentChart, chatHistory: sentHistory } = req.body || {};
+    const pageVisuals = readReportList(req.body, 'pageVisuals');
+    const reportPages = readReportList(req.body, 'reportPages');
+    const changeHistory = readChangeHistory(req.body);
+    const conversationId = readConversationId(req.body);
+
+    if (!message || message.trim() === '') {
+      return errorService.sendError(res, 400, 'Message is required');
+    }
+
+    let conversation = null;
     try {
-      // Validate request
-      const { message, conversation = [] } = req.body || {};
-      if (!message || message.trim() === '') {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        res.setHeader('Access-Control-Allow-Origin', '*');
-                
-        res.write('data: {"error": "Message is required"}\n\n');
-        res.end();
-        return;
+      conversation = await this._openConversation(conversationId);
+    } catch (conversationError) {
+      console.log('[ChatController] Conversation error:', conversationError.message);
+      return errorService.sendError(res, 500, 'Failed to load conversation', conversationError.message);
+    }
+    if (conversationId && !conversation) {
+      return errorService.sendError(res, 404, 'Conversation not found');
+    }
+    const chatHistory = conversation ? this.conversationService.getChatHistory(conversation) : sentHistory;
+
+    const config = configService.loadConfig();
+    const llmConfigError = configService.validateLLMConfig(config);
+    if (llmConfigError) {
+      return errorService.sendError(res, 500, 'LLM service not configured', llmConfigError);
+    }
+
+    let context = null;
+    try {
+      const workspaceId = config.powerBIWorkspaceId;
+      const datasetId = config.powerBIDatasetId;
+
+      if (workspaceId && datasetId) {
+        context = await this.powerbiService.getMetadataContext(workspaceId, datasetId);
       }
+    } catch (contextError) {
+      console.log('[ChatController] Metadata context error:', contextError.message);
+      return errorService.sendError(res, 500, 'Failed to retrieve data context', contextError.message);
+    }
 
-      // Set streaming headers
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+    // Set streaming headers
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.flushHeaders();
 
-      // Load configuration and get context
-      const config = configService.loadConfig();
-      let context = null;
-            
-      try {
-        const workspaceId = config.powerBIWorkspaceId;
-        const datasetId = config.powerBIDatasetId;
-                
-        if (workspaceId && datasetId) {
-          context = await this.powerbiService.getMetadataContext(workspaceId, datasetId);
+    const signal = abortOnDisconnect(res);
+    try {
+      const responseStream = this.openaiService.generateStreamingResponse(
+        message,
+        context,
+        currentChart,
+        chatHistory,
+        { signal, datasetId: config.powerBIDatasetId, pageVisuals, reportPages, changeHistory }
+      );
+
+      let result = null;
+      for await (const event of responseStream) {
+        if (event.type === 'token') {
+          writeEvent(res, 'token', { text: event.text });
+        } else if (event.type === 'result') {
+          result = event.result;
         }
-      } catch {
-        res.write('data: {"error": "Failed to retrieve data context"}\n\n');
-        res.end();
+      }
+
+      const chatResponse = await this._buildChatResponse(result, {
+        message,
+        context,
+        currentChart,
+        chatHistory,
+        pageVisuals,
+        reportPages,
+        changeHistory,
+        workspaceId: config.powerBIWorkspaceId,
+        datasetId: config.powerBIDatasetId,
+        signal
+      });
+
+      if (chatResponse.historyAction) {
+        writeEvent(res, 'historyAction', chatResponse.historyAction);
+      }
+      if (chatResponse.pageAction) {
+        writeEvent(res, 'pageAction', chatResponse.pageAction);
+      }
+      if (chatResponse.chartAction) {
+        writeEvent(res, 'chartAction', chatResponse.chartAction);
+      }
+      if (chatResponse.formatAction) {
+        writeEvent(res, 'formatAction', chatResponse.formatAction);
+      }
+      await this._recordMessages(conversationId, [
+        { role: 'user', content: message },
+        { role: 'assistant', content: chatResponse.chatResponse }
+      ]);
+      writeEvent(res, 'done', {
+        chatResponse: chatResponse.chatResponse,
+        daxQuery: chatResponse.daxQuery,
+        warnings: chatResponse.warnings,
+        suggestions: chatResponse.suggestions,
+        usage: chatResponse.usage,
+        promptVersion: chatResponse.promptVersion,
+        schemaSelection: chatResponse.schemaSelection,
+        conversationId
+      });
+
+    } catch (error) {
+      if (error instanceof LLMAbortedError) {
+        console.log('[ChatController] Stream cancelled by client');
         return;
       }
+      console.log('[ChatController] Streaming error:', error.message);
+      const { message: errorMessage, details, retryAfterMs } = describeAgentError(error);
+      writeEvent(res, 'error', {
+        error: errorMessage,
+        details,
+        code: error instanceof LLMError ? error.code : null,
+        ...(retryAfterMs !== null && { retryAfterMs })
+      });
+    }
 
-      // Generate streaming response
-      try {
-        const responseStream = this.openaiService.generateStreamingResponse(
-          message,
-          Array.isArray(conversation) ? conversation : [],
-          context
-        );
+    res.end();
+  }
 
-        for await (const chunk of responseStream) {
-          res.write(`data: ${chunk}\n\n`);
-        }
+  /**
+     * Fix a chartAction that Power BI rejected in the browser
+     * POST /chat/correct
+     * Body: { message, chartAction, error, attempt?, currentChart?, chatHistory?, pageVisuals?, reportPages?, conversationId? }
+     * message is the user request the chartAction answered, error the Power BI error and
+     * attempt counts the corrections for that request (1 = first). With a conversationId the
+     * stored messages are the chat history and the reply is added to them. Responds like POST /chat
+     * with the corrected response, plus { attempt, maxAttempts }. Once the attempts are used
+     * up the model is not asked again: the response has no chartAction and asks the user.
+     */
+  async correct(req, res) {
+    const { message, chartAction, error, currentChart, chatHistory: sentHistory } = req.body || {};
+    const pageVisuals = readReportList(req.body, 'pageVisuals');
+    const reportPages = readReportList(req.body, 'reportPages');
+    const conversationId = readConversationId(req.body);
+    const attempt = Number.isInteger(req.body && req.body.attempt) && req.body.attempt > 0 ? req.body.attempt : 1;
+
+    if (!message || typeof message !== 'string' || message.trim() === '') {
+      return errorService.sendError(res, 400, 'Message is required');
+    }
+    if (!chartAction || typeof chartAction !== 'object' || Array.isArray(chartAction)) {
+      return errorService.sendError(res, 400, 'chartAction is required');
+    }
+    if (!error || typeof error !== 'string') {
+      return errorService.sendError(res, 400, 'error is required');
+    }
 
-        res.write('data: [DONE]\n\n');
-        res.end();
+    let conversation = null;
+    try {
+      conversation = await this._openConversation(conversationId);
+    } catch (conversationError) {
+      console.log('[ChatController] Conversation error:', conversationError.message);
+      return errorService.sendError(res, 500, 'Failed to load conversation', conversationError.message);
+    }
+    if (conversationId && !conversation) {
+      return errorService.sendError(res, 404, 'Conversation not found');
+    }
+    const chatHistory = conversation ? this.conversationService.getChatHistory(conversation) : sentHistory;
+
+    const config = configService.loadConfig();
+    const maxAttempts = config.chatCorrectionAttempts;
+    if (attempt > maxAttempts) {
+      console.log(`[ChatController] Correction attempts used up (${maxAttempts}), asking the user`);
+      const question = `I couldn't build that chart: Power BI reported "${error}". Could you rephrase the request or pick other fields?`;
+      await this._recordMessages(conversationId, [{ role: 'assistant', content: question }]);
+      return res.json({
+        chatResponse: question,
+        chartAction: null,
+        formatAction: null,
+        pageAction: null,
+        historyAction: null,
+        daxQuery: null,
+        warnings: [],
+        suggestions: [],
+        usage: null,
+        attempt,
+        maxAttempts,
+        conversationId
+      });
+    }
 
-      } catch {
-        res.write('data: {"error": "Failed to generate streaming response"}\n\n');
-        res.end();
+    const llmConfigError = configService.validateLLMConfig(config);
+    if (llmConfigError) {
+      return errorService.sendError(res, 500, 'LLM service not configured', llmConfigError);
+    }
+
+    let context = null;
+    try {
+      if (config.powerBIWorkspaceId && config.powerBIDatasetId) {
+        context = await this.powerbiService.getMetadataContext(config.powerBIWorkspaceId, config.powerBIDatasetId);
       }
+    } catch (contextError) {
+      console.log('[ChatController] Metadata context error:', contextError.message);
+      return errorService.sendError(res, 500, 'Failed to retrieve data context', contextError.message);
+    }
 
-    } catch {
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.write('data: {"error": "Streaming request failed"}\n\n');
-      res.end();
+    console.log(`[ChatController] Correcting chartAction rejected by Power BI (attempt ${attempt} of ${maxAttempts}):`, error);
+    const signal = abortOnDisconnect(res);
+    try {
+      const result = await this.openaiService.correctChartAction(
+        message,
+        chartAction,
+        error,
+        context,
+        currentChart,
+        chatHistory,
+        { signal, datasetId: config.powerBIDatasetId, pageVisuals, reportPages }
+      );
+
+      const chatResponse = await this._buildChatResponse(result, {
+        message,
+        context,
+        currentChart,
+        chatHistory,
+        pageVisuals,
+        reportPages,
+        workspaceId: config.powerBIWorkspaceId,
+        datasetId: config.powerBIDatasetId,
+        signal
+      });
+
+      // The user message is already in the conversation; only the reply is added
+      await this._recordMessages(conversationId, [{ role: 'assistant', content: chatResponse.chatResponse }]);
+      // The page change and undo of the original response have already run
+      res.json({ ...chatResponse, pageAction: null, historyAction: null, attempt, maxAttempts, conversationId });
+    } catch (correctionError) {
+      if (correctionError instanceof LLMAbortedError) {
+        console.log('[ChatController] Correction cancelled by client');
+        return;
+      }
+      console.log('[ChatController] Correction failed:', correctionError.message);
+      const { status, message: errorMessage, details, retryAfterMs } = describeAgentError(correctionError);
+      if (retryAfterMs !== null) {
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+      }
+      return errorService.sendError(res, status, errorMessage, details);
+    }
+  }
+
+  /**
+     * Load the stored conversation a chat request continues
+     * @param {string|null} conversationId - Conversation ID from the request
+     * @returns {Promise<Object|null>} Conversation, or null without an ID or when it does not exist
+     * @private
+     */
+  async _openConversation(conversationId) {
+    if (!conversationId || !this.conversationService) {
+      return null;
+    }
+    return this.conversationService.getConversation(conversationId);
+  }
+
+  /**
+     * Add the messages of a completed turn to a stored conversation
+     * A failed save is logged; the response is still sent.
+     * @param {string|null} conversationId - Conversation ID from the request
+     * @param {Array<Object>} messages - { role, content } to add
+     * @private
+     */
+  async _recordMessages(conversationId, messages) {
+    if (!conversationId || !this.conversationService) {
+      return;
+    }
+    try {
+      await this.conversationService.appendMessages(conversationId, messages);
+    } catch (error) {
+      console.log('[ChatController] Could not save conversation messages:', error.message);
     }
   }
 
@@ -168,7 +746,8 @@ class ChatController {
       const config = configService.loadConfig();
             
       // Check service configurations
-      const openaiConfigured = !!(config.openaiApiKey || (config.azureOpenAIApiKey && config.azureOpenAIEndpoint));
+      const llmConfigError = configService.validateLLMConfig(config);
+      const openaiConfigured = !llmConfigError;
       const powerbiConfigured = !!(config.powerBIWorkspaceId && config.powerBIDatasetId);
             
       let status = 'ok';
@@ -184,8 +763,11 @@ class ChatController {
         service: 'chat',
         message,
         configuration: {
+          llmProvider: config.llmProvider,
+          llmReplayMode: config.llmReplayMode,
           openaiConfigured,
-          powerbiConfigured
+          powerbiConfigured,
+          ...(llmConfigError && { llmConfigError })
         },
         timestamp: new Date().toISOString()
       });
@@ -0,0 +1,163 @@
+const errorService = require('../services/errorService');
+const { MAX_TITLE_LENGTH } = require('../services/conversationService');
+
+/**
+ * Conversation Controller - Lists, opens, renames and deletes chat conversations
+ * Thin wrapper around ConversationService; chat turns are added by the chat endpoints
+ */
+class ConversationController {
+  /**
+   * @param {Object} conversationService - ConversationService
+   */
+  constructor(conversationService) {
+    if (!conversationService) {
+      throw new Error('conversationService is required');
+    }
+    this.conversationService = conversationService;
+  }
+
+  /**
+   * List the conversations, most recently used first
+   * GET /conversations
+   * Responds with { conversations: [{ id, title, createdAt, updatedAt, messageCount, hasChart }] }
+   */
+  async list(req, res) {
+    try {
+      const conversations = await this.conversationService.listConversations();
+      res.json({ conversations });
+    } catch (error) {
+      console.error('[ConversationController] List error:', error);
+      errorService.sendError(res, 500, 'Failed to list conversations', error.message);
+    }
+  }
+
+  /**
+   * Start a conversation
+   * POST /conversations
+   * Body: { title? } - untitled conversations are named after their first message
+   */
+  async create(req, res) {
+    const { title } = req.body || {};
+    if (title !== undefined && title !== null && !this._isValidTitle(title)) {
+      return errorService.sendError(res, 400, `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`);
+    }
+
+    try {
+      const conversation = await this.conversationService.createConversation({ title });
+      res.status(201).json(conversation);
+    } catch (error) {
+      console.error('[ConversationController] Create error:', error);
+      errorService.sendError(res, 500, 'Failed to create conversation', error.message);
+    }
+  }
+
+  /**
+   * Get a conversation with its messages and chart state
+   * GET /conversations/:id
+   */
+  async get(req, res) {
+    try {
+      const conversation = await this.conversationService.getConversation(req.params.id);
+      if (!conversation) {
+        return errorService.sendError(res, 404, 'Conversation not found');
+      }
+      res.json(conversation);
+    } catch (error) {
+      console.error('[ConversationController] Get error:', error);
+      errorService.sendError(res, 500, 'Failed to load conversation', error.message);
+    }
+  }
+
+  /**
+   * Rename a conversation or keep the chart it produced
+   * PATCH /conversations/:id
+   * Body: { title?, chartState? } - chartState is the chart as the browser captured it
+   * ({ pageName, visualName, config }), or null to forget it
+   */
+  async update(req, res) {
+    const body = req.body || {};
+    const hasTitle = body.title !== undefined;
+    const hasChartState = body.chartState !== undefined;
+
+    if (!hasTitle && !hasChartState) {
+      return errorService.sendError(res, 400, 'title or chartState is required');
+    }
+    if (hasTitle && !this._isValidTitle(body.title)) {
+      return errorService.sendError(res, 400, `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`);
+    }
+    if (hasChartState && body.chartState !== null && (typeof body.chartState !== 'object' || Array.isArray(body.chartState))) {
+      return errorService.sendError(res, 400, 'chartState must be an object or null');
+    }
+
+    try {
+      const id = req.params.id;
+      let summary = null;
+      if (hasTitle) {
+        summary = await this.conversationService.renameConversation(id, body.title);
+      }
+      if (hasChartState && (summary || !hasTitle)) {
+        summary = await this.conversationService.saveChartState(id, body.chartState);
+      }
+      if (!summary) {
+        return errorService.sendError(res, 404, 'Conversation not found');
+      }
+      res.json(summary);
+    } catch (error) {
+      console.error('[ConversationController] Update error:', error);
+      errorService.sendError(res, 500, 'Failed to update conversation', error.message);
+    }
+  }
+
+  /**
+   * Add messages the browser produced without a chat request (e.g. a suggestion the user picked)
+   * POST /conversations/:id/messages
+   * Body: { messages: [{ role: 'user'|'assistant', content }] }
+   */
+  async addMessages(req, res) {
+    const { messages } = req.body || {};
+    const valid = Array.isArray(messages) && messages.length > 0 && messages.every(message =>
+      message && ['user', 'assistant'].includes(message.role) && typeof message.content === 'string'
+    );
+    if (!valid) {
+      return errorService.sendError(res, 400, 'messages must be a non-empty list of { role: user|assistant, content }');
+    }
+
+    try {
+      const conversation = await this.conversationService.appendMessages(req.params.id, messages);
+      if (!conversation) {
+        return errorService.sendError(res, 404, 'Conversation not found');
+      }
+      res.json(this.conversationService.summarize(conversation));
+    } catch (error) {
+      console.error('[ConversationController] Add messages error:', error);
+      errorService.sendError(res, 500, 'Failed to add messages', error.message);
+    }
+  }
+
+  /**
+   * Delete a conversation
+   * DELETE /conversations/:id
+   */
+  async remove(req, res) {
+    try {
+      const deleted = await this.conversationService.deleteConversation(req.params.id);
+      if (!deleted) {
+        return errorService.sendError(res, 404, 'Conversation not found');
+      }
+      res.status(204).end();
+    } catch (error) {
+      console.error('[ConversationController] Delete error:', error);
+      errorService.sendError(res, 500, 'Failed to delete conversation', error.message);
+    }
+  }
+
+  /**
+   * Check a title from a request body
+   * @private
+   */
+  _isValidTitle(title) {
+    return typeof title === 'string' && title.trim() !== '' && title.trim().length <= MAX_TITLE_LENGTH;
+  }
+}
+
+module.exports = ConversationController;
@@ -1,5 +1,6 @@
 const errorService = require('../services/errorService');
 const configService = require('../services/configService');
+const visualTypeRegistry = require('../services/visualTypeRegistry');
 const EmbedController = require('./embedController');
 const MetadataController = require('./metadataController');
 const ChatController = require('./chatController');
@@ -164,6 +165,20 @@ class SystemController {
       errorService.sendError(res, 500, 'Failed to get frontend config', error.message);
     }
   }
+
+  /**
+     * Visual type registry endpoint
+     * GET /system/visual-types
+     * The browser clients bind chartAction fields to data roles from this registry.
+     */
+  static getVisualTypes(req, res) {
+    try {
+      res.json(visualTypeRegistry.getRegistry());
+    } catch (error) {
+      console.error('[SystemController] Visual types error:', error);
+      errorService.sendError(res, 500, 'Failed to get visual types', error.message);
+    }
+  }
 }
 
 module.exports = SystemController;
\ No newline at end of file
@@ -13,9 +13,15 @@ const chatController = container.getChatController();
 router.post('/chat', (req, res) => chatController.chat(req, res));
 
 /**
- * Streaming chat endpoint (future enhancement)
+ * Streaming chat endpoint (server-sent events)
  * POST /chat/stream
  */
-// router.post('/chat/stream', chatController.chatStream);
+router.post('/chat/stream', (req, res) => chatController.chatStream(req, res));
+
+/**
+ * Correction endpoint: a chartAction Power BI rejected in the browser goes back to the model
+ * POST /chat/correct
+ */
+router.post('/chat/correct', (req, res) => chatController.correct(req, res));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,44 @@
+const express = require('express');
+const container = require('../container');
+
+const router = express.Router();
+
+const conversationController = container.getConversationController();
+
+/**
+ * List conversations
+ * GET /conversations
+ */
+router.get('/conversations', (req, res) => conversationController.list(req, res));
+
+/**
+ * Start a conversation
+ * POST /conversations
+ */
+router.post('/conversations', (req, res) => conversationController.create(req, res));
+
+/**
+ * Get a conversation with its messages and chart state
+ * GET /conversations/:id
+ */
+router.get('/conversations/:id', (req, res) => conversationController.get(req, res));
+
+/**
+ * Rename a conversation or save its chart state
+ * PATCH /conversations/:id
+ */
+router.patch('/conversations/:id', (req, res) => conversationController.update(req, res));
+
+/**
+ * Add messages to a conversation
+ * POST /conversations/:id/messages
+ */
+router.post('/conversations/:id/messages', (req, res) => conversationController.addMessages(req, res));
+
+/**
+ * Delete a conversation
+ * DELETE /conversations/:id
+ */
+router.delete('/conversations/:id', (req, res) => conversationController.remove(req, res));
+
+module.exports = router;
@@ -5,6 +5,7 @@ const express = require('express');
 const embedRoutes = require('./embedRoutes');
 const metadataRoutes = require('./metadataRoutes');
 const chatRoutes = require('./chatRoutes');
+const conversationRoutes = require('./conversationRoutes');
 const systemRoutes = require('./systemRoutes');
 const fabricRoutes = require('./fabricRoutes');
 
@@ -35,6 +36,7 @@ module.exports = function mountRoutes(app) {
   app.use('/', embedRoutes);      // /getEmbedToken
   app.use('/', metadataRoutes);   // /getDatasetMetadata, /debug/metadata
   app.use('/', chatRoutes);       // /chat
+  app.use('/', conversationRoutes); // /conversations
   app.use('/', systemRoutes);     // /health, /log-error, /log-console
   app.use('/fabric', fabricRoutes); // /fabric/reports/ensure
   
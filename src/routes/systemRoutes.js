@@ -39,4 +39,10 @@ router.get('/system/info', systemController.getSystemInfo);
  */
 router.get('/system/config', systemController.getFrontendConfig);
 
+/**
+ * Visual type registry (data roles per visual type)
+ * GET /system/visual-types
+ */
+router.get('/system/visual-types', systemController.getVisualTypes);
+
 module.exports = router;
\ No newline at end of file
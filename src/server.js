@@ -4,8 +4,6 @@
 const PORT = process.env.PORT || 5300;
 const app = require('./app');
 
-/* global setTimeout */
-
 // Add global error handlers before requiring anything else
 process.on('uncaughtException', (err) => {
   console.error('🚨 [FATAL] Uncaught Exception:', err);
@@ -1,225 +1,383 @@
+const crypto = require('crypto');
+const { RESPONSE_MODES, AGENT_TOOLS, RESPONSE_JSON_SCHEMA } = require('./agentTools');
+const { estimateMessageTokens } = require('./tokenEstimator');
+const { extractPartialChatResponse, SUPPORTED_CHART_TYPES } = require('./chartActionValidator');
+const PromptTemplateService = require('./promptTemplateService');
+const schemaSelector = require('./schemaSelector');
+const visualTypeRegistry = require('./visualTypeRegistry');
+const { FORMAT_PROPERTIES } = require('./formatActionValidator');
+const { LLMError, LLMAbortedError } = require('./llmErrors');
+
+// Default token budget for verbatim conversation history
+const DEFAULT_HISTORY_TOKEN_BUDGET = 2000;
+
+// Maximum number of cached block summaries
+const SUMMARY_CACHE_SIZE = 200;
+
+// Older turns are summarized in blocks. A block ends after an assistant turn picked by its
+// content (about one in SUMMARY_BLOCK_SPREAD) or after MAX_SUMMARY_BLOCK_TURNS turns, so the
+// blocks, and the summarization requests, stay the same when the start of the history moves.
+const SUMMARY_BLOCK_SPREAD = 3;
+const MAX_SUMMARY_BLOCK_TURNS = 16;
+// Newest block summaries sent with a request
+const MAX_SUMMARY_BLOCKS = 8;
+
+/**
+ * Check whether a tool call argument was filled in (not omitted, null or empty)
+ * @param {*} value - Tool call argument
+ * @returns {boolean} True when the argument has a value
+ */
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Split older turns into the blocks they are summarized in
+ * Turns after the last complete block are left out; they are sent verbatim until their block ends.
+ * @param {Array<Object>} turns - Conversation turns ({ role, content }, oldest first)
+ * @returns {Array<Array<Object>>} Complete blocks, oldest first
+ */
+function splitSummaryBlocks(turns) {
+  const blocks = [];
+  let block = [];
+  for (const turn of turns) {
+    block.push(turn);
+    const endsBlock = turn.role === 'assistant' &&
+      parseInt(crypto.createHash('sha256').update(turn.content).digest('hex').slice(0, 8), 16) % SUMMARY_BLOCK_SPREAD === 0;
+    if (endsBlock || block.length >= MAX_SUMMARY_BLOCK_TURNS) {
+      blocks.push(block);
+      block = [];
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Format conversation turns as a transcript for summarization
+ * @param {Array<Object>} turns - Conversation turns ({ role, content })
+ * @returns {string} One "User: ..." or "Assistant: ..." line per turn
+ */
+function formatTranscript(turns) {
+  return turns
+    .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+    .join('\n');
+}
+
 /**
  * Agent Service - Handles AI chat agent logic and prompt building
  * This service orchestrates chat interactions but delegates LLM communication to a provider
  */
 class AgentService {
-  constructor(llmProvider) {
+  /**
+   * @param {Object} llmProvider - Provider implementing complete()
+   * @param {Object} [options] - Agent options
+   * @param {string} [options.responseMode='prompt'] - 'prompt', 'json_schema' or 'tools' (see agentTools.RESPONSE_MODES)
+   * @param {number} [options.historyTokenBudget=2000] - Tokens of recent history sent verbatim before older turns are summarized
+   * @param {Object} [options.promptTemplates] - PromptTemplateService used to render the system prompt
+   * @param {number} [options.schemaTokenBudget=2000] - Tokens of schema fields sent in the prompt (most relevant fields first)
+   * @param {number} [options.schemaPageSize=50] - Fields per page when listing the whole schema
+   */
+  constructor(llmProvider, options = {}) {
     if (!llmProvider) {
       throw new Error('llmProvider is required');
     }
+    const responseMode = options.responseMode || RESPONSE_MODES.PROMPT;
+    if (!Object.values(RESPONSE_MODES).includes(responseMode)) {
+      throw new Error(`Unknown agent response mode: ${responseMode}`);
+    }
     this.llmProvider = llmProvider;
+    this.responseMode = responseMode;
+    this.historyTokenBudget = options.historyTokenBudget || DEFAULT_HISTORY_TOKEN_BUDGET;
+    this.summaryCache = new Map();
+    this.promptTemplates = options.promptTemplates || new PromptTemplateService();
+    this.schemaTokenBudget = options.schemaTokenBudget || schemaSelector.DEFAULT_SCHEMA_TOKEN_BUDGET;
+    this.schemaPageSize = options.schemaPageSize || schemaSelector.DEFAULT_SCHEMA_PAGE_SIZE;
     this.initialized = true; // No async initialization needed anymore
   }
 
   /**
      * Build dynamic system prompt based on dataset metadata
-     * EXACT COPY from /src/agent.js buildDynamicSystemPrompt()
-     * 
+     *
      * @param {Object} metadata - Dataset metadata from PowerBI
      * @param {Object} currentChart - Current chart context
      * @param {Array} chatHistory - Chat history for context
+     * @param {string} [datasetId] - Dataset whose prompt overrides apply
+     * @param {string} [message] - Current user message (ranks schema fields by relevance)
+     * @param {Object} [report] - Report context from the browser ({ pageVisuals, reportPages, changeHistory })
      * @returns {string} - Constructed system prompt
      */
-  buildSystemPrompt(metadata = null, currentChart = null, chatHistory = null) {
-    const basePrompt = `You are a specialized Power BI chart creation assistant. Use ONLY the fields explicitly listed in the schema section. Never invent or guess field names.
-
-CORE RESPONSIBILITIES:
-1. Create and modify charts using available dataset fields
-2. Answer questions about the dataset schema (tables, columns, data types) to help users understand what's available
-3. Provide guidance on field usage and chart creation
-
-DATA UNDERSTANDING:
-- Measures: Numeric values that can be aggregated (typically go on value axes) - examples: TotalSales, Revenue, Count, etc.
-- Dimensions: Categorical or time-based fields used for grouping (typically go on category axes) - examples: Month, District, Category, Date, etc.
-- The system will attempt to use any field names you specify - if a field doesn't exist, Power BI will return an error
-
-SCOPE AND LIMITATIONS:
-- PRIMARY: You help with creating charts using fields available in the Power BI dataset
-- SECONDARY: You MUST answer questions about the dataset schema when asked (tables, columns, data types)
-- When users ask "what tables are available?", "show me the schema", "what fields can I use?", etc., provide the information from the SCHEMA section below
-- If a field doesn't exist, the system will show an error and you can suggest alternatives
-- If users ask about non-chart related tasks (like data modeling, report formatting, or other Power BI features), politely decline and redirect them to chart creation
-
-CHART TYPES:
-1. If user explicitly specifies a chart type (e.g., "bar chart", "pie chart"), use their preference
-2. AUTOMATIC CHART TYPE SELECTION based on data:
-   - MULTI-DIMENSIONAL with time + categorical: "sales by month by district" = clusteredColumnChart (time on x-axis, categorical as series)
-   - Single time-based dimension: "sales by month" = lineChart  
-   - Single categorical dimension: "sales by district" = columnChart
-   - Examples: 
-     * "sales by month" = lineChart
-     * "sales by region" = columnChart  
-     * "sales by month by district" = clusteredColumnChart
-     * "revenue by quarter by category" = clusteredColumnChart
-3. Default fallback: columnChart only if no time dimension is present
-- Valid chart types: columnChart, clusteredColumnChart, barChart, lineChart, areaChart, pieChart
-
-CRITICAL: Multi-dimensional queries with BOTH time and categorical dimensions should use clusteredColumnChart to show groups over time
-
-AXIS ASSIGNMENT RULES (FOLLOW EXACTLY):
-CRITICAL: After deciding on the chart type, you MUST apply the correct axis assignments for that specific chart type:
-
-1. **Column Charts & Clustered Column Charts**: 
-   - X-axis: Dimensions/categories (e.g., District.District, Time.Month)
-   - Y-axis: Measures (e.g., Sales.TotalSales)
-
-2. **Bar Charts** (SPECIAL CASE - AXES ARE SWAPPED):
-   - Y-axis: Dimensions/categories (e.g., District.District) 
-   - X-axis: Measures (e.g., Sales.TotalSales)
-   - REMEMBER: Bar charts are horizontal, so dimensions go on Y-axis!
-
-3. **Line Charts & Area Charts**: 
-   - X-axis: Time dimensions (preferred) or other dimensions
-   - Y-axis: Measures
-
-4. **Pie Charts**: 
-   - xAxis: Categories as slices
-   - yAxis: Measures as values
-
-CRITICAL BAR CHART RULE: When the user requests a "bar chart" or you decide on barChart, you MUST swap the axes compared to column charts. Dimensions go on Y-axis, measures go on X-axis.
-
-Examples of correct axis assignment:
-- "sales by district" → columnChart: xAxis="District.District", yAxis="Sales.TotalSales"  
-- "bar chart of sales by district" → barChart: yAxis="District.District", xAxis="Sales.TotalSales"
-- "change to bar chart" (from column chart) → barChart: swap the axes from the current chart
-
-FIELD NAMING REQUIREMENTS (CRITICAL):
-- ALWAYS use the full Table.FieldName format (e.g., "Sales.TotalSales", "Time.Month", "District.District")
-- NEVER use short field names without table prefixes (e.g., "TotalSales", "Month", "District")
-- This applies to ALL chartAction responses regardless of context or examples
-- Even if chat history or examples show shorter names, you MUST use the full Table.FieldName format
-
-CHAT RESPONSE FIELD REFERENCE REQUIREMENTS:
-- When mentioning field names in your chatResponse text, ALWAYS use the exact field names from the schema
-- Highlight field names using markdown backticks (e.g., \`Sales.TotalSales\`, \`Time.Month\`, \`District.District\`)
-- This makes field names clearly identifiable and consistent with the actual data structure
-- Example: "I'll create a chart showing \`Sales.TotalSales\` by \`District.District\`" instead of "sales by district"
-
-GENERAL PRINCIPLES:
-- Time-based dimensions (like Month) work best on X-axis for line/area charts
-- Categorical dimensions work well on either axis depending on chart type
-- Measures (numeric values) typically go on value axes (Y for column/line, X for bar)
-- Consider readability: long category names may work better on Y-axis (bar charts)
-
-DATASET SCHEMA QUESTIONS:
-When users ask about the dataset (e.g., "what tables are available?", "show me the schema", "what fields can I use?"):
-- Always provide helpful information from the SCHEMA section
-- List the available tables and their columns
-- This is a core part of your role - never refuse these questions
-
-PARTIAL UPDATES:
-- Users can make partial updates like "change it to a line chart" or "show units instead"
-- When users say "change it" or "make it", they're referring to the current chart
-- For partial updates, preserve existing axes unless specifically mentioned (EXCEPT when chart type changes and axis roles swap e.g. column -> bar)
-- If no current chart exists and user makes a partial request, ask them to create a chart first
-
-RESPONSE FORMAT:
-Your response must be a JSON object with two parts:
-
-1. "chatResponse" - Text to display to the user in chat history
-2. "chartAction" - Chart creation/modification data (only when you have enough info)
-
-WHEN YOU DON'T HAVE ENOUGH INFO (no chartAction needed):
-{
-  "chatResponse": "Your helpful response asking for clarification or providing guidance"
-}
+  buildSystemPrompt(metadata = null, currentChart = null, chatHistory = null, datasetId = null, message = null, report = {}) {
+    return this.renderSystemPrompt(metadata, currentChart, chatHistory, datasetId, message, report).prompt;
+  }
+
+  /**
+     * Render the system prompt from the prompt templates (see PromptTemplateService)
+     * Only the schema fields most relevant to the message, conversation and current
+     * chart are included, up to the schema token budget (see schemaSelector).
+     *
+     * @param {Object} metadata - Dataset metadata from PowerBI
+     * @param {Object} currentChart - Current chart context
+     * @param {Array} chatHistory - Chat history for context
+     * @param {string} [datasetId] - Dataset whose prompt overrides apply
+     * @param {string} [message] - Current user message (ranks schema fields by relevance)
+     * @param {Object} [report] - Report context from the browser
+     * @param {Array<Object>} [report.pageVisuals] - Visuals on the open page ({ index, title, chartType, current, selected, ...fields })
+     * @param {Array<Object>} [report.reportPages] - Pages of the report ({ index, name, displayName, active })
+     * @param {Object} [report.changeHistory] - Chart changes the browser can undo and redo ({ undo, redo })
+     * @returns {{prompt: string, version: string, schemaSelection: Object|null}} - System prompt, the template
+     *          version that produced it and the schema selection counts (null without metadata)
+     */
+  renderSystemPrompt(metadata = null, currentChart = null, chatHistory = null, datasetId = null, message = null, { pageVisuals = null, reportPages = null, changeHistory = null } = {}) {
+    const selection = metadata && metadata.tables
+      ? schemaSelector.selectSchema(metadata, { message, chatHistory, currentChart }, { tokenBudget: this.schemaTokenBudget })
+      : null;
+
+    const variables = {
+      validChartTypes: SUPPORTED_CHART_TYPES.join(', '),
+      visualTypes: visualTypeRegistry.describeVisualTypes(),
+      schemaFields: selection
+        ? selection.lines.join('\n')
+        : 'Schema temporarily unavailable. If user asks about schema, explain that there was an issue retrieving the dataset metadata and suggest they try again.',
+      includedFields: selection ? selection.includedFields : 0,
+      totalFields: selection ? selection.totalFields : 0,
+      currentFields: this._formatChartFields(currentChart),
+      currentChartType: (currentChart && currentChart.chartType) || 'unknown',
+      currentFilters: this._formatFilters(currentChart && currentChart.filters),
+      currentTopN: currentChart && currentChart.topN ? JSON.stringify(currentChart.topN) : 'none',
+      currentFormat: currentChart && currentChart.format ? JSON.stringify(currentChart.format) : 'none',
+      currentSort: currentChart && currentChart.sort ? JSON.stringify(currentChart.sort, (key, value) => (key === 'isMeasure' ? undefined : value)) : 'none',
+      pageVisuals: this._formatPageVisuals(pageVisuals),
+      reportPages: this._formatReportPages(reportPages),
+      undoCount: changeHistory ? changeHistory.undo || 0 : 0,
+      redoCount: changeHistory ? changeHistory.redo || 0 : 0,
+      glossaryTerms: selection ? this._formatGlossaryTerms(metadata, selection.fields) : ''
+    };
 
-WHEN YOU CAN CREATE/MODIFY A CHART (include chartAction):
-IMPORTANT: Always determine the chart type first, then assign axes according to the rules above.
-{
-  "chatResponse": "I'll [create/change] the chart to show [measure] by [dimension] as a [chart type]!",
-  "chartAction": {
-    "yAxis": "[appropriate field name]",
-    "xAxis": "[appropriate field name]", 
-    "chartType": "columnChart" | "clusteredColumnChart" | "barChart" | "lineChart" | "areaChart" | "pieChart",
-    "series": "[categorical field name]" // ONLY for clusteredColumnChart - the grouping dimension
+    const conditions = {
+      currentChart: Boolean(currentChart && (currentChart.chartType ||
+        visualTypeRegistry.ROLE_KEYS.some(key => currentChart[key]) ||
+        (currentChart.filters && currentChart.filters.length > 0))),
+      schemaPruned: Boolean(selection && selection.droppedFields > 0),
+      glossary: Boolean(variables.glossaryTerms),
+      pageVisuals: Boolean(variables.pageVisuals),
+      reportPages: Boolean(variables.reportPages),
+      changeHistory: Boolean(changeHistory),
+      toolMode: this.responseMode === RESPONSE_MODES.TOOLS,
+      // Conversation turns are sent as chat messages; explain how to use them
+      chatHistory: Boolean(chatHistory && Array.isArray(chatHistory) && chatHistory.length > 0)
+    };
+
+    const rendered = this.promptTemplates.render(variables, { datasetId, conditions });
+    const { prompt } = rendered;
+    // Glossary edits change the prompt, so they are part of its version
+    const version = conditions.glossary && metadata.glossaryVersion
+      ? `${rendered.version}+glossary@${metadata.glossaryVersion}`
+      : rendered.version;
+    if (conditions.schemaPruned) {
+      console.log(`[AgentService] Schema pruned to ${selection.includedFields} of ${selection.totalFields} fields (${selection.droppedTables} tables omitted)`);
+    }
+
+    return {
+      prompt,
+      version,
+      schemaSelection: selection && {
+        totalFields: selection.totalFields,
+        includedFields: selection.includedFields,
+        droppedFields: selection.droppedFields,
+        droppedTables: selection.droppedTables
+      }
+    };
   }
-}
 
-CLUSTERED CHART REQUIREMENTS:
-- For clusteredColumnChart, ALWAYS include "series" field with the categorical grouping dimension
-- Time dimension goes on xAxis, measure on yAxis, categorical grouping in series
-- Example: "sales by month by district" → xAxis: "Time.Month", yAxis: "Sales.TotalSales", series: "District.District"
-
-EXAMPLES:
-- If user says "show me sales": {"chatResponse": "I'll try to create a chart with sales data! Which field should I use for grouping - like by month, district, or category?"}
-- If user says "sales by district": {"chatResponse": "I'll create a column chart showing \`Sales.TotalSales\` by \`District.District\`!", "chartAction": {"yAxis": "Sales.TotalSales", "xAxis": "District.District", "chartType": "columnChart"}}
-- If user says "sales by month": {"chatResponse": "I'll create a line chart showing \`Sales.TotalSales\` by \`Time.Month\`!", "chartAction": {"yAxis": "Sales.TotalSales", "xAxis": "Time.Month", "chartType": "lineChart"}}
-- If user says "bar chart of sales by district": {"chatResponse": "I'll create a bar chart showing \`Sales.TotalSales\` by \`District.District\`!", "chartAction": {"yAxis": "District.District", "xAxis": "Sales.TotalSales", "chartType": "barChart"}}
-- If user says "sales by month by district": {"chatResponse": "I'll create a clustered column chart showing \`Sales.TotalSales\` by \`Time.Month\` grouped by \`District.District\`!", "chartAction": {"yAxis": "Sales.TotalSales", "xAxis": "Time.Month", "series": "District.District", "chartType": "clusteredColumnChart"}}
-- If user says "revenue by quarter by category": {"chatResponse": "I'll create a clustered column chart showing \`Sales.Revenue\` by \`Time.Quarter\` grouped by \`Item.Category\`!", "chartAction": {"yAxis": "Sales.Revenue", "xAxis": "Time.Quarter", "series": "Item.Category", "chartType": "clusteredColumnChart"}}
-- If user says "bar chart of revenue by month": {"chatResponse": "I'll create a bar chart showing \`Sales.TotalSales\` by \`Time.Month\`!", "chartAction": {"yAxis": "Time.Month", "xAxis": "Sales.TotalSales", "chartType": "barChart"}}
-- If current chart exists and user says "change to bar chart": {"chatResponse": "I'll change it to a bar chart!", "chartAction": {"yAxis": "[current xAxis]", "xAxis": "[current yAxis]", "chartType": "barChart"}}
-- If field doesn't exist: {"chatResponse": "I'll try that field name. If it doesn't exist in the dataset, you'll see an error and can try a different field name."}
-- If user asks "what tables are available?" or "show me the schema": {"chatResponse": "## Dataset Schema\\n\\nHere are the available tables and their fields:\\n\\n### Sales\\n- \`Sales.TotalSales\` - Total sales amount\\n- \`Sales.TotalUnits\` - Total units sold\\n\\n### Time\\n- \`Time.Month\` - Month of the year\\n\\n### District\\n- \`District.District\` - Sales district name\\n\\n### Item\\n- \`Item.Category\` - Product category\\n- \`Item.Segment\` - Product segment"}
-- If user asks "what fields can I use?": {"chatResponse": "## Available Fields\\n\\nYou can use these fields for creating charts:\\n\\n**Sales**:\\n- \`Sales.TotalSales\` - Total sales amount\\n- \`Sales.TotalUnits\` - Total units sold\\n\\n**Time**:\\n- \`Time.Month\` - Month of the year\\n\\n**District**:\\n- \`District.District\` - Sales district name\\n\\n**Item**:\\n- \`Item.Category\` - Product category\\n- \`Item.Segment\` - Product segment"}
-
-IMPORTANT: For partial updates, ALWAYS include all three fields (yAxis, xAxis, chartType) in chartAction. Reevaluate & swap axes as needed.
-
-VALIDATION RULES:
-- If the user references a term not in the schema, ask them to restate using available field names (provide closest matches if obvious).
-- Never introduce new field names not present in the schema list.
-- Prefer explicit measure vs dimension placement per AXIS ASSIGNMENT RULES.
-- For ambiguous requests (e.g. "show sales"), ask which dimension to group by rather than guessing.
-- ALWAYS highlight field names in your chatResponse using markdown backticks to make them easily identifiable.
-- Use exact field names from the schema in both chartAction and chatResponse sections.
-
-Always respond with ONLY valid JSON and no extra commentary.`;
-
-    let schemaSection = '\nSCHEMA (table.column [type]):\n';
-    if (metadata && metadata.tables) {
-      for (const t of metadata.tables) {
-        if (!t.columns) continue;
-        for (const c of t.columns) {
-          schemaSection += `${t.name}.${c.name} [${c.type}]\n`;
+  /**
+     * Format glossary synonyms of the fields included in the prompt
+     * One line per field: - "revenue", "turnover" → Sales.TotalSales
+     *
+     * @param {Object} metadata - Dataset metadata (columns may carry glossary synonyms)
+     * @param {Array<string>} includedFields - Table.Field names included in the schema section
+     * @returns {string} - Glossary lines, empty when no included field has synonyms
+     */
+  _formatGlossaryTerms(metadata, includedFields) {
+    const included = new Set(includedFields);
+    const lines = [];
+    for (const table of metadata.tables) {
+      for (const column of table.columns || []) {
+        const qualifiedName = `${table.name}.${column.name}`;
+        if (included.has(qualifiedName) && Array.isArray(column.synonyms) && column.synonyms.length > 0) {
+          lines.push(`- ${column.synonyms.map(synonym => `"${synonym}"`).join(', ')} → ${qualifiedName}`);
+        }
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+     * Format the field roles of the current chart for the prompt
+     *
+     * @param {Object} currentChart - Current chart context
+     * @returns {string} - e.g. "xAxis = Time.Month; yAxis = Sales.TotalSales, Sales.TotalUnits", or 'none'
+     */
+  _formatChartFields(currentChart) {
+    const roles = visualTypeRegistry.ROLE_KEYS
+      .filter(key => currentChart && [].concat(currentChart[key] || []).length > 0)
+      .map(key => `${key} = ${[].concat(currentChart[key]).join(', ')}`);
+    return roles.length > 0 ? roles.join('; ') : 'none';
+  }
+
+  /**
+     * Format the visuals on the report page for the prompt
+     * One line per visual in page order, e.g.
+     * 2. columnChart "Sales by district" (current) - xAxis = District.District; yAxis = Sales.TotalSales
+     *
+     * @param {Array<Object>} pageVisuals - Visuals from the client ({ index, title, chartType, current, selected, ...fields })
+     * @returns {string} - Visual lines, empty when the page is unknown or empty
+     */
+  _formatPageVisuals(pageVisuals) {
+    if (!Array.isArray(pageVisuals)) {
+      return '';
+    }
+    return pageVisuals.map((visual, position) => {
+      const title = typeof visual.title === 'string' && visual.title.trim() !== '' ? `"${visual.title.trim()}"` : '(untitled)';
+      const states = [visual.current && 'current', visual.selected && 'selected'].filter(Boolean);
+      const fields = this._formatChartFields(visual);
+      return `${Number.isInteger(visual.index) ? visual.index : position + 1}. ${visual.chartType || 'unknown'} ${title}` +
+        (states.length > 0 ? ` (${states.join(', ')})` : '') +
+        (fields !== 'none' ? ` - ${fields}` : '');
+    }).join('\n');
+  }
+
+  /**
+     * Format the pages of the report for the prompt
+     * One line per page in tab order, e.g. 2. "Trends" (open)
+     *
+     * @param {Array<Object>} reportPages - Pages from the client ({ index, name, displayName, active })
+     * @returns {string} - Page lines, empty when the pages are unknown
+     */
+  _formatReportPages(reportPages) {
+    if (!Array.isArray(reportPages)) {
+      return '';
+    }
+    return reportPages
+      .filter(page => typeof page.displayName === 'string')
+      .map((page, position) => `${position + 1}. "${page.displayName}"${page.active ? ' (open)' : ''}`)
+      .join('\n');
+  }
+
+  /**
+     * Format the current chart filters for the prompt
+     * Filters are shown as JSON so the model can repeat the ones to keep.
+     *
+     * @param {Array<Object>} filters - Filters of the current chart
+     * @returns {string} - JSON array, or 'none'
+     */
+  _formatFilters(filters) {
+    if (!Array.isArray(filters) || filters.length === 0) {
+      return 'none';
+    }
+    // isMeasure is added by the validator, not written by the model
+    return JSON.stringify(filters, (key, value) => (key === 'isMeasure' ? undefined : value));
+  }
+
+  /**
+     * Build the multi-turn messages array for a request
+     * Recent turns are kept verbatim up to the history token budget; older turns are
+     * condensed into a summary message, block by block (see splitSummaryBlocks). Turns
+     * of a block that has not ended yet stay verbatim, a little over the budget.
+     *
+     * @param {string} message - Current user message
+     * @param {Array} chatHistory - Chat history ({ role, content } objects, oldest first)
+     * @param {AbortSignal} [signal] - Cancels the summarization call
+     * @returns {Promise<Array<Object>>} - Messages to send after the system prompt
+     */
+  async buildMessages(message, chatHistory = null, signal = null) {
+    const turns = (Array.isArray(chatHistory) ? chatHistory : [])
+      .filter(turn => turn && (turn.role === 'user' || turn.role === 'assistant') &&
+        typeof turn.content === 'string' && turn.content.trim() !== '')
+      .map(turn => ({ role: turn.role, content: turn.content.trim() }));
+
+    // Clients record the current message in their history before sending it
+    const last = turns[turns.length - 1];
+    if (last && last.role === 'user' && last.content === message.trim()) {
+      turns.pop();
+    }
+
+    // Walk backwards keeping the newest turns that fit in the budget
+    let usedTokens = 0;
+    let splitIndex = turns.length;
+    while (splitIndex > 0) {
+      const cost = estimateMessageTokens(turns[splitIndex - 1]);
+      if (usedTokens + cost > this.historyTokenBudget) break;
+      usedTokens += cost;
+      splitIndex--;
+    }
+
+    const blocks = splitSummaryBlocks(turns.slice(0, splitIndex));
+    const summarizedCount = blocks.reduce((count, block) => count + block.length, 0);
+    const recentTurns = turns.slice(summarizedCount);
+    const messages = [];
+
+    if (blocks.length > 0) {
+      const summary = await this.summarizeTurns(blocks.slice(-MAX_SUMMARY_BLOCKS), signal);
+      if (summary) {
+        messages.push({ role: 'system', content: `SUMMARY OF EARLIER CONVERSATION:\n${summary}` });
+      }
+    }
+
+    messages.push(...recentTurns);
+    messages.push({ role: 'user', content: message });
+    return messages;
+  }
+
+  /**
+     * Summarize blocks of older conversation turns that no longer fit in the history budget
+     * Each block is summarized on its own, from its turns only, so the same history always
+     * makes the same summarization requests (recordings replay in any process). Block
+     * summaries are cached, so a long session pays for each block once.
+     *
+     * @param {Array<Array<Object>>} blocks - Blocks of turns to summarize ({ role, content }, oldest first)
+     * @param {AbortSignal} [signal] - Cancels the summarization calls
+     * @returns {Promise<string|null>} - Summary text, or null if summarization failed
+     */
+  async summarizeTurns(blocks, signal = null) {
+    const summaries = [];
+    for (const block of blocks) {
+      const transcript = formatTranscript(block);
+      if (this.summaryCache.has(transcript)) {
+        summaries.push(this.summaryCache.get(transcript));
+        continue;
+      }
+
+      try {
+        console.log(`[AgentService] Summarizing a block of ${block.length} older turns...`);
+        const result = await this.llmProvider.complete({
+          systemPrompt: 'You condense part of a conversation between a user and a Power BI chart assistant. ' +
+            'Write a short summary (at most 4 bullet points) that keeps the charts that were created, ' +
+            'the exact Table.Field names and chart types used, and any user preferences or open questions.',
+          messages: [{ role: 'user', content: transcript }],
+          temperature: 0,
+          maxTokens: 200,
+          signal
+        });
+
+        const summary = (result.response || '').trim();
+        if (summary) {
+          if (this.summaryCache.size >= SUMMARY_CACHE_SIZE) {
+            // Drop the oldest entry (Map keeps insertion order)
+            this.summaryCache.delete(this.summaryCache.keys().next().value);
+          }
+          this.summaryCache.set(transcript, summary);
+          summaries.push(summary);
+        }
+
+      } catch (error) {
+        if (error instanceof LLMAbortedError) {
+          throw error;
         }
+        // Losing some old context is better than failing the whole request
+        console.error('[AgentService] Summarizing older turns failed, dropping them:', error.message);
       }
-    } else {
-      schemaSection += 'Schema temporarily unavailable. If user asks about schema, explain that there was an issue retrieving the dataset metadata and suggest they try again.\n';
-    }
-
-    const enforcement = '\nSCHEMA USAGE INSTRUCTIONS:\n- Only use fields exactly as shown (case sensitive).\n- If user uses a synonym (e.g. "sales" vs "TotalSales"), map to the closest valid field and mention it in chatResponse.\n- If no dimension provided with a measure request, ask user to choose one (do NOT fabricate).\n- When referencing field names in your chatResponse, always use markdown backticks (e.g., `Sales.TotalSales`) to highlight them clearly.\n- This applies to all field references in your conversational text, not just the chartAction data.';
-
-    let prompt = basePrompt + schemaSection + enforcement;
-
-    if (currentChart && (currentChart.yAxis || currentChart.xAxis || currentChart.chartType)) {
-      prompt += '\n\nCURRENT CHART CONTEXT:\n' +
-                'The user currently has a chart with:\n' +
-                `- Y-axis: ${currentChart.yAxis || 'none'}\n` +
-                `- X-axis: ${currentChart.xAxis || 'none'}\n` +
-                `- Chart Type: ${currentChart.chartType || 'unknown'}\n` +
-                '\nWhen the user makes partial update requests (like "change it to a bar chart"), you MUST:\n' +
-                '1. First determine the new chart type\n' +
-                '2. Then reevaluate the proper axis assignments according to the AXIS ASSIGNMENT RULES above\n' +
-                '3. For chart type changes, DO NOT preserve axes if they need to be swapped (e.g., column to bar chart)\n' +
-                '4. Always include ALL THREE fields (yAxis, xAxis, chartType) in your chartAction response with the correct axis assignments for the new chart type';
-    }
-
-    // Add chat history for context if available
-    if (chatHistory && Array.isArray(chatHistory) && chatHistory.length > 0) {
-      prompt += '\n\nCONVERSATION HISTORY FOR CONTEXT:\n' +
-                'The following is the recent conversation history (up to last 4 messages) to provide context for the current request. ' +
-                'Use this history to understand references like "it", "that chart", "change the previous one", etc. ' +
-                'Only look as far back as needed to understand the current request - you don\'t need to process all historical messages.\n\n' +
-                'IMPORTANT - CLARIFICATION FOLLOW-UP HANDLING:\n' +
-                'If your most recent message (Assistant) was asking for clarification about field names, chart types, or other specifics, ' +
-                'and the current user message appears to be answering that question (even if brief like "District" or "yes"), ' +
-                'then piece together the original request with the user\'s clarification response to complete the full action.\n\n' +
-                'Examples:\n' +
-                '- If you asked "Do you want me to show Sales.TotalSales by District.District instead?" and user responds "District" or "yes" → create the chart\n' +
-                '- If you asked "Which chart type would you prefer?" and user responds "bar chart" → apply that chart type to the previous request\n' +
-                '- If you asked "Which field should I use for grouping?" and user responds "month" → combine with the original measure request\n\n' +
-                'If the user\'s response doesn\'t clearly answer your clarification question, proceed with your best interpretation and move forward.\n\n';
-            
-      chatHistory.forEach((msg) => {
-        const speaker = msg.role === 'user' ? 'User' : 'Assistant';
-        prompt += `${speaker}: ${msg.content}\n`;
-      });
-            
-      prompt += '\nCurrent user message follows below this context section.';
-    }
-
-    return prompt;
+    }
+    return summaries.length > 0 ? summaries.join('\n') : null;
   }
 
   /**
@@ -230,34 +388,464 @@ Always respond with ONLY valid JSON and no extra commentary.`;
      * @param {Object} metadata - Optional dataset metadata for context
      * @param {Object} currentChart - Current chart context from frontend
      * @param {Array} chatHistory - Chat history for context
-     * @returns {Object} - Chat completion response
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the LLM calls (e.g. when the browser disconnects)
+     * @param {string} [options.datasetId] - Dataset whose prompt overrides apply
+     * @param {Array<Object>} [options.pageVisuals] - Visuals on the report page
+     * @param {Array<Object>} [options.reportPages] - Pages of the report
+     * @param {Object} [options.changeHistory] - Chart changes the browser can undo and redo
+     * @returns {Object} - Chat completion response (includes promptVersion)
+     * @throws {LLMError} - Typed provider errors are passed through unchanged
      */
-  async processChat(message, metadata = null, currentChart = null, chatHistory = null) {
+  async processChat(message, metadata = null, currentChart = null, chatHistory = null, options = {}) {
     console.log('[AgentService] processChat called with message:', message);
     console.log('[AgentService] currentChart:', currentChart);
     console.log('[AgentService] chatHistory:', chatHistory);
 
     try {
       console.log('[AgentService] Building system prompt...');
-      const systemPrompt = this.buildSystemPrompt(metadata, currentChart, chatHistory);
-      console.log('[AgentService] System prompt built, length:', systemPrompt.length);
+      const { prompt: systemPrompt, version: promptVersion, schemaSelection } =
+        this.renderSystemPrompt(metadata, currentChart, chatHistory, options.datasetId, message, options);
+      console.log(`[AgentService] System prompt built (version ${promptVersion}), length:`, systemPrompt.length);
+
+      const listing = this._schemaListingResult(message, metadata, chatHistory, schemaSelection);
+      if (listing) {
+        console.log('[AgentService] Answered schema listing request without the LLM');
+        return { ...listing, promptVersion, schemaSelection };
+      }
+
+      const messages = await this.buildMessages(message, chatHistory, options.signal);
+      console.log('[AgentService] Messages built, count:', messages.length);
 
       console.log('[AgentService] Calling LLM provider...');
       // Delegate to the LLM provider
-      const result = await this.llmProvider.complete({
-        systemPrompt,
-        userMessage: message,
-        temperature: 0,
-        maxTokens: 1000
-      });
+      const result = await this._requestCompletion(systemPrompt, messages, metadata, currentChart, options.signal);
 
       console.log('[AgentService] Provider returned result');
-      return result;
+      return { ...result, promptVersion, schemaSelection };
 
     } catch (error) {
       console.error('[AgentService] Error in processChat:', error.message);
+      if (error instanceof LLMError) {
+        throw error;
+      }
+      throw new Error(`Chat completion failed: ${error.message}`);
+    }
+  }
+
+  /**
+     * Process a chat request, streaming the chatResponse text as it is generated
+     * Yields { type: 'token', text } for each new piece of chatResponse text and
+     * finally { type: 'result', result } with the same result processChat returns.
+     * In tools mode only plain-text answers stream; tool call answers arrive with the result.
+     *
+     * @param {string} message - User message
+     * @param {Object} metadata - Optional dataset metadata for context
+     * @param {Object} currentChart - Current chart context from frontend
+     * @param {Array} chatHistory - Chat history for context
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Cancels the LLM calls
+     * @param {string} [options.datasetId] - Dataset whose prompt overrides apply
+     * @param {Array<Object>} [options.pageVisuals] - Visuals on the report page
+     * @param {Array<Object>} [options.reportPages] - Pages of the report
+     * @param {Object} [options.changeHistory] - Chart changes the browser can undo and redo
+     * @returns {AsyncGenerator<Object>} - Token events followed by the result
+     * @throws {LLMError} - Typed provider errors are passed through unchanged
+     */
+  async *generateStreamingResponse(message, metadata = null, currentChart = null, chatHistory = null, options = {}) {
+    console.log('[AgentService] generateStreamingResponse called with message:', message);
+
+    let systemPrompt;
+    let promptVersion;
+    let schemaSelection;
+    let messages;
+    try {
+      ({ prompt: systemPrompt, version: promptVersion, schemaSelection } =
+        this.renderSystemPrompt(metadata, currentChart, chatHistory, options.datasetId, message, options));
+
+      const listing = this._schemaListingResult(message, metadata, chatHistory, schemaSelection);
+      if (listing) {
+        console.log('[AgentService] Answered schema listing request without the LLM');
+        yield { type: 'token', text: JSON.parse(listing.response).chatResponse };
+        yield { type: 'result', result: { ...listing, promptVersion, schemaSelection } };
+        return;
+      }
+
+      messages = await this.buildMessages(message, chatHistory, options.signal);
+    } catch (error) {
+      console.error('[AgentService] Error preparing streaming request:', error.message);
+      if (error instanceof LLMError) {
+        throw error;
+      }
+      throw new Error(`Chat completion failed: ${error.message}`);
+    }
+
+    // Providers without streaming support answer in one piece
+    if (typeof this.llmProvider.streamComplete !== 'function') {
+      const result = await this.processChat(message, metadata, currentChart, chatHistory, options);
+      yield { type: 'result', result };
+      return;
+    }
+
+    const request = this._buildCompletionRequest(systemPrompt, messages, options.signal);
+    const isJson = this.responseMode !== RESPONSE_MODES.TOOLS;
+    let rawText = '';
+    let emittedLength = 0;
+
+    try {
+      for await (const event of this.llmProvider.streamComplete(request)) {
+        if (event.done) {
+          yield { type: 'result', result: { ...this._normalizeResult(event, metadata, currentChart), promptVersion, schemaSelection } };
+          return;
+        }
+
+        rawText += event.content;
+        // JSON modes stream the chatResponse value; tools mode streams plain text answers
+        const text = isJson ? extractPartialChatResponse(rawText) : rawText;
+        if (text && text.length > emittedLength) {
+          yield { type: 'token', text: text.substring(emittedLength) };
+          emittedLength = text.length;
+        }
+      }
+    } catch (error) {
+      console.error('[AgentService] Error in generateStreamingResponse:', error.message);
+      if (error instanceof LLMError) {
+        throw error;
+      }
       throw new Error(`Chat completion failed: ${error.message}`);
     }
+
+    throw new Error('Chat completion failed: stream ended without a result');
+  }
+
+  /**
+     * Ask the model to correct a response that failed server-side validation
+     * Sends the original request, the rejected response and the list of problems
+     *
+     * @param {string} message - Original user message
+     * @param {string} previousResponse - Raw response text that failed validation
+     * @param {Array<string>} problems - Validation errors to fix
+     * @param {Object} metadata - Optional dataset metadata for context
+     * @param {Object} currentChart - Current chart context from frontend
+     * @param {Array} chatHistory - Chat history for context
+     * @param {Object} [options] - Request options ({ signal, datasetId, pageVisuals, reportPages, changeHistory })
+     * @returns {Object} - Chat completion response (includes promptVersion)
+     */
+  async repairResponse(message, previousResponse, problems, metadata = null, currentChart = null, chatHistory = null, options = {}) {
+    console.log('[AgentService] repairResponse called with problems:', problems);
+
+    try {
+      const { prompt: systemPrompt, version: promptVersion, schemaSelection } =
+        this.renderSystemPrompt(metadata, currentChart, chatHistory, options.datasetId, message, options);
+      const messages = await this.buildMessages(message, chatHistory, options.signal);
+      messages.push(
+        { role: 'assistant', content: previousResponse },
+        {
+          role: 'user',
+          content: 'Your previous response was rejected for these problems:\n' +
+            problems.map(problem => `- ${problem}`).join('\n') + '\n\n' +
+            'Respond again to my previous request with a corrected JSON object. ' +
+            'Use only fields from the SCHEMA section and only the valid chart types. ' +
+            'If the request cannot be fulfilled with the available fields, omit chartAction and explain why in chatResponse.'
+        }
+      );
+
+      const result = await this._requestCompletion(systemPrompt, messages, metadata, currentChart, options.signal);
+
+      console.log('[AgentService] Provider returned corrected result');
+      return { ...result, promptVersion, schemaSelection };
+
+    } catch (error) {
+      console.error('[AgentService] Error in repairResponse:', error.message);
+      if (error instanceof LLMError) {
+        throw error;
+      }
+      throw new Error(`Chat correction failed: ${error.message}`);
+    }
+  }
+
+  /**
+     * Ask the model to fix a chartAction that Power BI rejected in the browser
+     * The chartAction goes back to the model as a rejected response with the Power BI
+     * error as its problem, the same way as a response that failed validation.
+     *
+     * @param {string} message - User message the chartAction answered
+     * @param {Object} chartAction - chartAction the browser failed to apply
+     * @param {string} powerbiError - Error message from the Power BI JavaScript API
+     * @param {Object} metadata - Optional dataset metadata for context
+     * @param {Object} currentChart - Current chart context from frontend (the chart was rolled back)
+     * @param {Array} chatHistory - Chat history for context
+     * @param {Object} [options] - Request options ({ signal, datasetId, pageVisuals, reportPages })
+     * @returns {Object} - Chat completion response (includes promptVersion)
+     */
+  async correctChartAction(message, chartAction, powerbiError, metadata = null, currentChart = null, chatHistory = null, options = {}) {
+    console.log('[AgentService] correctChartAction called with error:', powerbiError);
+    const problems = [
+      `Power BI could not apply the chartAction: ${powerbiError}`,
+      'The chart was left as it was. Change the field or chart type Power BI rejected; keep the rest of the request.'
+    ];
+    return this.repairResponse(message, JSON.stringify({ chartAction }), problems, metadata, currentChart, chatHistory, options);
+  }
+
+  /**
+     * Answer "list all fields" style requests from the metadata, page by page
+     * Only used when the prompt holds a pruned schema (or for the next page of an
+     * earlier listing), since the model cannot list fields it was not given.
+     *
+     * @param {string} message - User message
+     * @param {Object} metadata - Dataset metadata
+     * @param {Array} chatHistory - Chat history (for "more" follow-ups)
+     * @param {Object|null} schemaSelection - Selection counts from renderSystemPrompt
+     * @returns {Object|null} - Provider-shaped result, or null when the LLM should answer
+     * @private
+     */
+  _schemaListingResult(message, metadata, chatHistory, schemaSelection) {
+    const listing = schemaSelector.detectSchemaListingRequest(message, chatHistory);
+    if (!listing || !schemaSelection || (schemaSelection.droppedFields === 0 && listing.page === 1)) {
+      return null;
+    }
+
+    return {
+      success: true,
+      response: JSON.stringify({ chatResponse: this.describeSchema(metadata, null, listing.page) }),
+      usage: null
+    };
+  }
+
+  /**
+     * Send a completion request using the configured response mode
+     * In tools mode the tool calls are converted back into the standard
+     * { chatResponse, chartAction } JSON so callers see one response shape.
+     *
+     * @param {string} systemPrompt - System prompt
+     * @param {Array<Object>} messages - Conversation messages ending with the user turn
+     * @param {Object} metadata - Dataset metadata (used by describe_schema)
+     * @param {Object} currentChart - Current chart context (used by modify_chart)
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Object>} - Provider result with a JSON response string
+     * @private
+     */
+  async _requestCompletion(systemPrompt, messages, metadata, currentChart, signal = null) {
+    const result = await this.llmProvider.complete(this._buildCompletionRequest(systemPrompt, messages, signal));
+    return this._normalizeResult(result, metadata, currentChart);
+  }
+
+  /**
+     * Build the provider request for the configured response mode
+     *
+     * @param {string} systemPrompt - System prompt
+     * @param {Array<Object>} messages - Conversation messages ending with the user turn
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Object} - Provider completion request
+     * @private
+     */
+  _buildCompletionRequest(systemPrompt, messages, signal = null) {
+    const request = {
+      systemPrompt,
+      messages,
+      temperature: 0,
+      maxTokens: 1000
+    };
+
+    if (signal) {
+      request.signal = signal;
+    }
+
+    if (this.responseMode === RESPONSE_MODES.TOOLS) {
+      request.tools = AGENT_TOOLS;
+      request.toolChoice = 'auto';
+    } else if (this.responseMode === RESPONSE_MODES.JSON_SCHEMA) {
+      request.responseFormat = RESPONSE_JSON_SCHEMA;
+    }
+
+    return request;
+  }
+
+  /**
+     * Convert a provider result into the standard JSON response string
+     *
+     * @param {Object} result - Provider result
+     * @param {Object} metadata - Dataset metadata (used by describe_schema)
+     * @param {Object} currentChart - Current chart context (used by modify_chart)
+     * @returns {Object} - Provider result with a JSON response string
+     * @private
+     */
+  _normalizeResult(result, metadata, currentChart) {
+    if (this.responseMode !== RESPONSE_MODES.TOOLS) {
+      return result;
+    }
+
+    return {
+      ...result,
+      response: JSON.stringify(this._responseFromToolCalls(result, metadata, currentChart))
+    };
+  }
+
+  /**
+     * Convert tool calls into the { chatResponse, chartAction, formatAction, pageAction, historyAction, daxQuery } response shape
+     * A format_chart call next to a chart call adds its formatAction to the chart change;
+     * a manage_page or undo_change call next to either adds its pageAction or historyAction.
+     *
+     * @param {Object} result - Provider result with toolCalls
+     * @param {Object} metadata - Dataset metadata
+     * @param {Object} currentChart - Current chart context
+     * @returns {Object} - { chatResponse, chartAction?, formatAction?, pageAction?, historyAction?, daxQuery? }
+     * @private
+     */
+  _responseFromToolCalls(result, metadata, currentChart) {
+    const toolCalls = result.toolCalls || [];
+    const pageCall = toolCalls.find(c => c.name === 'manage_page');
+    const undoCall = toolCalls.find(c => c.name === 'undo_change');
+    const response = this._responseFromToolCall(result, toolCalls, metadata, currentChart);
+
+    if (pageCall) {
+      const { chatResponse, action, page, name } = pageCall.arguments || {};
+      const pageAction = { action };
+      if (hasValue(page)) pageAction.page = page;
+      if (hasValue(name)) pageAction.name = name;
+      // A page change alone has no other tool call to take the text from
+      response.chatResponse = response.chatResponse || chatResponse || 'I\'ve updated the report pages.';
+      response.pageAction = pageAction;
+    }
+    if (undoCall) {
+      const { chatResponse, action, steps } = undoCall.arguments || {};
+      const historyAction = { action };
+      if (hasValue(steps)) historyAction.steps = steps;
+      response.chatResponse = response.chatResponse || chatResponse ||
+        (action === 'redo' ? 'I\'ve redone the last chart change.' : 'I\'ve undone the last chart change.');
+      response.historyAction = historyAction;
+    }
+    return response;
+  }
+
+  /**
+     * Convert the chart, format, data or schema tool call into the response shape
+     * @private
+     */
+  _responseFromToolCall(result, toolCalls, metadata, currentChart) {
+    const formatCall = toolCalls.find(c => c.name === 'format_chart');
+    const call = toolCalls.find(c => c.name === 'create_chart' || c.name === 'modify_chart') ||
+                 toolCalls.find(c => c.name === 'query_data') ||
+                 toolCalls.find(c => c.name === 'describe_schema') ||
+                 formatCall;
+
+    if (!call) {
+      // Plain text answer (clarification, explanation, etc.)
+      return { chatResponse: result.response };
+    }
+
+    console.log('[AgentService] Tool call received:', call.name, call.arguments);
+    const args = call.arguments || {};
+
+    if (call.name === 'describe_schema') {
+      return { chatResponse: this.describeSchema(metadata, args.tables, args.page) };
+    }
+
+    if (call.name === 'query_data') {
+      return { chatResponse: args.chatResponse || result.response || 'Here is what I found:', daxQuery: args.dax };
+    }
+
+    if (call.name === 'format_chart') {
+      const response = {
+        chatResponse: args.chatResponse || result.response || 'I\'ve updated the chart formatting.',
+        formatAction: this._formatActionFromArgs(args)
+      };
+      // Formatting another visual picks it with a chartAction holding only that visual
+      if (hasValue(args.visual)) {
+        response.chartAction = { visual: args.visual };
+      }
+      return response;
+    }
+
+    // Omitted fields come from the current chart; another visual keeps its own fields in the browser
+    const base = call.name === 'modify_chart' && currentChart && !hasValue(args.visual) ? currentChart : {};
+    const chartAction = {};
+    if (hasValue(args.visual)) {
+      chartAction.visual = args.visual;
+    }
+    const chartType = args.chartType || base.chartType;
+    if (chartType) {
+      chartAction.chartType = chartType;
+    }
+    // Fields the new chart type has no role for are not carried over from the current chart
+    const visual = visualTypeRegistry.getVisualType(visualTypeRegistry.resolveVisualType(chartType));
+    for (const key of visualTypeRegistry.ROLE_KEYS) {
+      const provided = hasValue(args[key]);
+      const value = provided ? args[key] : (!visual || visual.roles[key] ? base[key] : undefined);
+      if (value) {
+        chartAction[key] = value;
+      }
+    }
+    if (Array.isArray(args.filters)) {
+      chartAction.filters = args.filters;
+    }
+    for (const key of ['topN', 'sort']) {
+      if (args[key] !== undefined && args[key] !== null) {
+        chartAction[key] = args[key];
+      }
+    }
+
+    const response = {
+      chatResponse: args.chatResponse || result.response || 'I\'ve updated the chart.',
+      chartAction
+    };
+    if (formatCall) {
+      response.formatAction = this._formatActionFromArgs(formatCall.arguments || {});
+    }
+    return response;
+  }
+
+  /**
+     * Pick the formatAction properties from format_chart arguments
+     *
+     * @param {Object} args - format_chart arguments
+     * @returns {Object} - formatAction (checked later by formatActionValidator)
+     * @private
+     */
+  _formatActionFromArgs(args) {
+    const formatAction = {};
+    for (const key of Object.keys(FORMAT_PROPERTIES)) {
+      if (args[key] !== undefined && args[key] !== null) {
+        formatAction[key] = args[key];
+      }
+    }
+    return formatAction;
+  }
+
+  /**
+     * Describe the dataset schema as markdown for the chat
+     *
+     * @param {Object} metadata - Dataset metadata from PowerBI
+     * @param {Array<string>} [tableNames] - Optional table names to limit the description to
+     * @param {number} [page=1] - Page to show when the schema has more fields than one page holds
+     * @returns {string} - Markdown description of the tables and fields
+     */
+  describeSchema(metadata, tableNames = null, page = 1) {
+    if (!metadata || !metadata.tables) {
+      return 'I couldn\'t retrieve the dataset schema right now. Please try again in a moment.';
+    }
+
+    const listing = schemaSelector.paginateSchema(metadata, { tableNames, page, pageSize: this.schemaPageSize });
+
+    if (listing.tables.length === 0) {
+      const names = Array.isArray(tableNames) && tableNames.length > 0 ? tableNames.join(', ') : 'any fields';
+      return `I couldn't find ${names} in the dataset. Available tables: ${metadata.tables.map(t => `\`${t.name}\``).join(', ')}`;
+    }
+
+    let markdown = '## Dataset Schema\n\nHere are the available tables and their fields:\n';
+    for (const table of listing.tables) {
+      markdown += `\n### ${table.name}\n`;
+      for (const column of table.columns) {
+        const kind = column.isMeasure ? 'measure' : column.type;
+        markdown += `- \`${table.name}.${column.name}\` (${kind})\n`;
+      }
+    }
+
+    if (listing.totalPages > 1) {
+      markdown += `\n_Page ${listing.page} of ${listing.totalPages} (${listing.totalFields} fields). ` +
+        (listing.page < listing.totalPages ? 'Say "more" to see the next page._' : 'This is the last page._');
+    }
+    return markdown;
   }
 
   /**
@@ -266,7 +854,8 @@ Always respond with ONLY valid JSON and no extra commentary.`;
   getStatus() {
     return {
       initialized: this.initialized,
-      hasProvider: !!this.llmProvider
+      hasProvider: !!this.llmProvider,
+      responseMode: this.responseMode
     };
   }
 }
@@ -0,0 +1,502 @@
+/**
+ * Agent Tools - Structured output declarations for the chart agent
+ *
+ * Declares the Azure OpenAI tools (function calling) and the JSON-schema
+ * response_format used by AgentService, so the model's output shape is
+ * enforced by the API instead of by prose in the system prompt.
+ */
+
+const {
+  SUPPORTED_CHART_TYPES,
+  MAX_ROLE_FIELDS,
+  BASIC_FILTER_OPERATORS,
+  ADVANCED_FILTER_OPERATORS,
+  RELATIVE_DATE_OPERATORS,
+  RELATIVE_DATE_TIME_UNITS,
+  TOP_N_DIRECTIONS,
+  SORT_DIRECTIONS
+} = require('./chartActionValidator');
+const { ROLE_KEYS, MULTIPLE_ROLE_KEYS, getVisualType } = require('./visualTypeRegistry');
+const { LEGEND_POSITIONS, MIN_FONT_SIZE, MAX_FONT_SIZE } = require('./formatActionValidator');
+const { PAGE_ACTIONS } = require('./pageActionValidator');
+const { HISTORY_ACTIONS, MAX_HISTORY_STEPS } = require('./historyActionValidator');
+
+// Response modes supported by AgentService
+const RESPONSE_MODES = {
+  PROMPT: 'prompt',           // JSON requested through the system prompt only
+  JSON_SCHEMA: 'json_schema', // response_format with a strict JSON schema
+  TOOLS: 'tools'              // tools/tool_choice function calling
+};
+
+const fieldProperty = (description) => ({
+  type: 'string',
+  description: `${description} Use the full Table.FieldName format from the schema.`
+});
+
+// Roles that hold a list in some visual type take one field or a list of fields
+const measuresProperty = (description) => ({
+  description: `${description} Use the full Table.FieldName format from the schema.`,
+  anyOf: [
+    { type: 'string' },
+    { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: MAX_ROLE_FIELDS }
+  ]
+});
+
+/**
+ * Describe what a chartAction field property holds in each visual type of the registry
+ * e.g. "category: columnChart, lineChart. value measure(s): barChart."
+ * @private
+ */
+function roleDescription(key) {
+  const uses = new Map();
+  for (const type of SUPPORTED_CHART_TYPES) {
+    const role = getVisualType(type).roles[key];
+    if (!role) continue;
+    const description = role.description || role.dataRole;
+    uses.set(description, [...(uses.get(description) || []), type]);
+  }
+  return [...uses].map(([description, types]) => `${description}: ${types.join(', ')}.`).join(' ') +
+    ' Not used by other chart types.';
+}
+
+// One property per field role in the visual type registry
+const roleProperties = Object.fromEntries(ROLE_KEYS.map(key => [
+  key,
+  MULTIPLE_ROLE_KEYS.includes(key) ? measuresProperty(roleDescription(key)) : fieldProperty(roleDescription(key))
+]));
+
+const filterValue = { type: ['string', 'number', 'boolean'] };
+
+// One chartAction filter; only the properties of its type are filled in
+const filterProperties = {
+  field: fieldProperty('Field to filter.'),
+  type: { type: 'string', enum: ['basic', 'advanced', 'relativeDate'], description: 'basic: list of values, advanced: conditions, relativeDate: last/this/next period of a date column.' },
+  scope: { type: 'string', enum: ['visual', 'page'], description: 'visual (default) filters the chart, page filters every visual on the page.' },
+  operator: { type: 'string', enum: BASIC_FILTER_OPERATORS, description: 'basic: In keeps the values, NotIn excludes them.' },
+  values: { type: 'array', items: filterValue, description: 'basic: values exactly as stored in the column.' },
+  logicalOperator: { type: 'string', enum: ['And', 'Or'], description: 'advanced: how two conditions combine.' },
+  conditions: {
+    type: 'array',
+    description: 'advanced: one or two conditions.',
+    items: {
+      type: 'object',
+      properties: {
+        operator: { type: 'string', enum: ADVANCED_FILTER_OPERATORS },
+        value: filterValue
+      },
+      required: ['operator']
+    }
+  },
+  relativeDate: {
+    type: 'object',
+    description: 'relativeDate: e.g. { operator: "InLast", timeUnitsCount: 3, timeUnit: "Months" }.',
+    properties: {
+      operator: { type: 'string', enum: RELATIVE_DATE_OPERATORS },
+      timeUnitsCount: { type: 'integer' },
+      timeUnit: { type: 'string', enum: RELATIVE_DATE_TIME_UNITS },
+      includeToday: { type: 'boolean' }
+    },
+    required: ['operator', 'timeUnit']
+  }
+};
+
+// Top N categories and sort order; false removes the current setting
+const topNProperties = {
+  count: { type: 'integer', description: 'Number of categories to keep.' },
+  by: fieldProperty('Measure that ranks the categories (defaults to the value axis).'),
+  direction: { type: 'string', enum: TOP_N_DIRECTIONS, description: 'Top keeps the highest values, Bottom the lowest.' }
+};
+
+const sortProperties = {
+  field: fieldProperty('Field to sort by; must be on the chart (defaults to the value axis).'),
+  direction: { type: 'string', enum: SORT_DIRECTIONS }
+};
+
+const removable = (schema, description) => ({
+  description,
+  anyOf: [schema, { type: 'boolean', enum: [false] }]
+});
+
+// Chart formatting (formatAction); omitted properties keep their current formatting
+const fontSize = { type: 'number', description: `Font size in points (${MIN_FONT_SIZE}-${MAX_FONT_SIZE}).` };
+const axisFormatProperties = {
+  title: { type: 'string', description: 'Axis title text.' },
+  showTitle: { type: 'boolean', description: 'Show or hide the axis title.' },
+  fontSize
+};
+const formatProperties = {
+  title: {
+    type: 'object',
+    description: 'Chart title.',
+    properties: {
+      text: { type: 'string', description: 'Title text.' },
+      visible: { type: 'boolean', description: 'Show or hide the title.' },
+      fontSize
+    }
+  },
+  dataLabels: {
+    type: 'object',
+    description: 'Data labels on the bars, lines or slices.',
+    properties: {
+      visible: { type: 'boolean', description: 'Show (true) or hide (false) the data labels.' },
+      fontSize
+    }
+  },
+  legend: {
+    type: 'object',
+    description: 'Chart legend.',
+    properties: {
+      visible: { type: 'boolean', description: 'Show or hide the legend.' },
+      position: { type: 'string', enum: LEGEND_POSITIONS },
+      fontSize
+    }
+  },
+  xAxis: { type: 'object', description: 'Horizontal axis title and labels.', properties: axisFormatProperties },
+  yAxis: { type: 'object', description: 'Vertical axis title and labels.', properties: axisFormatProperties }
+};
+
+// Visual on the page a change applies to (see PAGE VISUALS); omitted: the current visual
+const visualProperty = {
+  description: 'Visual to change: its position in the PAGE VISUALS list (2 = second), its title, "selected" for the visual the user clicked, or "new" to add a visual to the page. Omit to change the current visual.',
+  anyOf: [
+    { type: 'string' },
+    { type: 'integer', minimum: 1 }
+  ]
+};
+
+// Report page management (pageAction, see REPORT PAGES)
+const pageProperties = {
+  action: {
+    type: 'string',
+    enum: PAGE_ACTIONS,
+    description: 'add a page (and open it), switch to a page, rename a page or delete a page.'
+  },
+  page: {
+    description: 'Page to switch to, rename or delete: its position in the REPORT PAGES list (1 = first) or its name. Omit for add; omit for rename to rename the open page.',
+    anyOf: [
+      { type: 'string' },
+      { type: 'integer', minimum: 1 }
+    ]
+  },
+  name: { type: 'string', description: 'Name of the new page (add) or the new name (rename).' }
+};
+
+// Undo/redo of chart changes (historyAction, see CHANGE HISTORY)
+const historyProperties = {
+  action: {
+    type: 'string',
+    enum: HISTORY_ACTIONS,
+    description: 'undo to go back to the chart before the last change, redo to reapply a change that was undone.'
+  },
+  steps: {
+    type: 'integer',
+    minimum: 1,
+    maximum: MAX_HISTORY_STEPS,
+    description: 'Number of changes to undo or redo. Omit for one.'
+  }
+};
+
+const chartFieldProperties = {
+  chatResponse: {
+    type: 'string',
+    description: 'Text to display to the user. Highlight field names with markdown backticks.'
+  },
+  chartType: {
+    type: 'string',
+    enum: SUPPORTED_CHART_TYPES,
+    description: 'Chart type. Decide this first, then fill in the fields that type takes (VISUAL TYPES AND FIELDS).'
+  },
+  visual: visualProperty,
+  ...roleProperties,
+  filters: {
+    type: 'array',
+    description: 'Filters on the chart or page. Omit to keep the current filters, pass [] to remove them all.',
+    items: {
+      type: 'object',
+      properties: filterProperties,
+      required: ['field']
+    }
+  },
+  topN: removable(
+    { type: 'object', properties: topNProperties, required: ['count'] },
+    'Keep only the top (or bottom) N categories, e.g. { count: 5, direction: "Top" }. Omit to keep the current top N, false removes it.'
+  ),
+  sort: removable(
+    { type: 'object', properties: sortProperties },
+    'Sort order, e.g. { direction: "Descending" }. Omit to keep the current sort.'
+  )
+};
+
+// Tools the model can call instead of writing JSON by hand
+const AGENT_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'create_chart',
+      description: 'Create a chart. Call this when the user asks for a chart and you know the measure and the dimension to use. It replaces the current chart, unless visual is "new": then it is added to the page next to the other visuals.',
+      parameters: {
+        type: 'object',
+        properties: chartFieldProperties,
+        required: ['chatResponse', 'chartType']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'modify_chart',
+      description: 'Change part of the current chart, or of another visual on the page picked with visual (for example only the chart type or one axis). Omitted properties keep their current values, so swap the axes explicitly when switching to or from barChart.',
+      parameters: {
+        type: 'object',
+        properties: chartFieldProperties,
+        required: ['chatResponse']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'format_chart',
+      description: 'Change how the current chart (or another visual on the page picked with visual) looks: title, data labels, legend, axis titles and font sizes. Can be called together with create_chart or modify_chart, and then formats the chart they build.',
+      parameters: {
+        type: 'object',
+        properties: {
+          chatResponse: chartFieldProperties.chatResponse,
+          visual: { ...visualProperty, description: 'Visual to format: its position in the PAGE VISUALS list, its title or "selected". Omit to format the current visual.' },
+          ...formatProperties
+        },
+        required: ['chatResponse']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'manage_page',
+      description: 'Add, open, rename or delete a page of the report. Can be called together with create_chart, modify_chart or format_chart: the page change happens first, so a chart created with visual "new" lands on the page it adds or opens.',
+      parameters: {
+        type: 'object',
+        properties: {
+          chatResponse: chartFieldProperties.chatResponse,
+          ...pageProperties
+        },
+        required: ['chatResponse', 'action']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'undo_change',
+      description: 'Undo or redo chart changes, e.g. "go back to the previous chart" or "undo that". Can be called together with create_chart, modify_chart or format_chart: the undo happens first.',
+      parameters: {
+        type: 'object',
+        properties: {
+          chatResponse: chartFieldProperties.chatResponse,
+          ...historyProperties
+        },
+        required: ['chatResponse', 'action']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'describe_schema',
+      description: 'Show the user the tables and fields in the dataset. Call this when the user asks what data, tables or fields are available.',
+      parameters: {
+        type: 'object',
+        properties: {
+          tables: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Table names to describe. Omit to describe every table.'
+          },
+          page: {
+            type: 'integer',
+            description: 'Page of the listing to show (1 = first). Large schemas are listed a page at a time.'
+          }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'query_data',
+      description: 'Answer a question about the data values (totals, counts, top items) with a read-only DAX query. The server runs the query and shows the result below chatResponse.',
+      parameters: {
+        type: 'object',
+        properties: {
+          chatResponse: {
+            type: 'string',
+            description: 'Short text introducing the answer. Do not guess the numbers; the query result is shown after this text.'
+          },
+          dax: {
+            type: 'string',
+            description: 'DAX query starting with EVALUATE (or DEFINE ... EVALUATE). Use \'Table\'[Field] references from the schema.'
+          }
+        },
+        required: ['chatResponse', 'dax']
+      }
+    }
+  }
+];
+
+const nullableString = (description) => ({
+  type: ['string', 'null'],
+  description
+});
+
+const nullableMeasures = (description) => ({
+  description,
+  anyOf: [
+    { type: 'string' },
+    { type: 'array', items: { type: 'string' } },
+    { type: 'null' }
+  ]
+});
+
+// Strict schemas need every property listed as required; optional ones become nullable
+const nullable = (schema) => ({
+  ...schema,
+  type: [].concat(schema.type, 'null'),
+  ...(schema.enum ? { enum: [...schema.enum, null] } : {})
+});
+
+const strictObject = (properties) => ({
+  type: 'object',
+  additionalProperties: false,
+  required: Object.keys(properties),
+  properties
+});
+
+const strictFilter = strictObject({
+  field: filterProperties.field,
+  type: nullable(filterProperties.type),
+  scope: nullable(filterProperties.scope),
+  operator: nullable(filterProperties.operator),
+  values: nullable(filterProperties.values),
+  logicalOperator: nullable(filterProperties.logicalOperator),
+  conditions: nullable({
+    ...filterProperties.conditions,
+    items: strictObject({
+      operator: filterProperties.conditions.items.properties.operator,
+      value: nullable(filterValue)
+    })
+  }),
+  relativeDate: nullable(strictObject({
+    operator: filterProperties.relativeDate.properties.operator,
+    timeUnitsCount: filterProperties.relativeDate.properties.timeUnitsCount,
+    timeUnit: filterProperties.relativeDate.properties.timeUnit,
+    includeToday: filterProperties.relativeDate.properties.includeToday
+  }))
+});
+
+// Role properties in Table.FieldName format, null when the chart type does not take them
+const strictRoleProperties = Object.fromEntries(ROLE_KEYS.map(key => [
+  key,
+  MULTIPLE_ROLE_KEYS.includes(key)
+    ? nullableMeasures(`${roleDescription(key)} Otherwise null.`)
+    : nullableString(`${roleDescription(key)} Otherwise null.`)
+]));
+
+const strictFormatAxis = strictObject({
+  title: nullable(axisFormatProperties.title),
+  showTitle: nullable(axisFormatProperties.showTitle),
+  fontSize: nullable(fontSize)
+});
+
+const strictFormatAction = strictObject({
+  title: nullable(strictObject({
+    text: nullable(formatProperties.title.properties.text),
+    visible: nullable(formatProperties.title.properties.visible),
+    fontSize: nullable(fontSize)
+  })),
+  dataLabels: nullable(strictObject({
+    visible: nullable(formatProperties.dataLabels.properties.visible),
+    fontSize: nullable(fontSize)
+  })),
+  legend: nullable(strictObject({
+    visible: nullable(formatProperties.legend.properties.visible),
+    position: nullable(formatProperties.legend.properties.position),
+    fontSize: nullable(fontSize)
+  })),
+  xAxis: nullable(strictFormatAxis),
+  yAxis: nullable(strictFormatAxis)
+});
+
+// Strict JSON schema for response_format (every property required, optional values are nullable)
+const RESPONSE_JSON_SCHEMA = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'chart_assistant_response',
+    strict: true,
+    schema: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['chatResponse', 'chartAction', 'formatAction', 'pageAction', 'historyAction', 'daxQuery'],
+      properties: {
+        chatResponse: chartFieldProperties.chatResponse,
+        pageAction: nullable({
+          ...strictObject({
+            action: pageProperties.action,
+            page: { description: `${pageProperties.page.description} Otherwise null.`, anyOf: [{ type: 'string' }, { type: 'integer' }, { type: 'null' }] },
+            name: nullable(pageProperties.name)
+          }),
+          description: 'Page to add, switch to, rename or delete, otherwise null.'
+        }),
+        historyAction: nullable({
+          ...strictObject({
+            action: historyProperties.action,
+            steps: { type: ['integer', 'null'], description: 'Number of changes to undo or redo, null for one.' }
+          }),
+          description: 'Chart changes to undo or redo, otherwise null.'
+        }),
+        formatAction: nullable({ ...strictFormatAction, description: 'Formatting changes to the chart (title, labels, legend, axes), otherwise null.' }),
+        daxQuery: nullableString('Read-only DAX query (EVALUATE ...) answering a question about the data values, otherwise null.'),
+        chartAction: {
+          anyOf: [
+            {
+              type: 'object',
+              additionalProperties: false,
+              required: ['chartType', 'visual', ...ROLE_KEYS, 'filters', 'topN', 'sort'],
+              properties: {
+                chartType: { type: 'string', enum: SUPPORTED_CHART_TYPES },
+                visual: {
+                  description: `${visualProperty.description} Otherwise null.`,
+                  anyOf: [{ type: 'string' }, { type: 'integer' }, { type: 'null' }]
+                },
+                ...strictRoleProperties,
+                filters: nullable({ ...chartFieldProperties.filters, items: strictFilter }),
+                topN: {
+                  description: chartFieldProperties.topN.description,
+                  anyOf: [
+                    strictObject({ count: topNProperties.count, by: nullable(topNProperties.by), direction: nullable(topNProperties.direction) }),
+                    { type: 'boolean', enum: [false] },
+                    { type: 'null' }
+                  ]
+                },
+                sort: {
+                  description: chartFieldProperties.sort.description,
+                  anyOf: [
+                    strictObject({ field: nullable(sortProperties.field), direction: sortProperties.direction }),
+                    { type: 'boolean', enum: [false] },
+                    { type: 'null' }
+                  ]
+                }
+              }
+            },
+            { type: 'null' }
+          ]
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  RESPONSE_MODES,
+  AGENT_TOOLS,
+  RESPONSE_JSON_SCHEMA
+};
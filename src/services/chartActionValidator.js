@@ -0,0 +1,950 @@
+/**
+ * Chart Action Validator - Parses and validates agent responses before they reach the browser
+ *
+ * The LLM returns a JSON string with a chatResponse and an optional chartAction.
+ * This module turns that string into a typed object, checks every field against the
+ * dataset metadata, checks the chart type against the supported list and repairs
+ * measure/dimension placement where the fix is unambiguous.
+ *
+ * Problems are reported in two buckets:
+ * - warnings: issues that were repaired automatically (shown to the user as notes)
+ * - errors: issues that cannot be repaired without asking the model again
+ *
+ * Field references that are close but not exact (missing table prefix, typos) are
+ * resolved with fieldResolver. When a reference matches several fields, the
+ * response carries suggestions - one ready-to-apply chartAction per candidate.
+ */
+
+const { resolveFieldReference } = require('./fieldResolver');
+const visualTypeRegistry = require('./visualTypeRegistry');
+const { validateFormatAction } = require('./formatActionValidator');
+const { validatePageAction } = require('./pageActionValidator');
+const { validateHistoryAction } = require('./historyActionValidator');
+
+// Chart types the client chart operations modules know how to build (see visualTypeRegistry)
+const SUPPORTED_CHART_TYPES = visualTypeRegistry.SUPPORTED_VISUAL_TYPES;
+
+// Roles assumed when a partial chartAction has no chartType: the column/combo chart layout,
+// plus every other registry property with any field kind
+const DEFAULT_ROLES = {
+  ...Object.fromEntries(visualTypeRegistry.ROLE_KEYS.map(key => [key, { kind: 'any', multiple: true }])),
+  ...visualTypeRegistry.getVisualType('lineClusteredColumnComboChart').roles
+};
+const DEFAULT_LAYOUT = { categoryRole: 'xAxis', valueRole: 'yAxis', roles: DEFAULT_ROLES };
+
+// Most fields one role may hold
+const MAX_ROLE_FIELDS = 10;
+
+// chartAction.filters: kinds, scopes and operators (names match the Power BI filter models)
+const FILTER_TYPES = ['basic', 'advanced', 'relativeDate'];
+const FILTER_SCOPES = ['visual', 'page'];
+const BASIC_FILTER_OPERATORS = ['In', 'NotIn'];
+const ADVANCED_FILTER_OPERATORS = [
+  'LessThan', 'LessThanOrEqual', 'GreaterThan', 'GreaterThanOrEqual',
+  'Is', 'IsNot', 'Contains', 'DoesNotContain', 'StartsWith', 'DoesNotStartWith',
+  'IsBlank', 'IsNotBlank'
+];
+const VALUELESS_FILTER_OPERATORS = ['IsBlank', 'IsNotBlank'];
+const RELATIVE_DATE_OPERATORS = ['InLast', 'InThis', 'InNext'];
+const RELATIVE_DATE_TIME_UNITS = ['Days', 'Weeks', 'CalendarWeeks', 'Months', 'CalendarMonths', 'Years', 'CalendarYears'];
+// Most filters one chartAction may set
+const MAX_FILTERS = 5;
+
+// chartAction.topN and chartAction.sort (names match the Power BI TopN filter and sort APIs)
+const TOP_N_DIRECTIONS = ['Top', 'Bottom'];
+const SORT_DIRECTIONS = ['Ascending', 'Descending'];
+const MAX_TOP_N = 1000;
+
+// chartAction.visual keywords, and the most visuals the chat lays out on one page
+const VISUAL_TARGET_KEYWORDS = ['new', 'selected'];
+const MAX_PAGE_VISUALS = 9;
+
+// Column data types (from INFO.VIEW.COLUMNS) that hold numbers or dates
+const NUMERIC_TYPES = ['int64', 'double', 'decimal', 'number', 'integer', 'currency'];
+const DATE_TYPES = ['datetime', 'date'];
+
+/**
+ * Extract the JSON object from a raw LLM response
+ * Tolerates markdown code fences and leading/trailing prose around the object.
+ * @param {string} rawText - Raw response text from the provider
+ * @returns {{parsed: Object|null, error: string|null}} Parsed object or a description of the failure
+ */
+function parseAgentResponse(rawText) {
+  if (typeof rawText !== 'string' || rawText.trim() === '') {
+    return { parsed: null, error: 'Response was empty' };
+  }
+
+  let text = rawText.trim();
+
+  // Strip ```json ... ``` fences
+  const fenceMatch = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  if (fenceMatch) {
+    text = fenceMatch[1];
+  }
+
+  // Fall back to the outermost braces if the model wrapped the JSON in prose
+  if (!text.startsWith('{')) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      return { parsed: null, error: 'Response was not a JSON object' };
+    }
+    text = text.substring(start, end + 1);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return { parsed: null, error: `Response was not valid JSON: ${error.message}` };
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { parsed: null, error: 'Response was not a JSON object' };
+  }
+
+  if (typeof parsed.chatResponse !== 'string' || parsed.chatResponse.trim() === '') {
+    return { parsed: null, error: 'Response is missing the "chatResponse" text' };
+  }
+
+  return { parsed, error: null };
+}
+
+// JSON string escape sequences and the characters they stand for
+const JSON_ESCAPES = { 'n': '\n', 't': '\t', 'r': '\r', 'b': '\b', 'f': '\f', '"': '"', '\\': '\\', '/': '/' };
+
+/**
+ * Extract the chatResponse text from an incomplete (still streaming) JSON response
+ * Decodes the string value as far as it has arrived, stopping before any
+ * escape sequence that is not complete yet.
+ * @param {string} partialText - Response text received so far
+ * @returns {string|null} chatResponse text so far, or null if the value has not started
+ */
+function extractPartialChatResponse(partialText) {
+  const keyMatch = /"chatResponse"\s*:\s*"/.exec(partialText || '');
+  if (!keyMatch) {
+    return null;
+  }
+
+  let text = '';
+  let i = keyMatch.index + keyMatch[0].length;
+  while (i < partialText.length) {
+    const char = partialText[i];
+    if (char === '"') break;
+
+    if (char !== '\\') {
+      text += char;
+      i++;
+      continue;
+    }
+
+    const next = partialText[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = partialText.substring(i + 2, i + 6);
+      if (hex.length < 4) break;
+      text += String.fromCharCode(parseInt(hex, 16));
+      i += 6;
+      continue;
+    }
+    text += JSON_ESCAPES[next] !== undefined ? JSON_ESCAPES[next] : next;
+    i += 2;
+  }
+  return text;
+}
+
+/**
+ * Build a case-insensitive lookup of Table.Field names from dataset metadata
+ * Glossary synonyms (column.synonyms) are indexed too, both bare ("revenue") and
+ * table-qualified ("Sales.revenue"). A synonym shared by several fields is left out
+ * because it cannot be resolved unambiguously.
+ * @param {Object} metadata - Dataset metadata from PowerBIService.getMetadataContext
+ * @returns {Map<string, Object>|null} Map keyed by lowercase "table.field", or null when no schema is available
+ */
+function buildFieldIndex(metadata) {
+  if (!metadata || !Array.isArray(metadata.tables)) {
+    return null;
+  }
+
+  const index = new Map();
+  const synonymEntries = new Map();
+  for (const table of metadata.tables) {
+    if (!table.columns) continue;
+    for (const column of table.columns) {
+      const qualifiedName = `${table.name}.${column.name}`;
+      const entry = {
+        qualifiedName,
+        table: table.name,
+        name: column.name,
+        type: column.type,
+        isMeasure: !!(column.isMeasure || column.type === 'measure')
+      };
+      index.set(qualifiedName.toLowerCase(), entry);
+
+      for (const synonym of column.synonyms || []) {
+        for (const key of [synonym, `${table.name}.${synonym}`]) {
+          const lower = key.toLowerCase();
+          const existing = synonymEntries.get(lower);
+          synonymEntries.set(lower, existing && existing.qualifiedName !== qualifiedName ? null : { ...entry, synonym });
+        }
+      }
+    }
+  }
+
+  for (const [key, entry] of synonymEntries) {
+    if (entry && !index.has(key)) {
+      index.set(key, entry);
+    }
+  }
+  return index;
+}
+
+/**
+ * Normalize DAX-style references ('Table'[Field] or Table[Field]) to Table.Field
+ * @param {string} fieldName - Field reference produced by the model
+ * @returns {string} Field reference in Table.Field format
+ */
+function normalizeFieldReference(fieldName) {
+  const trimmed = String(fieldName).trim();
+  const daxMatch = trimmed.match(/^'?([^'[\]]+)'?\[([^\]]+)\]$/);
+  if (daxMatch) {
+    return `${daxMatch[1].trim()}.${daxMatch[2].trim()}`;
+  }
+  return trimmed;
+}
+
+/**
+ * Resolve a field reference against the field index
+ * @param {string} fieldName - Field reference produced by the model
+ * @param {Map<string, Object>} fieldIndex - Index from buildFieldIndex
+ * @returns {Object|null} Field entry, or null if the field does not exist
+ */
+function resolveField(fieldName, fieldIndex) {
+  const normalized = normalizeFieldReference(fieldName);
+  return fieldIndex.get(normalized.toLowerCase()) || null;
+}
+
+/**
+ * Resolve a chart type name against the visual type registry (case-insensitive, aliases allowed)
+ * @param {string} chartType - Chart type produced by the model
+ * @returns {string|null} Canonical chart type name, or null if unsupported
+ */
+function resolveChartType(chartType) {
+  return visualTypeRegistry.resolveVisualType(chartType);
+}
+
+/**
+ * Look up a field reference: exact name or glossary term first, then near misses
+ * @param {string} value - Field reference produced by the model
+ * @param {Map<string, Object>} fieldIndex - Index from buildFieldIndex
+ * @param {boolean|null} expectMeasure - Field kind the position expects (null when any kind fits)
+ * @returns {{field: Object|null, candidates: Array<string>}} Field entry, or the candidate names when ambiguous
+ * @private
+ */
+function lookupField(value, fieldIndex, expectMeasure) {
+  const field = resolveField(value, fieldIndex);
+  if (field) {
+    return { field, candidates: [] };
+  }
+  const resolution = resolveFieldReference(normalizeFieldReference(value), fieldIndex, { expectMeasure });
+  return { field: resolution.field, candidates: resolution.candidates.map(candidate => candidate.qualifiedName) };
+}
+
+/**
+ * Describe the correction made to a field reference, if any
+ * @private
+ */
+function fieldCorrectionWarning(value, field) {
+  if (field.synonym) {
+    return `Glossary term "${value}" was mapped to "${field.qualifiedName}"`;
+  }
+  if (field.qualifiedName !== value) {
+    return `Field "${value}" was corrected to "${field.qualifiedName}"`;
+  }
+  return null;
+}
+
+/**
+ * Quote candidate names as "A", "B" or "C"
+ * @private
+ */
+function listCandidates(candidates) {
+  const quoted = candidates.map(name => `"${name}"`);
+  return quoted.length > 1 ? `${quoted.slice(0, -1).join(', ')} or ${quoted[quoted.length - 1]}` : quoted[0];
+}
+
+/**
+ * Resolve the field named by a filter, topN or sort entry
+ * @param {string} value - Field reference produced by the model
+ * @param {string} label - Name used in messages (e.g. "filters[0]")
+ * @param {Map<string, Object>} fieldIndex - Index from buildFieldIndex
+ * @param {boolean|null} expectMeasure - Field kind the entry expects (null when any kind fits)
+ * @param {Array<string>} warnings - Collects corrections
+ * @param {Array<string>} errors - Collects problems
+ * @returns {Object|null} Field entry, or null after recording an error
+ * @private
+ */
+function resolveEntryField(value, label, fieldIndex, expectMeasure, warnings, errors) {
+  const { field, candidates } = lookupField(value, fieldIndex, expectMeasure);
+  if (candidates.length > 0) {
+    errors.push(`${label} field "${value}" is ambiguous. Did you mean ${listCandidates(candidates)}?`);
+    return null;
+  }
+  if (!field) {
+    errors.push(`${label} field "${value}" does not exist in the dataset schema`);
+    return null;
+  }
+  const correction = fieldCorrectionWarning(value, field);
+  if (correction) {
+    warnings.push(correction);
+  }
+  return field;
+}
+
+/**
+ * Check a filter value against the column type (numeric strings become numbers)
+ * @private
+ */
+function normalizeFilterValue(value, field) {
+  if (field && NUMERIC_TYPES.includes(field.type) && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Validate chartAction.filters
+ * Each filter targets one field and is one of:
+ * - basic:        { field, operator: 'In'|'NotIn', values: [...] }
+ * - advanced:     { field, logicalOperator: 'And'|'Or', conditions: [{ operator, value }] } (one or two conditions)
+ * - relativeDate: { field, relativeDate: { operator: 'InLast'|'InThis'|'InNext', timeUnitsCount, timeUnit, includeToday } }
+ * plus an optional scope ('visual', the default, or 'page'). The type is inferred when omitted.
+ *
+ * @param {Array<Object>} filters - chartAction.filters from the agent response
+ * @param {Map<string, Object>|null} fieldIndex - Index from buildFieldIndex (null when the schema is unavailable)
+ * @param {Array<string>} warnings - Collects repairs
+ * @param {Array<string>} errors - Collects problems
+ * @returns {Array<Object>} Normalized filters ({ field, type, scope, isMeasure, ... })
+ */
+function validateFilters(filters, fieldIndex, warnings, errors) {
+  if (!Array.isArray(filters)) {
+    errors.push('filters must be an array');
+    return [];
+  }
+  if (filters.length > MAX_FILTERS) {
+    errors.push(`filters can hold at most ${MAX_FILTERS} filters`);
+    return [];
+  }
+
+  const normalized = [];
+  filters.forEach((filter, index) => {
+    const label = `filters[${index}]`;
+    if (!filter || typeof filter !== 'object' || typeof filter.field !== 'string' || filter.field.trim() === '') {
+      errors.push(`${label} must be an object with a "Table.Field" field`);
+      return;
+    }
+
+    let field = null;
+    let fieldName = filter.field;
+    if (fieldIndex) {
+      field = resolveEntryField(filter.field, label, fieldIndex, null, warnings, errors);
+      if (!field) {
+        return;
+      }
+      fieldName = field.qualifiedName;
+    }
+
+    const type = filter.type || (filter.relativeDate ? 'relativeDate' : filter.conditions ? 'advanced' : 'basic');
+    if (!FILTER_TYPES.includes(type)) {
+      errors.push(`${label} type must be one of: ${FILTER_TYPES.join(', ')}`);
+      return;
+    }
+    const scope = filter.scope || 'visual';
+    if (!FILTER_SCOPES.includes(scope)) {
+      errors.push(`${label} scope must be one of: ${FILTER_SCOPES.join(', ')}`);
+      return;
+    }
+    const isMeasure = Boolean(field && field.isMeasure);
+    if (isMeasure && (type !== 'advanced' || scope !== 'visual')) {
+      errors.push(`${label} filters the measure "${fieldName}"; measures only support advanced filters on the visual`);
+      return;
+    }
+
+    const result = { field: fieldName, type, scope, isMeasure };
+
+    if (type === 'basic') {
+      const operator = filter.operator || 'In';
+      if (!BASIC_FILTER_OPERATORS.includes(operator)) {
+        errors.push(`${label} operator must be one of: ${BASIC_FILTER_OPERATORS.join(', ')}`);
+        return;
+      }
+      if (!Array.isArray(filter.values) || filter.values.length === 0 ||
+          filter.values.some(value => !['string', 'number', 'boolean'].includes(typeof value))) {
+        errors.push(`${label} values must be a non-empty array of strings, numbers or booleans`);
+        return;
+      }
+      result.operator = operator;
+      result.values = filter.values.map(value => normalizeFilterValue(value, field));
+    } else if (type === 'advanced') {
+      const logicalOperator = filter.logicalOperator || 'And';
+      if (!['And', 'Or'].includes(logicalOperator)) {
+        errors.push(`${label} logicalOperator must be "And" or "Or"`);
+        return;
+      }
+      const conditions = Array.isArray(filter.conditions) ? filter.conditions : [];
+      if (conditions.length === 0 || conditions.length > 2) {
+        errors.push(`${label} must have one or two conditions`);
+        return;
+      }
+      const invalid = conditions.find(condition => !condition || !ADVANCED_FILTER_OPERATORS.includes(condition.operator) ||
+        (!VALUELESS_FILTER_OPERATORS.includes(condition.operator) && (condition.value === undefined || condition.value === null)));
+      if (invalid) {
+        errors.push(`${label} conditions need an operator (${ADVANCED_FILTER_OPERATORS.join(', ')}) and a value`);
+        return;
+      }
+      result.logicalOperator = logicalOperator;
+      result.conditions = conditions.map(condition => (VALUELESS_FILTER_OPERATORS.includes(condition.operator)
+        ? { operator: condition.operator }
+        : { operator: condition.operator, value: normalizeFilterValue(condition.value, field) }));
+    } else {
+      const relativeDate = filter.relativeDate || {};
+      if (field && field.type && !DATE_TYPES.includes(field.type)) {
+        errors.push(`${label} relative date filters need a date column, but "${fieldName}" is ${field.type}`);
+        return;
+      }
+      if (!RELATIVE_DATE_OPERATORS.includes(relativeDate.operator)) {
+        errors.push(`${label} relativeDate.operator must be one of: ${RELATIVE_DATE_OPERATORS.join(', ')}`);
+        return;
+      }
+      if (!RELATIVE_DATE_TIME_UNITS.includes(relativeDate.timeUnit)) {
+        errors.push(`${label} relativeDate.timeUnit must be one of: ${RELATIVE_DATE_TIME_UNITS.join(', ')}`);
+        return;
+      }
+      const timeUnitsCount = relativeDate.operator === 'InThis' ? 1 : Number(relativeDate.timeUnitsCount);
+      if (!Number.isInteger(timeUnitsCount) || timeUnitsCount < 1) {
+        errors.push(`${label} relativeDate.timeUnitsCount must be a positive whole number`);
+        return;
+      }
+      result.relativeDate = {
+        operator: relativeDate.operator,
+        timeUnitsCount,
+        timeUnit: relativeDate.timeUnit,
+        includeToday: relativeDate.includeToday !== false
+      };
+    }
+
+    normalized.push(result);
+  });
+
+  return normalized;
+}
+
+/**
+ * Validate chartAction.topN: keep the first or last `count` categories ranked by a measure
+ * { count, by: 'Table.Measure', direction: 'Top'|'Bottom' }; `by` defaults to the chart's
+ * value axis in the client and false removes the current top N.
+ *
+ * @param {Object|boolean} topN - chartAction.topN from the agent response
+ * @param {Map<string, Object>|null} fieldIndex - Index from buildFieldIndex (null when the schema is unavailable)
+ * @param {Array<string>} warnings - Collects repairs
+ * @param {Array<string>} errors - Collects problems
+ * @returns {Object|boolean|null} Normalized topN, false to remove it, null when invalid
+ */
+function validateTopN(topN, fieldIndex, warnings, errors) {
+  if (topN === false) {
+    return false;
+  }
+  if (!topN || typeof topN !== 'object' || Array.isArray(topN)) {
+    errors.push('topN must be an object ({ count, by, direction }) or false');
+    return null;
+  }
+
+  const count = Number(topN.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_TOP_N) {
+    errors.push(`topN.count must be a whole number between 1 and ${MAX_TOP_N}`);
+    return null;
+  }
+  const direction = topN.direction || 'Top';
+  if (!TOP_N_DIRECTIONS.includes(direction)) {
+    errors.push(`topN.direction must be one of: ${TOP_N_DIRECTIONS.join(', ')}`);
+    return null;
+  }
+
+  const result = { count, direction };
+  if (topN.by) {
+    let by = topN.by;
+    if (fieldIndex) {
+      const field = resolveEntryField(topN.by, 'topN.by', fieldIndex, true, warnings, errors);
+      if (!field) {
+        return null;
+      }
+      if (!field.isMeasure) {
+        errors.push(`topN.by must be a measure, but "${field.qualifiedName}" is a column`);
+        return null;
+      }
+      by = field.qualifiedName;
+    }
+    result.by = by;
+  }
+  return result;
+}
+
+/**
+ * Validate chartAction.sort: { field: 'Table.Field', direction: 'Ascending'|'Descending' }
+ * `field` defaults to the chart's value axis in the client and false forgets the current sort.
+ *
+ * @param {Object|boolean} sort - chartAction.sort from the agent response
+ * @param {Map<string, Object>|null} fieldIndex - Index from buildFieldIndex (null when the schema is unavailable)
+ * @param {Array<string>} warnings - Collects repairs
+ * @param {Array<string>} errors - Collects problems
+ * @returns {Object|boolean|null} Normalized sort ({ field, direction, isMeasure }), false to forget it, null when invalid
+ */
+function validateSort(sort, fieldIndex, warnings, errors) {
+  if (sort === false) {
+    return false;
+  }
+  if (!sort || typeof sort !== 'object' || Array.isArray(sort)) {
+    errors.push('sort must be an object ({ field, direction }) or false');
+    return null;
+  }
+
+  const direction = sort.direction || 'Descending';
+  if (!SORT_DIRECTIONS.includes(direction)) {
+    errors.push(`sort.direction must be one of: ${SORT_DIRECTIONS.join(', ')}`);
+    return null;
+  }
+
+  const result = { direction };
+  if (sort.field) {
+    result.field = sort.field;
+    if (fieldIndex) {
+      const field = resolveEntryField(sort.field, 'sort', fieldIndex, null, warnings, errors);
+      if (!field) {
+        return null;
+      }
+      result.field = field.qualifiedName;
+      result.isMeasure = field.isMeasure;
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate chartAction.visual: the visual on the report page the action applies to
+ * "new" adds a visual, "selected" is the visual the user clicked, a number is a position
+ * in the page visual list (1 = first) and any other string is a visual title. The object
+ * forms { index } and { title } are accepted too. Omitted: the current visual.
+ * Positions and titles are checked against the page visuals the client sent, if any.
+ *
+ * @param {*} target - chartAction.visual from the agent response
+ * @param {Array<Object>|null} pageVisuals - Page visuals from the client ({ index, title, chartType, selected }), null when unknown
+ * @param {Array<string>} warnings - Collects repairs
+ * @param {Array<string>} errors - Collects problems
+ * @returns {Object|null} Normalized target ({ new: true }, { selected: true }, { index } or { title }),
+ *          null when invalid or when it falls back to the current visual
+ */
+function validateVisualTarget(target, pageVisuals, warnings, errors) {
+  let normalized = target;
+  if (typeof target === 'number' || (typeof target === 'string' && /^\d+$/.test(target.trim()))) {
+    normalized = { index: Number(target) };
+  } else if (typeof target === 'string') {
+    const keyword = target.trim().toLowerCase();
+    normalized = VISUAL_TARGET_KEYWORDS.includes(keyword) ? { [keyword]: true } : { title: target.trim() };
+  }
+  if (!normalized || typeof normalized !== 'object' || Array.isArray(normalized)) {
+    errors.push('visual must be "new", "selected", a visual position (1, 2, ...) or a visual title');
+    return null;
+  }
+
+  const visuals = Array.isArray(pageVisuals) ? pageVisuals.filter(visual => visual && typeof visual === 'object') : null;
+
+  if (normalized.new === true) {
+    if (visuals && visuals.length >= MAX_PAGE_VISUALS) {
+      errors.push(`The page already has ${visuals.length} visuals, the most the chat lays out on one page; change an existing visual instead`);
+      return null;
+    }
+    return { new: true };
+  }
+
+  if (normalized.selected === true) {
+    if (visuals && !visuals.some(visual => visual.selected)) {
+      warnings.push('No visual is selected on the page, so the current visual was changed');
+      return null;
+    }
+    return { selected: true };
+  }
+
+  if (normalized.index !== undefined) {
+    const index = Number(normalized.index);
+    if (!Number.isInteger(index) || index < 1) {
+      errors.push('visual position must be a whole number starting at 1');
+      return null;
+    }
+    if (visuals && index > visuals.length) {
+      errors.push(`visual position ${index} does not exist: the page has ${visuals.length} visual${visuals.length === 1 ? '' : 's'}`);
+      return null;
+    }
+    return { index };
+  }
+
+  if (typeof normalized.title !== 'string' || normalized.title.trim() === '') {
+    errors.push('visual must be "new", "selected", a visual position (1, 2, ...) or a visual title');
+    return null;
+  }
+  const title = normalized.title.trim();
+  if (!visuals) {
+    return { title };
+  }
+
+  // Exact title (any case) first, then the one title containing the text
+  const titles = visuals.map(visual => visual.title).filter(item => typeof item === 'string' && item !== '');
+  const lower = title.toLowerCase();
+  const exact = titles.find(item => item.toLowerCase() === lower);
+  const partial = titles.filter(item => item.toLowerCase().includes(lower));
+  const match = exact || (partial.length === 1 ? partial[0] : null);
+  if (match) {
+    if (match !== title) {
+      warnings.push(`Visual title "${title}" was corrected to "${match}"`);
+    }
+    return { title: match };
+  }
+  if (partial.length > 1) {
+    errors.push(`visual title "${title}" matches several visuals. Did you mean ${listCandidates(partial)}?`);
+  } else if (titles.length > 0) {
+    errors.push(`No visual on the page is titled "${title}". Titles: ${titles.map(item => `"${item}"`).join(', ')}`);
+  } else {
+    errors.push(`No visual on the page is titled "${title}"; the visuals have no titles, so target them by position`);
+  }
+  return null;
+}
+
+/**
+ * Validate a chartAction against the supported chart types and the dataset schema
+ * @param {Object} chartAction - chartAction from the parsed agent response
+ * @param {Object} metadata - Dataset metadata (may be null when the schema is unavailable)
+ * @param {Array<Object>} [pageVisuals] - Visuals on the report page, checks chartAction.visual
+ * @returns {{chartAction: Object|null, warnings: Array<string>, errors: Array<string>, ambiguities: Array<Object>}}
+ *          Repaired chartAction and findings; ambiguities lists { axis, index?, value, candidates } for references matching several fields (index for measure arrays)
+ */
+function validateChartAction(chartAction, metadata, pageVisuals = null) {
+  const warnings = [];
+  const errors = [];
+  const ambiguities = [];
+
+  if (!chartAction || typeof chartAction !== 'object' || Array.isArray(chartAction)) {
+    return { chartAction: null, warnings, errors: ['chartAction must be an object'], ambiguities };
+  }
+
+  const result = {};
+
+  // Visual the action applies to (omitted: the current visual)
+  if (chartAction.visual !== undefined && chartAction.visual !== null) {
+    const target = validateVisualTarget(chartAction.visual, pageVisuals, warnings, errors);
+    if (target !== null) result.visual = target;
+  }
+
+  // Chart type
+  if (chartAction.chartType !== undefined && chartAction.chartType !== null) {
+    const chartType = resolveChartType(chartAction.chartType);
+    if (!chartType) {
+      errors.push(`Unsupported chartType "${chartAction.chartType}". Valid chart types: ${SUPPORTED_CHART_TYPES.join(', ')}`);
+    } else {
+      if (chartType !== chartAction.chartType) {
+        warnings.push(`Chart type "${chartAction.chartType}" was corrected to "${chartType}"`);
+      }
+      result.chartType = chartType;
+    }
+  }
+
+  // Fields, bound to the roles the visual type declares in the registry
+  const fieldIndex = buildFieldIndex(metadata);
+  const fields = {};
+  const visual = (result.chartType && visualTypeRegistry.getVisualType(result.chartType)) || DEFAULT_LAYOUT;
+  const typeLabel = result.chartType || 'this chart';
+  for (const axis of visualTypeRegistry.ROLE_KEYS) {
+    const value = chartAction[axis];
+    if (value === undefined || value === null || value === '') continue;
+
+    const role = visual.roles[axis];
+    if (!role) {
+      errors.push(`${axis} is not used by ${typeLabel}; it takes ${Object.keys(visual.roles).join(', ')}`);
+      continue;
+    }
+    if (Array.isArray(value) && !role.multiple) {
+      errors.push(`${axis} must be a single "Table.Field" string for ${typeLabel}`);
+      continue;
+    }
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length === 0 || values.length > MAX_ROLE_FIELDS || values.some(item => typeof item !== 'string' || item === '')) {
+      errors.push(role.multiple
+        ? `${axis} must be a "Table.Field" string or an array of 1 to ${MAX_ROLE_FIELDS} of them`
+        : `${axis} must be a "Table.Field" string`);
+      continue;
+    }
+
+    if (!fieldIndex) {
+      // Without a schema we cannot check names, pass them through unchanged
+      result[axis] = value;
+      continue;
+    }
+
+    // Field kind the role expects, used to choose between close matches
+    const expectMeasure = role.kind === 'any' ? null : role.kind === 'measure';
+    const resolved = [];
+    values.forEach((item, index) => {
+      const label = Array.isArray(value) ? `${axis}[${index}]` : axis;
+      const { field, candidates } = lookupField(item, fieldIndex, expectMeasure);
+      if (candidates.length > 0) {
+        errors.push(`${label} field "${item}" is ambiguous. Did you mean ${listCandidates(candidates)}?`);
+        ambiguities.push(Array.isArray(value) ? { axis, index, value: item, candidates } : { axis, value: item, candidates });
+        return;
+      }
+      if (!field) {
+        errors.push(`${label} field "${item}" does not exist in the dataset schema`);
+        return;
+      }
+      const correction = fieldCorrectionWarning(item, field);
+      if (correction) {
+        warnings.push(correction);
+      }
+      resolved.push(field);
+    });
+    if (resolved.length !== values.length) continue;
+
+    // A single field stays a plain string
+    const names = [...new Set(resolved.map(field => field.qualifiedName))];
+    result[axis] = names.length === 1 ? names[0] : names;
+    fields[axis] = resolved;
+  }
+
+  // Filters (omitted: keep the current filters, []: clear them)
+  if (chartAction.filters !== undefined && chartAction.filters !== null) {
+    result.filters = validateFilters(chartAction.filters, fieldIndex, warnings, errors);
+  }
+
+  // Top N and sort (omitted: keep the current ones, false: remove them)
+  if (chartAction.topN !== undefined && chartAction.topN !== null) {
+    const topN = validateTopN(chartAction.topN, fieldIndex, warnings, errors);
+    if (topN !== null) result.topN = topN;
+  }
+  if (chartAction.sort !== undefined && chartAction.sort !== null) {
+    const sort = validateSort(chartAction.sort, fieldIndex, warnings, errors);
+    if (sort !== null) result.sort = sort;
+  }
+
+  const hasFields = visualTypeRegistry.ROLE_KEYS.some(key => result[key]);
+  if (!fieldIndex && (hasFields || (result.filters && result.filters.length > 0))) {
+    warnings.push('Dataset schema was unavailable, so field names could not be checked');
+  }
+
+  // Measure/dimension placement
+  if (fieldIndex && errors.length === 0) {
+    const { valueRole, categoryRole } = visual;
+    const valueFields = (valueRole && fields[valueRole]) || [];
+    const categoryFields = (categoryRole && fields[categoryRole]) || [];
+
+    if (valueFields.length === 1 && categoryFields.length === 1 && !valueFields[0].isMeasure && categoryFields[0].isMeasure &&
+        visual.roles[valueRole].kind === 'measure' && visual.roles[categoryRole].kind === 'column') {
+      // Value and category are swapped - the fix is unambiguous
+      result[valueRole] = categoryFields[0].qualifiedName;
+      result[categoryRole] = valueFields[0].qualifiedName;
+      fields[valueRole] = categoryFields;
+      fields[categoryRole] = valueFields;
+      warnings.push(`Swapped axes so the measure "${categoryFields[0].qualifiedName}" is on ${valueRole} for ${typeLabel}`);
+    }
+
+    for (const [axis, axisFields] of Object.entries(fields)) {
+      const { kind } = visual.roles[axis];
+      for (const field of axisFields) {
+        if (kind === 'measure' && !field.isMeasure) {
+          errors.push(`${axis} must be a measure for ${typeLabel}, but "${field.qualifiedName}" is a column`);
+        } else if (kind === 'column' && field.isMeasure) {
+          errors.push(`${axis} must be a dimension column for ${typeLabel}, but "${field.qualifiedName}" is a measure`);
+        }
+      }
+    }
+
+    // Roles that take columns and measures: tell the client which fields are measures
+    const measureFields = Object.entries(fields)
+      .filter(([axis]) => visual.roles[axis].kind === 'any')
+      .flatMap(([, axisFields]) => axisFields.filter(field => field.isMeasure).map(field => field.qualifiedName));
+    if (measureFields.length > 0) {
+      result.measureFields = measureFields;
+    }
+  }
+
+  // Roles the registry recommends (e.g. series for clustered charts), once the chart has other fields
+  if (result.chartType && hasFields) {
+    for (const [axis, role] of Object.entries(visual.roles)) {
+      if (role.recommended && !result[axis]) {
+        warnings.push(`${result.chartType} has no ${axis} field, so ${role.recommended}`);
+      }
+    }
+  }
+
+  // A new visual starts empty, so nothing can be kept from the current chart
+  if (result.visual && result.visual.new && (!result.chartType || !hasFields)) {
+    errors.push('A new visual ("visual": "new") needs a chartType and its fields');
+  }
+
+  // A visual on its own picks the visual a formatAction applies to
+  if (!result.chartType && !hasFields && !result.filters && !result.visual &&
+      result.topN === undefined && result.sort === undefined && errors.length === 0) {
+    errors.push('chartAction does not contain a chartType, any fields, filters, topN, sort or visual');
+  }
+
+  return {
+    chartAction: errors.length > 0 ? null : result,
+    warnings,
+    errors,
+    ambiguities
+  };
+}
+
+/**
+ * Build one ready-to-apply chartAction per candidate of an ambiguous field
+ * Only the first ambiguous axis is offered; candidates whose chart would still be
+ * invalid are left out.
+ * @param {Object} chartAction - chartAction from the parsed agent response
+ * @param {Array<Object>} ambiguities - Ambiguities from validateChartAction
+ * @param {Object} metadata - Dataset metadata
+ * @param {Array<Object>} [pageVisuals] - Visuals on the report page
+ * @returns {Array<{label: string, axis: string, chartAction: Object}>} Suggestions, empty when none is valid
+ */
+function buildFieldSuggestions(chartAction, ambiguities, metadata, pageVisuals = null) {
+  if (ambiguities.length === 0) {
+    return [];
+  }
+
+  const { axis, index, candidates } = ambiguities[0];
+  return candidates
+    .map(candidate => {
+      // Ambiguous entries of a measure array are replaced in place
+      const value = index === undefined ? candidate : chartAction[axis].map((item, i) => (i === index ? candidate : item));
+      const validation = validateChartAction({ ...chartAction, [axis]: value }, metadata, pageVisuals);
+      return validation.chartAction && { label: candidate, axis, chartAction: validation.chartAction };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Visuals the chartAction will find once the historyAction and pageAction have run
+ * A new page is empty; after an undo or redo, a page switch or delete the open page
+ * is not known here.
+ * @private
+ */
+function visualsAfterActions(historyAction, pageAction, pageVisuals) {
+  if (historyAction) {
+    return null;
+  }
+  if (!pageAction || pageAction.action === 'rename') {
+    return pageVisuals;
+  }
+  return pageAction.action === 'add' ? [] : null;
+}
+
+/**
+ * Parse and validate a raw agent response in one step
+ * @param {string} rawText - Raw response text from the provider
+ * @param {Object} metadata - Dataset metadata (may be null)
+ * @param {Object} [report] - What the browser sent about the report
+ * @param {Array<Object>} [report.pageVisuals] - Visuals on the open page (checks chartAction.visual)
+ * @param {Array<Object>} [report.reportPages] - Pages of the report (checks pageAction.page)
+ * @param {Object} [report.changeHistory] - Chart changes the browser can undo and redo (checks historyAction.steps)
+ * @returns {{chatResponse: string|null, chartAction: Object|null, formatAction: Object|null, pageAction: Object|null,
+ *          historyAction: Object|null, daxQuery: string|null, warnings: Array<string>, errors: Array<string>,
+ *          formatErrors: Array<string>, pageErrors: Array<string>, historyErrors: Array<string>, suggestions: Array<Object>}}
+ *          Typed response; suggestions offers a chartAction per candidate when a field was ambiguous.
+ *          formatAction, pageAction and historyAction problems are kept apart in their own error lists so a
+ *          valid chartAction still applies. daxQuery is passed through unchecked (see DaxQueryService.checkQuery)
+ */
+function validateAgentResponse(rawText, metadata, { pageVisuals = null, reportPages = null, changeHistory = null } = {}) {
+  const { parsed, error } = parseAgentResponse(rawText);
+  if (!parsed) {
+    return {
+      chatResponse: null,
+      chartAction: null,
+      formatAction: null,
+      pageAction: null,
+      historyAction: null,
+      daxQuery: null,
+      warnings: [],
+      errors: [error],
+      formatErrors: [],
+      pageErrors: [],
+      historyErrors: [],
+      suggestions: []
+    };
+  }
+
+  const daxQuery = typeof parsed.daxQuery === 'string' && parsed.daxQuery.trim() !== '' ? parsed.daxQuery.trim() : null;
+  const format = parsed.formatAction === undefined || parsed.formatAction === null
+    ? { formatAction: null, warnings: [], errors: [] }
+    : validateFormatAction(parsed.formatAction);
+  const page = parsed.pageAction === undefined || parsed.pageAction === null
+    ? { pageAction: null, warnings: [], errors: [] }
+    : validatePageAction(parsed.pageAction, reportPages);
+  const history = parsed.historyAction === undefined || parsed.historyAction === null
+    ? { historyAction: null, warnings: [], errors: [] }
+    : validateHistoryAction(parsed.historyAction, changeHistory);
+  const actions = {
+    formatAction: format.formatAction,
+    pageAction: page.pageAction,
+    historyAction: history.historyAction,
+    daxQuery
+  };
+  if (parsed.chartAction === undefined || parsed.chartAction === null) {
+    return {
+      chatResponse: parsed.chatResponse,
+      chartAction: null,
+      ...actions,
+      warnings: [...history.warnings, ...page.warnings, ...format.warnings],
+      errors: [],
+      formatErrors: format.errors,
+      pageErrors: page.errors,
+      historyErrors: history.errors,
+      suggestions: []
+    };
+  }
+
+  // The chart is built on the page the undo or the pageAction opens
+  const visuals = visualsAfterActions(history.historyAction, page.pageAction, pageVisuals);
+  const validation = validateChartAction(parsed.chartAction, metadata, visuals);
+  return {
+    chatResponse: parsed.chatResponse,
+    chartAction: validation.chartAction,
+    ...actions,
+    warnings: [...history.warnings, ...page.warnings, ...validation.warnings, ...format.warnings],
+    errors: validation.errors,
+    formatErrors: format.errors,
+    pageErrors: page.errors,
+    historyErrors: history.errors,
+    suggestions: buildFieldSuggestions(parsed.chartAction, validation.ambiguities, metadata, visuals)
+  };
+}
+
+module.exports = {
+  SUPPORTED_CHART_TYPES,
+  MAX_ROLE_FIELDS,
+  BASIC_FILTER_OPERATORS,
+  ADVANCED_FILTER_OPERATORS,
+  RELATIVE_DATE_OPERATORS,
+  RELATIVE_DATE_TIME_UNITS,
+  TOP_N_DIRECTIONS,
+  SORT_DIRECTIONS,
+  VISUAL_TARGET_KEYWORDS,
+  MAX_PAGE_VISUALS,
+  parseAgentResponse,
+  extractPartialChatResponse,
+  buildFieldIndex,
+  normalizeFieldReference,
+  resolveField,
+  resolveChartType,
+  validateFilters,
+  validateTopN,
+  validateSort,
+  validateVisualTarget,
+  validateChartAction,
+  buildFieldSuggestions,
+  validateAgentResponse
+};
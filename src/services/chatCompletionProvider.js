@@ -0,0 +1,536 @@
+/**
+ * Chat Completion Provider - Shared base for OpenAI-style chat completion APIs
+ *
+ * Azure OpenAI, the public OpenAI API and OpenAI-compatible servers (llama.cpp,
+ * vLLM, Ollama, LM Studio, ...) all accept the same /chat/completions request
+ * and return the same response shape. This base class owns that contract;
+ * subclasses only describe where to send the request and how to authenticate.
+ *
+ * Subclasses implement:
+ * - _getCompletionsUrl() - Full URL of the chat completions endpoint
+ * - _getAuthHeaders()    - Authentication headers (may be empty)
+ * and may override _decorateRequestBody() to add provider-specific fields (e.g. model),
+ * _renewAuth() to drop cached credentials the provider rejected and
+ * _supportsStreamUsage() when the server rejects stream_options.
+ */
+
+const { TextDecoder } = require('util');
+const {
+  LLMError,
+  LLMAuthError,
+  LLMContentFilterError,
+  LLMTimeoutError,
+  LLMAbortedError,
+  errorFromResponse
+} = require('./llmErrors');
+
+// Defaults for request resilience (overridable per provider)
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+// Don't sleep longer than this between attempts; longer Retry-After values fail fast instead
+const MAX_RETRY_DELAY_MS = 30000;
+// Provider statuses that are worth retrying
+const RETRYABLE_STATUSES = [429, 503];
+
+class ChatCompletionProvider {
+  /**
+   * @param {string} providerName - Display name used in logs and error messages
+   * @param {Function} httpClient - HTTP client function (e.g., fetch)
+   * @param {Object} [options] - Resilience settings
+   * @param {number} [options.timeoutMs=60000] - Per-attempt timeout until the response headers arrive, and the longest wait between streamed chunks
+   * @param {number} [options.maxRetries=3] - Retries after a 429/503 response
+   */
+  constructor(providerName, httpClient, options = {}) {
+    if (!httpClient) {
+      throw new Error('httpClient is required');
+    }
+
+    this.providerName = providerName;
+    this.httpClient = httpClient;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.maxRetries = Number.isInteger(options.maxRetries) && options.maxRetries >= 0 ? options.maxRetries : DEFAULT_MAX_RETRIES;
+  }
+
+  /**
+   * Full URL of the chat completions endpoint
+   * @returns {string} Endpoint URL
+   * @protected
+   */
+  _getCompletionsUrl() {
+    throw new Error(`${this.constructor.name} must implement _getCompletionsUrl()`);
+  }
+
+  /**
+   * Authentication headers for each request (may be async, e.g. to fetch a token)
+   * @returns {Object|Promise<Object>} Header map
+   * @protected
+   */
+  _getAuthHeaders() {
+    return {};
+  }
+
+  /**
+   * Drop cached credentials after the provider rejected them (e.g. a revoked token)
+   * @returns {boolean} True when new credentials will be used for the next request
+   * @protected
+   */
+  _renewAuth() {
+    return false;
+  }
+
+  /**
+   * Add provider-specific fields to the request body
+   * @param {Object} requestBody - Request body built by complete()
+   * @returns {Object} Request body to send
+   * @protected
+   */
+  _decorateRequestBody(requestBody) {
+    return requestBody;
+  }
+
+  /**
+   * Whether streamed requests may ask for token usage (stream_options.include_usage)
+   * Servers that don't know the option reject the request, so providers that
+   * can't rely on it return false; streamed responses then report usage as null.
+   * @returns {boolean} True to request a final usage chunk
+   * @protected
+   */
+  _supportsStreamUsage() {
+    return true;
+  }
+
+  /**
+   * Normalize tool calls from a chat completion message
+   * @param {Array<Object>} rawToolCalls - message.tool_calls from the API
+   * @returns {Array<Object>} Tool calls with parsed arguments ({ id, name, arguments, rawArguments })
+   * @private
+   */
+  _parseToolCalls(rawToolCalls) {
+    if (!Array.isArray(rawToolCalls)) {
+      return [];
+    }
+
+    return rawToolCalls
+      .filter(call => call.type === 'function' && call.function)
+      .map(call => {
+        let args = null;
+        try {
+          args = JSON.parse(call.function.arguments || '{}');
+        } catch {
+          console.error(`[${this.constructor.name}] Could not parse tool call arguments:`, call.function.arguments);
+        }
+        return {
+          id: call.id,
+          name: call.function.name,
+          arguments: args,
+          rawArguments: call.function.arguments
+        };
+      });
+  }
+
+  /**
+   * Build the /chat/completions request body shared by complete() and streamComplete()
+   * @param {Object} request - Completion request (see complete())
+   * @returns {Object} Request body
+   * @private
+   */
+  _buildRequestBody({ systemPrompt, userMessage = null, messages = null, temperature = 0, maxTokens = 1000, tools = null, toolChoice = null, responseFormat = null }) {
+    if (!systemPrompt) {
+      throw new Error('systemPrompt is required');
+    }
+    const conversation = Array.isArray(messages) && messages.length > 0
+      ? messages
+      : (userMessage ? [{ role: 'user', content: userMessage }] : null);
+    if (!conversation) {
+      throw new Error('userMessage or messages is required');
+    }
+
+    const requestBody = this._decorateRequestBody({
+      messages: [
+        { role: 'system', content: systemPrompt },
+        ...conversation
+      ],
+      max_tokens: maxTokens,
+      temperature: temperature
+    });
+
+    if (tools && tools.length > 0) {
+      requestBody.tools = tools;
+      requestBody.tool_choice = toolChoice || 'auto';
+    }
+
+    if (responseFormat) {
+      requestBody.response_format = responseFormat;
+    }
+
+    return requestBody;
+  }
+
+  /**
+   * POST a request body to the completions endpoint
+   * Each attempt has its own timeout; 429 and 503 responses are retried with
+   * exponential backoff, waiting for Retry-After when the provider sends one.
+   * A 401 is retried once with renewed credentials when the subclass can renew them.
+   *
+   * @param {Object} requestBody - Request body
+   * @param {AbortSignal} [signal] - Cancels the request (e.g. when the browser disconnects)
+   * @returns {Promise<Object>} HTTP response (already checked for success)
+   * @private
+   */
+  async _post(requestBody, signal = null) {
+    const logPrefix = `[${this.constructor.name}]`;
+    const url = this._getCompletionsUrl();
+    let authRenewed = false;
+
+    for (let attempt = 0; ; attempt++) {
+      if (signal?.aborted) {
+        throw new LLMAbortedError();
+      }
+
+      console.log(`${logPrefix} Making request to:`, url, attempt > 0 ? `(retry ${attempt}/${this.maxRetries})` : '');
+
+      const authHeaders = await this._getAuthHeaders();
+      const response = await this._fetchWithTimeout(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders
+        },
+        body: JSON.stringify(requestBody)
+      }, signal);
+
+      console.log(`${logPrefix} Response status:`, response.status);
+
+      if (response.ok) {
+        return response;
+      }
+
+      const errorText = await response.text();
+      const retryAfterMs = parseRetryAfter(response.headers);
+      console.error(`${logPrefix} API error:`, errorText);
+
+      const error = errorFromResponse(this.providerName, response.status, errorText, retryAfterMs);
+
+      // Cached credentials that were revoked or rotated keep failing until they expire
+      if (error instanceof LLMAuthError && error.providerStatus === 401 && !authRenewed && this._renewAuth()) {
+        authRenewed = true;
+        console.log(`${logPrefix} Provider rejected the credentials, retrying with new ones`);
+        continue;
+      }
+
+      const canRetry = RETRYABLE_STATUSES.includes(response.status) && attempt < this.maxRetries;
+      const delayMs = retryAfterMs !== null ? retryAfterMs : RETRY_BASE_DELAY_MS * Math.pow(2, attempt) * (1 + Math.random() * 0.25);
+
+      if (!canRetry || delayMs > MAX_RETRY_DELAY_MS) {
+        throw error;
+      }
+
+      console.log(`${logPrefix} Provider returned ${response.status}, retrying in ${Math.round(delayMs)}ms`);
+      await sleep(delayMs, signal);
+    }
+  }
+
+  /**
+   * Make one HTTP request that fails after timeoutMs or when the signal aborts
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @param {AbortSignal} [signal] - External cancellation signal
+   * @returns {Promise<Object>} HTTP response
+   * @private
+   */
+  async _fetchWithTimeout(url, options, signal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeoutMs);
+    const onAbort = () => controller.abort();
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    try {
+      return await this.httpClient(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      if (timedOut) {
+        throw new LLMTimeoutError(`${this.providerName} did not respond within ${this.timeoutMs}ms`);
+      }
+      if (signal?.aborted) {
+        throw new LLMAbortedError();
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  /**
+   * Wrap unexpected failures so callers always receive an LLMError
+   * @param {Error} error - Error thrown while completing
+   * @param {string} action - What failed (for the message)
+   * @returns {LLMError} Typed error
+   * @private
+   */
+  _toLLMError(error, action) {
+    if (error instanceof LLMError) {
+      return error;
+    }
+    return new LLMError(`${this.providerName} ${action} failed: ${error.message}`);
+  }
+
+  /**
+   * Send a chat completion request
+   *
+   * @param {Object} request - Completion request
+   * @param {string} request.systemPrompt - System prompt
+   * @param {string} [request.userMessage] - Single user message (used when messages is not given)
+   * @param {Array<Object>} [request.messages] - Conversation messages ({ role, content }) sent after the system prompt
+   * @param {number} [request.temperature=0] - Temperature (0-1)
+   * @param {number} [request.maxTokens=1000] - Max tokens to generate
+   * @param {Array<Object>} [request.tools] - Tool (function) definitions the model may call
+   * @param {string|Object} [request.toolChoice] - tool_choice value ('auto', 'none', 'required' or a specific tool)
+   * @param {Object} [request.responseFormat] - response_format value (e.g. a json_schema definition)
+   * @param {AbortSignal} [request.signal] - Cancels the request
+   * @returns {Promise<Object>} Completion response
+   * @returns {boolean} .success - Whether the request succeeded
+   * @returns {string} .response - The generated response text
+   * @returns {Array<Object>} .toolCalls - Tool calls requested by the model ({ id, name, arguments })
+   * @returns {string} .finishReason - Why the model stopped generating
+   * @returns {Object} .usage - Token usage information
+   * @returns {number} .duration - Request duration in milliseconds
+   */
+  async complete(request) {
+    const requestBody = this._buildRequestBody(request);
+    const logPrefix = `[${this.constructor.name}]`;
+    const startTime = Date.now();
+
+    try {
+      const response = await this._post(requestBody, request.signal);
+
+      // Parse response
+      const responseData = await response.json();
+      const choice = responseData.choices?.[0] || {};
+      const toolCalls = this._parseToolCalls(choice.message?.tool_calls);
+      if (choice.finish_reason === 'content_filter' && !choice.message?.content) {
+        throw new LLMContentFilterError(`${this.providerName} filtered the generated response`);
+      }
+      const content = choice.message?.content || (toolCalls.length > 0 ? '' : 'No response generated');
+
+      console.log(`${logPrefix} Response received, length:`, content.length, 'tool calls:', toolCalls.length);
+
+      return {
+        success: true,
+        response: content,
+        toolCalls,
+        finishReason: choice.finish_reason || null,
+        usage: responseData.usage || null,
+        duration: Date.now() - startTime
+      };
+
+    } catch (error) {
+      console.error(`${logPrefix} Error:`, error.message);
+      throw this._toLLMError(error, 'completion');
+    }
+  }
+
+  /**
+   * Send a streaming chat completion request
+   * Yields { content } for each text delta as it arrives, then a single final
+   * { done: true, response, toolCalls, finishReason, usage, duration } with the
+   * same fields complete() returns. usage is null when the provider doesn't
+   * report it for streams (see _supportsStreamUsage()).
+   *
+   * @param {Object} request - Completion request (same options as complete())
+   * @returns {AsyncGenerator<Object>} Stream of deltas followed by the final result
+   */
+  async *streamComplete(request) {
+    const requestBody = { ...this._buildRequestBody(request), stream: true };
+    if (this._supportsStreamUsage()) {
+      // Ask for a final chunk with token usage; without it streamed usage stays null
+      requestBody.stream_options = { include_usage: true };
+    }
+    const logPrefix = `[${this.constructor.name}]`;
+    const startTime = Date.now();
+
+    let response;
+    try {
+      response = await this._post(requestBody, request.signal);
+    } catch (error) {
+      console.error(`${logPrefix} Stream error:`, error.message);
+      throw this._toLLMError(error, 'streaming completion');
+    }
+
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    const toolCallParts = [];
+
+    // The per-attempt timeout only covers the response headers; stop reading if the client
+    // goes away or the provider stops sending data
+    const onAbort = () => response.body?.destroy?.();
+    request.signal?.addEventListener('abort', onAbort);
+    let idleTimer = null;
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        response.body?.destroy?.(new LLMTimeoutError(`${this.providerName} sent no data for ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+    };
+    resetIdleTimer();
+
+    try {
+      for await (const data of readServerSentEvents(response.body, resetIdleTimer)) {
+        if (data === '[DONE]') break;
+
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch {
+          console.error(`${logPrefix} Ignoring unparseable stream chunk:`, data);
+          continue;
+        }
+
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+
+        const choice = chunk.choices?.[0];
+        if (!choice) continue;
+
+        if (choice.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+
+        const delta = choice.delta || {};
+        if (delta.content) {
+          content += delta.content;
+          yield { content: delta.content };
+        }
+
+        // Tool call arguments arrive in fragments keyed by index
+        for (const part of delta.tool_calls || []) {
+          const existing = toolCallParts[part.index] || { type: 'function', function: { name: '', arguments: '' } };
+          if (part.id) existing.id = part.id;
+          if (part.function?.name) existing.function.name += part.function.name;
+          if (part.function?.arguments) existing.function.arguments += part.function.arguments;
+          toolCallParts[part.index] = existing;
+        }
+      }
+    } catch (error) {
+      console.error(`${logPrefix} Stream error:`, error.message);
+      if (request.signal?.aborted) {
+        throw new LLMAbortedError();
+      }
+      throw this._toLLMError(error, 'streaming completion');
+    } finally {
+      clearTimeout(idleTimer);
+      request.signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (request.signal?.aborted) {
+      throw new LLMAbortedError();
+    }
+    if (finishReason === 'content_filter') {
+      throw new LLMContentFilterError(`${this.providerName} filtered the generated response`);
+    }
+
+    const toolCalls = this._parseToolCalls(toolCallParts.filter(Boolean));
+
+    console.log(`${logPrefix} Stream finished, length:`, content.length, 'tool calls:', toolCalls.length);
+
+    yield {
+      done: true,
+      success: true,
+      response: content,
+      toolCalls,
+      finishReason,
+      usage,
+      duration: Date.now() - startTime
+    };
+  }
+}
+
+/**
+ * Parse Retry-After (seconds or HTTP date) or Azure's retry-after-ms header
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Delay in milliseconds, or null if the provider didn't send one
+ */
+function parseRetryAfter(headers) {
+  if (!headers || typeof headers.get !== 'function') {
+    return null;
+  }
+
+  const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+  if (!isNaN(retryAfterMs)) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for a delay, ending early with LLMAbortedError if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new LLMAbortedError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Read the data payloads of a server-sent event stream
+ * @param {AsyncIterable<Buffer|Uint8Array|string>} body - Response body stream
+ * @param {Function} [onChunk] - Called for each chunk read from the body
+ * @returns {AsyncGenerator<string>} The data of each event, in order
+ */
+async function* readServerSentEvents(body, onChunk = null) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    if (onChunk) onChunk();
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).trim();
+      buffer = buffer.slice(newlineIndex + 1);
+
+      if (line.startsWith('data:')) {
+        yield line.slice(5).trim();
+      }
+    }
+  }
+
+  const remaining = buffer.trim();
+  if (remaining.startsWith('data:')) {
+    yield remaining.slice(5).trim();
+  }
+}
+
+module.exports = ChatCompletionProvider;
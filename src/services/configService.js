@@ -4,6 +4,37 @@ require('dotenv').config();
 // Constants
 const METADATA_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
+// Required settings (config key -> environment variable) for each LLM provider
+const LLM_PROVIDER_SETTINGS = {
+  'azure-openai': {
+    azureOpenAIEndpoint: 'AZURE_OPENAI_ENDPOINT',
+    azureOpenAIDeploymentName: 'AZURE_OPENAI_DEPLOYMENT_NAME'
+  },
+  'openai': {
+    openaiApiKey: 'OPENAI_API_KEY',
+    openaiModel: 'OPENAI_MODEL'
+  },
+  'openai-compatible': {
+    openaiCompatibleBaseUrl: 'OPENAI_COMPATIBLE_BASE_URL',
+    openaiCompatibleModel: 'OPENAI_COMPATIBLE_MODEL'
+  }
+};
+
+// First Azure OpenAI API version that accepts a json_schema response_format (AGENT_RESPONSE_MODE=json_schema)
+const AZURE_JSON_SCHEMA_API_VERSION = '2024-08-01-preview';
+
+// Additional required settings for each Azure OpenAI auth mode
+const AZURE_OPENAI_AUTH_SETTINGS = {
+  'api-key': {
+    azureOpenAIApiKey: 'AZURE_OPENAI_API_KEY'
+  },
+  'service-principal': {
+    tenantId: 'TENANT_ID',
+    clientId: 'CLIENT_ID'
+  },
+  'managed-identity': {}
+};
+
 // Simple, clean configuration - loaded once, no complex caching
 const config = {
   // PowerBI Configuration
@@ -15,11 +46,59 @@ const config = {
   powerBIWorkspaceId: process.env.POWERBI_WORKSPACE_ID,
   powerBIDatasetId: process.env.POWERBI_DATASET_ID,
     
+  // LLM provider: 'azure-openai', 'openai' or 'openai-compatible'
+  llmProvider: process.env.LLM_PROVIDER || 'azure-openai',
+  // Per-attempt request timeout and retries after 429/503 responses
+  llmTimeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000,
+  llmMaxRetries: process.env.LLM_MAX_RETRIES ? parseInt(process.env.LLM_MAX_RETRIES, 10) : 3,
+  // Record/replay LLM calls: off (default), record (save responses) or replay (serve saved responses, no network)
+  llmReplayMode: process.env.LLM_REPLAY_MODE || 'off',
+  llmReplayDir: process.env.LLM_REPLAY_DIR || null,
+
   // Azure OpenAI Configuration
   azureOpenAIEndpoint: process.env.AZURE_OPENAI_ENDPOINT,
   azureOpenAIApiKey: process.env.AZURE_OPENAI_API_KEY,
   azureOpenAIDeploymentName: process.env.AZURE_OPENAI_DEPLOYMENT_NAME,
   azureOpenAIApiVersion: process.env.AZURE_OPENAI_API_VERSION || '2023-12-01-preview',
+  // 'api-key', 'service-principal' (TENANT_ID/CLIENT_ID with CLIENT_SECRET or a certificate) or 'managed-identity'
+  azureOpenAIAuthMode: process.env.AZURE_OPENAI_AUTH_MODE || 'api-key',
+  azureOpenAIClientCertificatePath: process.env.AZURE_OPENAI_CLIENT_CERTIFICATE_PATH,
+  azureOpenAIClientCertificateThumbprint: process.env.AZURE_OPENAI_CLIENT_CERTIFICATE_THUMBPRINT,
+  azureOpenAIManagedIdentityClientId: process.env.AZURE_OPENAI_MANAGED_IDENTITY_CLIENT_ID,
+
+  // OpenAI Configuration
+  openaiApiKey: process.env.OPENAI_API_KEY,
+  openaiModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  openaiBaseUrl: process.env.OPENAI_BASE_URL,
+  openaiOrganization: process.env.OPENAI_ORGANIZATION,
+
+  // OpenAI-compatible server Configuration (llama.cpp, vLLM, Ollama, ...)
+  openaiCompatibleBaseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+  openaiCompatibleApiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+  openaiCompatibleModel: process.env.OPENAI_COMPATIBLE_MODEL,
+  // Ask the server for token usage on streamed responses (not every server accepts stream_options)
+  openaiCompatibleStreamUsage: process.env.OPENAI_COMPATIBLE_STREAM_USAGE === 'true',
+
+  // Agent Configuration
+  // 'prompt' (JSON via system prompt), 'json_schema' (response_format) or 'tools' (function calling)
+  agentResponseMode: process.env.AGENT_RESPONSE_MODE || 'prompt',
+  // Estimated tokens of recent chat history sent verbatim; older turns are summarized
+  chatHistoryTokenBudget: parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET, 10) || 2000,
+  // System prompt templates and per-dataset overrides (defaults: templates/prompts, templates/datasets)
+  promptTemplatesDir: process.env.PROMPT_TEMPLATES_DIR || null,
+  promptDatasetsDir: process.env.PROMPT_DATASETS_DIR || null,
+  // Estimated tokens of schema fields in the prompt (most relevant first) and fields per page when listing the schema
+  schemaTokenBudget: parseInt(process.env.SCHEMA_TOKEN_BUDGET, 10) || 2000,
+  schemaPageSize: parseInt(process.env.SCHEMA_PAGE_SIZE, 10) || 50,
+  // Rows kept from a DAX query that answers a data question
+  daxQueryMaxRows: parseInt(process.env.DAX_QUERY_MAX_ROWS, 10) || 50,
+  // Times a chartAction Power BI rejected is sent back to the model before the user is asked
+  chatCorrectionAttempts: parseInt(process.env.CHAT_CORRECTION_ATTEMPTS, 10) || 2,
+  // Where chat conversations are kept: 'file' (one JSON file each, default data/conversations) or 'memory'
+  conversationStore: process.env.CONVERSATION_STORE || 'file',
+  conversationDir: process.env.CONVERSATION_DIR || null,
+  // Messages kept per conversation; the oldest are dropped first
+  conversationMaxMessages: parseInt(process.env.CONVERSATION_MAX_MESSAGES, 10) || 200,
     
   // Other configuration
   authorityUrl: 'https://login.microsoftonline.com/',
@@ -84,9 +163,67 @@ function validateConfig(config = null) {
   return null; // No validation errors
 }
 
+/**
+ * Validate the settings of the selected LLM provider
+ * @param {Object} [config] - Optional config object to validate (defaults to loadConfig())
+ * @returns {string|null} Error message if validation fails, null if valid
+ */
+function validateLLMConfig(config = null) {
+  if (!config) {
+    config = loadConfig();
+  }
+
+  if (!['off', 'record', 'replay'].includes(config.llmReplayMode)) {
+    return `LLM_REPLAY_MODE "${config.llmReplayMode}" is not supported. Use one of: off, record, replay.`;
+  }
+  // Replayed responses come from disk, so no provider credentials are needed
+  if (config.llmReplayMode === 'replay') {
+    return null;
+  }
+
+  const required = LLM_PROVIDER_SETTINGS[config.llmProvider];
+  if (!required) {
+    return `LLM_PROVIDER "${config.llmProvider}" is not supported. Use one of: ${Object.keys(LLM_PROVIDER_SETTINGS).join(', ')}.`;
+  }
+
+  const missing = Object.keys(required).filter(key => !config[key]);
+  if (missing.length > 0) {
+    return `LLM provider "${config.llmProvider}" is missing: ${missing.map(key => required[key]).join(', ')}.`;
+  }
+
+  if (config.llmProvider === 'azure-openai') {
+    const authRequired = AZURE_OPENAI_AUTH_SETTINGS[config.azureOpenAIAuthMode];
+    if (!authRequired) {
+      return `AZURE_OPENAI_AUTH_MODE "${config.azureOpenAIAuthMode}" is not supported. Use one of: ${Object.keys(AZURE_OPENAI_AUTH_SETTINGS).join(', ')}.`;
+    }
+
+    const authMissing = Object.keys(authRequired).filter(key => !config[key]);
+    if (authMissing.length > 0) {
+      return `Azure OpenAI ${config.azureOpenAIAuthMode} auth is missing: ${authMissing.map(key => authRequired[key]).join(', ')}.`;
+    }
+
+    if (config.azureOpenAIAuthMode === 'service-principal') {
+      const hasCertificate = config.azureOpenAIClientCertificatePath && config.azureOpenAIClientCertificateThumbprint;
+      if (!config.clientSecret && !hasCertificate) {
+        return 'Azure OpenAI service-principal auth needs CLIENT_SECRET or AZURE_OPENAI_CLIENT_CERTIFICATE_PATH and AZURE_OPENAI_CLIENT_CERTIFICATE_THUMBPRINT.';
+      }
+    }
+
+    // Older API versions reject the request with a 400 on every chat
+    // (versions are dated, so the date part orders them)
+    if (config.agentResponseMode === 'json_schema' &&
+      String(config.azureOpenAIApiVersion).slice(0, 10) < AZURE_JSON_SCHEMA_API_VERSION.slice(0, 10)) {
+      return `AGENT_RESPONSE_MODE=json_schema needs AZURE_OPENAI_API_VERSION ${AZURE_JSON_SCHEMA_API_VERSION} or later (configured: ${config.azureOpenAIApiVersion}).`;
+    }
+  }
+
+  return null;
+}
+
 module.exports = { 
   loadConfig,
   validateConfig,
+  validateLLMConfig,
   constants: {
     METADATA_CACHE_DURATION
   }
@@ -0,0 +1,229 @@
+/**
+ * Conversation Service - Server-side chat conversations
+ *
+ * A conversation keeps the messages of one chat and the chart state it produced,
+ * so the chat survives a page reload and the user can switch between chats:
+ *
+ *   {
+ *     id, title, createdAt, updatedAt,
+ *     messages: [{ role: 'user'|'assistant', content, timestamp }],
+ *     chartState: { pageName, visualName, config } | null
+ *   }
+ *
+ * Conversations live in a pluggable store (MemoryConversationStore, FileConversationStore
+ * or any object with the same list()/get()/save()/delete() contract). Untitled
+ * conversations are named after their first user message.
+ */
+
+const crypto = require('crypto');
+
+// Messages kept per conversation; the oldest are dropped first
+const DEFAULT_MAX_MESSAGES = 200;
+// Longest title, and the length a first message is cut to when it becomes the title
+const MAX_TITLE_LENGTH = 100;
+const GENERATED_TITLE_LENGTH = 60;
+
+/**
+ * Title for a conversation named after its first message
+ * @param {string} message - First user message
+ * @returns {string} Message on one line, cut to GENERATED_TITLE_LENGTH characters
+ */
+function titleFromMessage(message) {
+  const text = message.replace(/\s+/g, ' ').trim();
+  return text.length > GENERATED_TITLE_LENGTH
+    ? `${text.slice(0, GENERATED_TITLE_LENGTH - 3).trim()}...`
+    : text;
+}
+
+/**
+ * What the conversation list shows of a conversation
+ * @param {Object} conversation - Stored conversation
+ * @returns {Object} { id, title, createdAt, updatedAt, messageCount, hasChart }
+ */
+function summarize(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    messageCount: conversation.messages.length,
+    hasChart: Boolean(conversation.chartState)
+  };
+}
+
+class ConversationService {
+  /**
+   * @param {Object} store - Conversation store (list(), get(id), save(conversation), delete(id))
+   * @param {Object} [options]
+   * @param {number} [options.maxMessages=200] - Messages kept per conversation
+   */
+  constructor(store, options = {}) {
+    if (!store) {
+      throw new Error('store is required');
+    }
+    this.store = store;
+    this.maxMessages = options.maxMessages || DEFAULT_MAX_MESSAGES;
+    // Updates of the same conversation run one after another so none is lost
+    this.pendingUpdates = new Map();
+  }
+
+  /**
+   * List the conversations, most recently used first
+   * @returns {Promise<Array<Object>>} Conversation summaries (see summarize())
+   */
+  async listConversations() {
+    const conversations = await this.store.list();
+    return conversations
+      .map(summarize)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Get a conversation with its messages and chart state
+   * @param {string} id - Conversation ID
+   * @returns {Promise<Object|null>} Conversation, or null when it does not exist
+   */
+  async getConversation(id) {
+    if (typeof id !== 'string' || id === '') {
+      return null;
+    }
+    return this.store.get(id);
+  }
+
+  /**
+   * Start a conversation
+   * @param {Object} [details]
+   * @param {string} [details.title] - Title (named after the first message when omitted)
+   * @returns {Promise<Object>} New conversation
+   */
+  async createConversation({ title = null } = {}) {
+    const now = new Date().toISOString();
+    const conversation = {
+      id: crypto.randomUUID(),
+      title: title ? title.trim().slice(0, MAX_TITLE_LENGTH) : null,
+      createdAt: now,
+      updatedAt: now,
+      messages: [],
+      chartState: null
+    };
+    await this.store.save(conversation);
+    console.log(`[ConversationService] Created conversation ${conversation.id}`);
+    return conversation;
+  }
+
+  /**
+   * Rename a conversation
+   * @param {string} id - Conversation ID
+   * @param {string} title - New title
+   * @returns {Promise<Object|null>} Conversation summary, or null when it does not exist
+   */
+  async renameConversation(id, title) {
+    const conversation = await this._update(id, current => {
+      current.title = title.trim().slice(0, MAX_TITLE_LENGTH);
+    });
+    return conversation && summarize(conversation);
+  }
+
+  /**
+   * Keep the chart a conversation produced, so switching back to it restores the chart
+   * @param {string} id - Conversation ID
+   * @param {Object|null} chartState - Chart as the browser captured it ({ pageName, visualName, config })
+   * @returns {Promise<Object|null>} Conversation summary, or null when it does not exist
+   */
+  async saveChartState(id, chartState) {
+    const conversation = await this._update(id, current => {
+      current.chartState = chartState;
+    });
+    return conversation && summarize(conversation);
+  }
+
+  /**
+   * Add chat messages to a conversation
+   * An untitled conversation is named after its first user message.
+   * @param {string} id - Conversation ID
+   * @param {Array<Object>} messages - { role: 'user'|'assistant', content }; empty messages are skipped
+   * @returns {Promise<Object|null>} Updated conversation, or null when it does not exist
+   */
+  async appendMessages(id, messages) {
+    const timestamp = new Date().toISOString();
+    const added = messages
+      .filter(message => message && typeof message.content === 'string' && message.content.trim() !== '')
+      .map(message => ({ role: message.role === 'user' ? 'user' : 'assistant', content: message.content.trim(), timestamp }));
+
+    return this._update(id, current => {
+      current.messages.push(...added);
+      if (current.messages.length > this.maxMessages) {
+        current.messages.splice(0, current.messages.length - this.maxMessages);
+      }
+      const firstUserMessage = added.find(message => message.role === 'user');
+      if (!current.title && firstUserMessage) {
+        current.title = titleFromMessage(firstUserMessage.content);
+      }
+    });
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} id - Conversation ID
+   * @returns {Promise<boolean>} True when the conversation existed
+   */
+  async deleteConversation(id) {
+    const deleted = await this.store.delete(id);
+    if (deleted) {
+      console.log(`[ConversationService] Deleted conversation ${id}`);
+    }
+    return deleted;
+  }
+
+  /**
+   * What the conversation list shows of a conversation
+   * @param {Object} conversation - Stored conversation
+   * @returns {Object} { id, title, createdAt, updatedAt, messageCount, hasChart }
+   */
+  summarize(conversation) {
+    return summarize(conversation);
+  }
+
+  /**
+   * Chat history of a conversation in the shape the agent expects
+   * @param {Object} conversation - Stored conversation
+   * @returns {Array<Object>} { role, content } per message, oldest first
+   */
+  getChatHistory(conversation) {
+    return conversation.messages.map(({ role, content }) => ({ role, content }));
+  }
+
+  /**
+   * Read, change and save a conversation after any earlier update of it has finished
+   * @param {string} id - Conversation ID
+   * @param {Function} change - Changes the conversation in place
+   * @returns {Promise<Object|null>} Saved conversation, or null when it does not exist
+   * @private
+   */
+  async _update(id, change) {
+    const previous = this.pendingUpdates.get(id) || Promise.resolve();
+    const update = previous.catch(() => {}).then(async () => {
+      const conversation = await this.getConversation(id);
+      if (!conversation) {
+        return null;
+      }
+      change(conversation);
+      conversation.updatedAt = new Date().toISOString();
+      await this.store.save(conversation);
+      return conversation;
+    });
+
+    this.pendingUpdates.set(id, update);
+    try {
+      return await update;
+    } finally {
+      if (this.pendingUpdates.get(id) === update) {
+        this.pendingUpdates.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = ConversationService;
+module.exports.MAX_TITLE_LENGTH = MAX_TITLE_LENGTH;
+module.exports.titleFromMessage = titleFromMessage;
@@ -0,0 +1,375 @@
+/**
+ * DAX Query Service - Answers data questions with read-only DAX queries
+ *
+ * The agent writes an EVALUATE query for questions such as "what were total sales
+ * in March?". Before the query reaches Power BI it is checked here:
+ * - it must be a query (DEFINE/EVALUATE), not a script or a command
+ * - every 'Table'[Column] reference must exist in the dataset metadata
+ *
+ * Queries run through the executeQueries REST API, which never modifies the model.
+ * Each EVALUATE is wrapped in TOPN so Power BI returns at most maxRows + 1 rows
+ * (one more shows the result was cut). Results are formatted for the chat: a
+ * single value as a number, anything else as a small markdown table.
+ *
+ * The same API checks the values of chartAction basic filters against the column
+ * ("Nortwest" should not silently filter the chart down to nothing).
+ */
+
+// Rows kept from a query result
+const DEFAULT_MAX_ROWS = 50;
+
+// Anything other than DEFINE/EVALUATE at the start is not a query
+const QUERY_START_PATTERN = /^(DEFINE|EVALUATE)\b/i;
+// Table-qualified references: 'Table Name'[Column] or Table[Column]
+const FIELD_REFERENCE_PATTERN = /(?:'((?:[^']|'')+)'|\b([A-Za-z_]\w*))\[([^\]]+)\]/g;
+// MEASURE/COLUMN definitions in a DEFINE block add fields that only exist in the query
+const DEFINITION_PATTERN = /\b(?:MEASURE|COLUMN)\s+(?:'((?:[^']|'')+)'|([A-Za-z_]\w*))\[([^\]]+)\]/gi;
+// Column values suggested for a filter value that does not exist
+const MAX_VALUE_SUGGESTIONS = 5;
+
+/**
+ * Remove comments and string literals so they are not mistaken for DAX
+ * @param {string} query - DAX query
+ * @returns {string} Query code only
+ */
+function stripCommentsAndStrings(query) {
+  return query
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/(\/\/|--)[^\n]*/g, ' ')
+    .replace(/"(?:[^"]|"")*"/g, '""');
+}
+
+/**
+ * Blank out comments, string literals and quoted names without moving the rest of the query
+ * Keywords found in the result are at the same positions in the original query.
+ * @private
+ */
+function maskQuery(query) {
+  const blank = text => text.replace(/[^\n]/g, ' ');
+  return query.replace(/\/\*[\s\S]*?\*\/|(?:\/\/|--)[^\n]*|"(?:[^"]|"")*"|'(?:[^']|'')*'|\[[^\]]*\]/g, text =>
+    (/^["'[]/.test(text) ? text[0] + blank(text.slice(1, -1)) + text[text.length - 1] : blank(text)));
+}
+
+/**
+ * Split text at the commas outside parentheses and braces
+ * @private
+ */
+function splitTopLevel(text, masked) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < masked.length; i++) {
+    const char = masked[i];
+    if (char === '(' || char === '{') depth++;
+    else if (char === ')' || char === '}') depth--;
+    else if (char === ',' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+}
+
+/**
+ * Limit the rows every EVALUATE statement returns, keeping its ORDER BY
+ * EVALUATE t ORDER BY c DESC becomes EVALUATE TOPN(n, t, c, DESC) ORDER BY c DESC, so the
+ * rows kept are the first ones in the requested order. Statements with START AT are left alone.
+ * @param {string} query - Checked DAX query
+ * @param {number} rowLimit - Rows each statement may return
+ * @returns {string} Query with limited statements
+ */
+function limitQuery(query, rowLimit) {
+  const masked = maskQuery(query);
+
+  // Keywords outside parentheses and braces split the query into statements and clauses
+  const keywords = [];
+  let depth = 0;
+  for (const match of masked.matchAll(/\b(EVALUATE|ORDER\s+BY|START\s+AT)\b|[(){}]/gi)) {
+    if (match[0] === '(' || match[0] === '{') depth++;
+    else if (match[0] === ')' || match[0] === '}') depth--;
+    else if (depth === 0) keywords.push({ word: match[1].toUpperCase().replace(/\s+/, ' '), start: match.index, end: match.index + match[0].length });
+  }
+
+  let limited = '';
+  let copiedTo = 0;
+  keywords.forEach((keyword, index) => {
+    if (keyword.word !== 'EVALUATE') return;
+    const statementEnd = keywords.slice(index + 1).find(next => next.word === 'EVALUATE');
+    const clauses = keywords.slice(index + 1, statementEnd ? keywords.indexOf(statementEnd) : keywords.length);
+    if (clauses.some(clause => clause.word === 'START AT')) return;
+
+    const orderBy = clauses.find(clause => clause.word === 'ORDER BY');
+    const tableEnd = orderBy ? orderBy.start : (statementEnd ? statementEnd.start : query.length);
+    const table = query.slice(keyword.end, tableEnd).trim();
+    if (!table) return;
+
+    const orderArguments = [];
+    if (orderBy) {
+      const orderEnd = statementEnd ? statementEnd.start : query.length;
+      const items = splitTopLevel(query.slice(orderBy.end, orderEnd), masked.slice(orderBy.end, orderEnd));
+      for (const item of items) {
+        const direction = /\s(ASC|DESC)\s*$/i.exec(item);
+        const expression = (direction ? item.slice(0, direction.index) : item).trim();
+        orderArguments.push(expression, direction ? direction[1].toUpperCase() : 'ASC');
+      }
+    }
+
+    limited += `${query.slice(copiedTo, keyword.end)} TOPN(${rowLimit}, ${[table, ...orderArguments].join(', ')})\n`;
+    copiedTo = tableEnd;
+  });
+
+  return limited + query.slice(copiedTo);
+}
+
+/**
+ * Find the Table[Column] references in a query
+ * @private
+ */
+function findReferences(code, pattern) {
+  const references = [];
+  for (const match of code.matchAll(pattern)) {
+    const table = (match[1] !== undefined ? match[1].replace(/''/g, '\'') : match[2]).trim();
+    references.push({ table, column: match[3].trim(), text: match[0].trim() });
+  }
+  return references;
+}
+
+/**
+ * DAX column reference for a Table.Field name ('Table'[Field])
+ * @private
+ */
+function columnReference(qualifiedName) {
+  const dotIndex = qualifiedName.indexOf('.');
+  const table = qualifiedName.slice(0, dotIndex).replace(/'/g, '\'\'');
+  return `'${table}'[${qualifiedName.slice(dotIndex + 1).replace(/]/g, ']]')}]`;
+}
+
+/**
+ * DAX literal for a filter value
+ * @private
+ */
+function daxLiteral(value) {
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE()' : 'FALSE()';
+  }
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Display name of a result column ("Sales[TotalSales]" and "[Total]" become "TotalSales" and "Total")
+ * @private
+ */
+function columnLabel(key) {
+  const match = /\[([^\]]+)\]$/.exec(key);
+  return match ? match[1] : key;
+}
+
+/**
+ * Format one result value for the chat
+ * @private
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '(blank)';
+  }
+  if (typeof value === 'number') {
+    return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T00:00:00(\.0+)?Z?$/.test(value)) {
+    return value.slice(0, 10);
+  }
+  return String(value).replace(/\|/g, '\\|');
+}
+
+class DaxQueryService {
+  /**
+   * @param {Object} powerbiService - PowerBIService used to run the queries
+   * @param {Object} [options]
+   * @param {number} [options.maxRows=50] - Rows kept from a query result
+   */
+  constructor(powerbiService, options = {}) {
+    if (!powerbiService) {
+      throw new Error('powerbiService is required');
+    }
+    this.powerbiService = powerbiService;
+    this.maxRows = options.maxRows || DEFAULT_MAX_ROWS;
+  }
+
+  /**
+   * Check that a query is read-only and only uses fields from the dataset
+   * @param {string} query - DAX query written by the agent
+   * @param {Object} metadata - Dataset metadata (field references are not checked when null)
+   * @returns {Array<string>} Problems, empty when the query can be run
+   */
+  checkQuery(query, metadata) {
+    if (typeof query !== 'string' || query.trim() === '') {
+      return ['daxQuery must be a non-empty DAX query string'];
+    }
+
+    const code = stripCommentsAndStrings(query).trim();
+    if (!QUERY_START_PATTERN.test(code)) {
+      return ['daxQuery must be a read-only DAX query starting with EVALUATE (or DEFINE ... EVALUATE)'];
+    }
+    if (!/\bEVALUATE\b/i.test(code)) {
+      return ['daxQuery must contain an EVALUATE statement'];
+    }
+
+    if (!metadata || !Array.isArray(metadata.tables)) {
+      return [];
+    }
+
+    const known = new Set();
+    const tables = new Set();
+    for (const table of metadata.tables) {
+      tables.add(table.name.toLowerCase());
+      for (const column of table.columns || []) {
+        known.add(`${table.name}[${column.name}]`.toLowerCase());
+      }
+    }
+    for (const definition of findReferences(code, DEFINITION_PATTERN)) {
+      known.add(`${definition.table}[${definition.column}]`.toLowerCase());
+    }
+
+    const problems = [];
+    for (const reference of findReferences(code, FIELD_REFERENCE_PATTERN)) {
+      const key = `${reference.table}[${reference.column}]`.toLowerCase();
+      if (!tables.has(reference.table.toLowerCase())) {
+        problems.push(`daxQuery references table "${reference.table}", which does not exist in the dataset schema`);
+      } else if (!known.has(key)) {
+        problems.push(`daxQuery references ${reference.text}, which does not exist in the dataset schema`);
+      }
+    }
+    return [...new Set(problems)];
+  }
+
+  /**
+   * Run a query against the dataset
+   * @param {string} groupId - Power BI workspace ID
+   * @param {string} datasetId - Power BI dataset ID
+   * @param {string} query - Checked DAX query
+   * @returns {Promise<{query: string, columns: Array<string>, rows: Array<Array<*>>, rowCount: number, truncated: boolean}>}
+   *          Result rows as arrays in column order; rowCount counts the rows kept, truncated is
+   *          true when the query had more than maxRows rows
+   */
+  async runQuery(groupId, datasetId, query) {
+    // One row more than is kept shows whether the result was cut
+    const result = await this.powerbiService.executeDaxQuery(groupId, datasetId, limitQuery(query, this.maxRows + 1));
+    const table = (result && result.tables && result.tables[0]) || { rows: [] };
+    const rows = table.rows || [];
+    const keys = rows.length > 0 ? Object.keys(rows[0]) : [];
+
+    console.log(`[DaxQueryService] Query returned ${rows.length} rows`);
+    // TOPN keeps ties, and statements with START AT are not limited
+    const keptRows = rows.slice(0, this.maxRows);
+    return {
+      query,
+      columns: keys.map(columnLabel),
+      rows: keptRows.map(row => keys.map(key => row[key])),
+      rowCount: keptRows.length,
+      truncated: rows.length > this.maxRows
+    };
+  }
+
+  /**
+   * Check basic filter values against the values in their columns
+   * Text comparison in DAX ignores case, so "north" matches "North" and is replaced with
+   * the stored spelling. A text value that is missing but contained in exactly one
+   * column value ("Nort" in "North") is corrected too; otherwise the filter is an error
+   * listing the closest values. Measures and non-basic filters are not checked.
+   *
+   * @param {string} groupId - Power BI workspace ID
+   * @param {string} datasetId - Power BI dataset ID
+   * @param {Array<Object>} filters - Normalized filters from chartActionValidator.validateFilters
+   * @returns {Promise<{filters: Array<Object>, warnings: Array<string>, errors: Array<string>}>}
+   *          Filters with corrected values
+   */
+  async checkFilterValues(groupId, datasetId, filters) {
+    const warnings = [];
+    const errors = [];
+    const checked = [];
+
+    for (const filter of filters) {
+      if (filter.type !== 'basic' || filter.isMeasure) {
+        checked.push(filter);
+        continue;
+      }
+
+      const column = columnReference(filter.field);
+      const existing = await this._queryValues(groupId, datasetId,
+        `EVALUATE FILTER(VALUES(${column}), ${column} IN {${filter.values.map(daxLiteral).join(', ')}})`);
+
+      const values = [];
+      for (const value of filter.values) {
+        const match = existing.find(stored => String(stored).toLowerCase() === String(value).toLowerCase());
+        if (match !== undefined) {
+          if (match !== value) {
+            warnings.push(`Filter value "${value}" for ${filter.field} was corrected to "${match}"`);
+          }
+          values.push(match);
+          continue;
+        }
+
+        const similar = typeof value === 'string'
+          ? await this._queryValues(groupId, datasetId,
+            `EVALUATE TOPN(${MAX_VALUE_SUGGESTIONS}, FILTER(VALUES(${column}), CONTAINSSTRING(${column}, ${daxLiteral(value)})), ${column}, ASC)`)
+          : [];
+        if (similar.length === 1) {
+          warnings.push(`Filter value "${value}" for ${filter.field} was corrected to "${similar[0]}"`);
+          values.push(similar[0]);
+        } else if (similar.length > 1) {
+          errors.push(`Filter value "${value}" does not exist in ${filter.field}. Did you mean ${similar.map(item => `"${item}"`).join(', ')}?`);
+        } else {
+          errors.push(`Filter value "${value}" does not exist in ${filter.field}`);
+        }
+      }
+
+      checked.push({ ...filter, values: [...new Set(values)] });
+    }
+
+    return { filters: checked, warnings, errors };
+  }
+
+  /**
+   * Run a single-column query and return its values
+   * @private
+   */
+  async _queryValues(groupId, datasetId, query) {
+    const result = await this.powerbiService.executeDaxQuery(groupId, datasetId, query);
+    const rows = (result && result.tables && result.tables[0] && result.tables[0].rows) || [];
+    return rows.map(row => Object.values(row)[0]);
+  }
+
+  /**
+   * Format a query result as markdown for the chat
+   * @param {Object} result - Result from runQuery
+   * @returns {string} A bold value for single-value results, otherwise a markdown table
+   */
+  formatResult(result) {
+    if (result.rows.length === 0) {
+      return '_The query returned no rows._';
+    }
+
+    if (result.rows.length === 1 && result.columns.length === 1) {
+      return `**${result.columns[0]}: ${formatValue(result.rows[0][0])}**`;
+    }
+
+    const lines = [
+      `| ${result.columns.map(formatValue).join(' | ')} |`,
+      `| ${result.columns.map(() => '---').join(' | ')} |`,
+      ...result.rows.map(row => `| ${row.map(formatValue).join(' | ')} |`)
+    ];
+    if (result.truncated) {
+      lines.push('', `_Showing the first ${result.rows.length} rows; the query returned more._`);
+    }
+    return lines.join('\n');
+  }
+}
+
+DaxQueryService.DEFAULT_MAX_ROWS = DEFAULT_MAX_ROWS;
+DaxQueryService.limitQuery = limitQuery;
+
+module.exports = DaxQueryService;
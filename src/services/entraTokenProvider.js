@@ -0,0 +1,174 @@
+/**
+ * Entra Token Provider - Bearer tokens for Azure OpenAI without API keys
+ *
+ * Acquires Microsoft Entra ID tokens for the Cognitive Services scope using either
+ * - a service principal (client secret or certificate) through an MSAL confidential client, or
+ * - the managed identity of the host (App Service / Functions identity endpoint, or IMDS on VMs and AKS).
+ *
+ * Tokens are cached and refreshed shortly before they expire, or when Azure OpenAI
+ * rejects them; concurrent callers share a single in-flight token request.
+ */
+
+const { URLSearchParams } = require('url');
+const { LLMAuthError } = require('./llmErrors');
+
+const COGNITIVE_SERVICES_SCOPE = 'https://cognitiveservices.azure.com/.default';
+
+// Refresh tokens this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Azure Instance Metadata Service endpoint (VMs, VM scale sets, AKS)
+const IMDS_TOKEN_URL = 'http://169.254.169.254/metadata/identity/oauth2/token';
+
+const TOKEN_AUTH_MODES = {
+  SERVICE_PRINCIPAL: 'service-principal',
+  MANAGED_IDENTITY: 'managed-identity'
+};
+
+class EntraTokenProvider {
+  /**
+   * @param {Object} tokenConfig - Token configuration
+   * @param {string} tokenConfig.mode - 'service-principal' or 'managed-identity'
+   * @param {string} [tokenConfig.scope] - Token scope (defaults to the Cognitive Services scope)
+   * @param {string} [tokenConfig.managedIdentityClientId] - Client ID of a user-assigned managed identity
+   * @param {Object} dependencies
+   * @param {Object} [dependencies.msalClient] - MSAL ConfidentialClientApplication (service-principal mode)
+   * @param {Function} [dependencies.httpClient] - HTTP client function (managed-identity mode)
+   * @param {Object} [dependencies.env] - Environment variables (defaults to process.env)
+   */
+  constructor(tokenConfig, { msalClient = null, httpClient = null, env = process.env } = {}) {
+    if (!tokenConfig) {
+      throw new Error('tokenConfig is required');
+    }
+    if (!Object.values(TOKEN_AUTH_MODES).includes(tokenConfig.mode)) {
+      throw new Error(`Unsupported token auth mode "${tokenConfig.mode}". Use one of: ${Object.values(TOKEN_AUTH_MODES).join(', ')}`);
+    }
+    if (tokenConfig.mode === TOKEN_AUTH_MODES.SERVICE_PRINCIPAL && !msalClient) {
+      throw new Error('msalClient is required for service-principal auth');
+    }
+    if (tokenConfig.mode === TOKEN_AUTH_MODES.MANAGED_IDENTITY && !httpClient) {
+      throw new Error('httpClient is required for managed-identity auth');
+    }
+
+    this.mode = tokenConfig.mode;
+    this.scope = tokenConfig.scope || COGNITIVE_SERVICES_SCOPE;
+    this.managedIdentityClientId = tokenConfig.managedIdentityClientId || null;
+    this.msalClient = msalClient;
+    this.httpClient = httpClient;
+    this.env = env;
+
+    this.cachedToken = null;
+    this.pendingRequest = null;
+  }
+
+  /**
+   * Get a valid access token, using the cache when possible
+   * @returns {Promise<string>} Bearer token
+   * @throws {LLMAuthError} When no token can be acquired
+   */
+  async getToken() {
+    if (this.cachedToken && this.cachedToken.expiresAt - REFRESH_MARGIN_MS > Date.now()) {
+      return this.cachedToken.token;
+    }
+
+    if (!this.pendingRequest) {
+      this.pendingRequest = this._acquireToken()
+        .then(token => {
+          this.cachedToken = token;
+          return token.token;
+        })
+        .finally(() => {
+          this.pendingRequest = null;
+        });
+    }
+    return this.pendingRequest;
+  }
+
+  /**
+   * Forget the cached token (e.g. after Azure OpenAI rejected it) so the next getToken() acquires a new one
+   */
+  invalidateToken() {
+    if (this.cachedToken) {
+      console.log('[EntraTokenProvider] Dropping the cached token');
+    }
+    this.cachedToken = null;
+  }
+
+  /**
+   * Acquire a new token with the configured mode
+   * @returns {Promise<{token: string, expiresAt: number}>} Token and expiry time (ms since epoch)
+   * @private
+   */
+  async _acquireToken() {
+    console.log(`[EntraTokenProvider] Acquiring ${this.mode} token for ${this.scope}`);
+    try {
+      return this.mode === TOKEN_AUTH_MODES.SERVICE_PRINCIPAL
+        ? await this._acquireServicePrincipalToken()
+        : await this._acquireManagedIdentityToken();
+    } catch (error) {
+      const description = error.errorMessage || error.error_description || error.message;
+      console.error('[EntraTokenProvider] Token acquisition failed:', description);
+      throw new LLMAuthError(`Could not acquire Entra ID token (${this.mode}): ${description}`);
+    }
+  }
+
+  /**
+   * Client credentials flow through MSAL (secret or certificate)
+   * @private
+   */
+  async _acquireServicePrincipalToken() {
+    const result = await this.msalClient.acquireTokenByClientCredential({ scopes: [this.scope] });
+    if (!result || !result.accessToken) {
+      throw new Error('MSAL returned no access token');
+    }
+    return {
+      token: result.accessToken,
+      expiresAt: result.expiresOn ? new Date(result.expiresOn).getTime() : Date.now() + 60 * 60 * 1000
+    };
+  }
+
+  /**
+   * Managed identity token from the App Service identity endpoint or IMDS
+   * @private
+   */
+  async _acquireManagedIdentityToken() {
+    const resource = this.scope.replace(/\.default$/, '');
+    const params = new URLSearchParams({ resource });
+    let url;
+    let headers;
+
+    if (this.env.IDENTITY_ENDPOINT && this.env.IDENTITY_HEADER) {
+      // App Service, Functions and Container Apps
+      params.set('api-version', '2019-08-01');
+      if (this.managedIdentityClientId) params.set('client_id', this.managedIdentityClientId);
+      url = `${this.env.IDENTITY_ENDPOINT}?${params}`;
+      headers = { 'X-IDENTITY-HEADER': this.env.IDENTITY_HEADER };
+    } else {
+      params.set('api-version', '2018-02-01');
+      if (this.managedIdentityClientId) params.set('client_id', this.managedIdentityClientId);
+      url = `${IMDS_TOKEN_URL}?${params}`;
+      headers = { 'Metadata': 'true' };
+    }
+
+    const response = await this.httpClient(url, { method: 'GET', headers });
+    if (!response.ok) {
+      throw new Error(`Managed identity endpoint returned ${response.status}: ${await response.text()}`);
+    }
+
+    const data = await response.json();
+    if (!data.access_token) {
+      throw new Error('Managed identity endpoint returned no access token');
+    }
+
+    // expires_on is seconds since epoch (as a string); expires_in is a relative fallback
+    const expiresAt = data.expires_on
+      ? Number(data.expires_on) * 1000
+      : Date.now() + Number(data.expires_in || 3600) * 1000;
+
+    return { token: data.access_token, expiresAt };
+  }
+}
+
+module.exports = EntraTokenProvider;
+module.exports.TOKEN_AUTH_MODES = TOKEN_AUTH_MODES;
+module.exports.COGNITIVE_SERVICES_SCOPE = COGNITIVE_SERVICES_SCOPE;
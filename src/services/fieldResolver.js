@@ -0,0 +1,121 @@
+/**
+ * Field Resolver - Maps field references the model got slightly wrong onto schema fields
+ *
+ * Used by chartActionValidator when a reference is not an exact Table.Field name
+ * (or glossary term). Resolution tries, in order:
+ * 1. the same field name in another table, or without the table prefix ("TotalSales")
+ * 2. a table name on its own ("Sales") - every field of that table
+ * 3. field names within a small edit distance (typos such as "TotalSale")
+ *
+ * When several fields remain, fields of the expected kind (measure on the value
+ * axis, column elsewhere) win, then fields in the table the model named.
+ * A single remaining field is a safe correction; several are returned as
+ * candidates so the user can pick one.
+ */
+
+// Most candidates offered for an ambiguous reference
+const MAX_CANDIDATES = 5;
+
+// Edit distance allowed per character of the name (at least 1, at most 3 edits)
+const EDIT_DISTANCE_RATIO = 0.25;
+const MAX_EDIT_DISTANCE = 3;
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Split a reference into table and field name parts
+ * @private
+ */
+function splitReference(reference) {
+  const dotIndex = reference.indexOf('.');
+  if (dotIndex === -1) {
+    return { table: null, name: reference };
+  }
+  return { table: reference.slice(0, dotIndex), name: reference.slice(dotIndex + 1) };
+}
+
+/**
+ * Narrow candidates by field kind and by the table the model named
+ * Each filter only applies when it leaves at least one candidate.
+ * @private
+ */
+function narrowCandidates(candidates, table, expectMeasure) {
+  let narrowed = candidates;
+  if (expectMeasure !== null) {
+    const sameKind = narrowed.filter(field => field.isMeasure === expectMeasure);
+    if (sameKind.length > 0) narrowed = sameKind;
+  }
+  if (table) {
+    const sameTable = narrowed.filter(field => field.table.toLowerCase() === table);
+    if (sameTable.length > 0) narrowed = sameTable;
+  }
+  return narrowed;
+}
+
+/**
+ * Resolve a field reference that is not an exact schema field name
+ * @param {string} reference - Field reference in Table.Field or Field form (DAX references already normalized)
+ * @param {Map<string, Object>} fieldIndex - Index from chartActionValidator.buildFieldIndex
+ * @param {Object} [options]
+ * @param {boolean|null} [options.expectMeasure=null] - Whether the axis expects a measure (null when any kind fits)
+ * @returns {{field: Object|null, candidates: Array<Object>}} The unique match, or the candidates when ambiguous
+ *          (both empty when nothing is close)
+ */
+function resolveFieldReference(reference, fieldIndex, { expectMeasure = null } = {}) {
+  const { table, name } = splitReference(String(reference).trim().toLowerCase());
+  const fields = [...fieldIndex.values()].filter(field => !field.synonym);
+
+  // Same field name, any table (covers a missing or wrong table prefix)
+  let candidates = fields.filter(field => field.name.toLowerCase() === name);
+
+  // A table name on its own
+  if (candidates.length === 0 && !table) {
+    candidates = fields.filter(field => field.table.toLowerCase() === name);
+  }
+
+  // Close spellings of the field name
+  if (candidates.length === 0) {
+    const maxDistance = Math.min(MAX_EDIT_DISTANCE, Math.max(1, Math.floor(name.length * EDIT_DISTANCE_RATIO)));
+    let best = Infinity;
+    for (const field of fields) {
+      const distance = editDistance(name, field.name.toLowerCase());
+      if (distance > maxDistance || distance > best) continue;
+      if (distance < best) {
+        best = distance;
+        candidates = [];
+      }
+      candidates.push(field);
+    }
+  }
+
+  candidates = narrowCandidates(candidates, table, expectMeasure);
+  if (candidates.length === 1) {
+    return { field: candidates[0], candidates: [] };
+  }
+  return { field: null, candidates: candidates.slice(0, MAX_CANDIDATES) };
+}
+
+module.exports = {
+  editDistance,
+  resolveFieldReference
+};
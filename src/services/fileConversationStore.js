@@ -0,0 +1,120 @@
+/**
+ * File Conversation Store - Keeps chat conversations on disk
+ *
+ * Implements the same list()/get()/save()/delete() contract as MemoryConversationStore.
+ * Each conversation is one <id>.json file in the conversations directory, so
+ * conversations survive restarts and can be inspected or removed by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONVERSATIONS_DIR = path.join(__dirname, '../../data/conversations');
+
+// IDs become file names, so only plain characters are accepted
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class FileConversationStore {
+  /**
+   * @param {Object} [storeConfig] - Store configuration
+   * @param {string} [storeConfig.dir] - Conversations directory (defaults to data/conversations)
+   */
+  constructor(storeConfig = {}) {
+    this.dir = storeConfig.dir || DEFAULT_CONVERSATIONS_DIR;
+  }
+
+  /**
+   * List every stored conversation
+   * Files that cannot be read are skipped and logged.
+   * @returns {Promise<Array<Object>>} Conversations in no particular order
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const conversations = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        conversations.push(JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8')));
+      } catch (error) {
+        console.error(`[FileConversationStore] Skipping unreadable conversation ${file}:`, error.message);
+      }
+    }
+    return conversations;
+  }
+
+  /**
+   * Get one conversation
+   * @param {string} id - Conversation ID
+   * @returns {Promise<Object|null>} Conversation, or null when it does not exist
+   */
+  async get(id) {
+    if (!CONVERSATION_ID_PATTERN.test(id)) {
+      return null;
+    }
+    try {
+      return JSON.parse(await fs.promises.readFile(this._filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace a conversation
+   * @param {Object} conversation - Conversation with an id
+   * @returns {Promise<void>}
+   */
+  async save(conversation) {
+    if (!CONVERSATION_ID_PATTERN.test(conversation.id)) {
+      throw new Error(`Invalid conversation ID "${conversation.id}"`);
+    }
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    // Write to a temporary file first so a crash never leaves a half-written conversation
+    const filePath = this._filePath(conversation.id);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, `${JSON.stringify(conversation, null, 2)}\n`);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} id - Conversation ID
+   * @returns {Promise<boolean>} True when the conversation existed
+   */
+  async delete(id) {
+    if (!CONVERSATION_ID_PATTERN.test(id)) {
+      return false;
+    }
+    try {
+      await fs.promises.unlink(this._filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * File of a conversation
+   * @private
+   */
+  _filePath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+}
+
+module.exports = FileConversationStore;
+module.exports.CONVERSATION_ID_PATTERN = CONVERSATION_ID_PATTERN;
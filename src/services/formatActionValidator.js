@@ -0,0 +1,171 @@
+/**
+ * Format Action Validator - Checks the formatAction part of an agent response
+ *
+ * A formatAction changes how the chart looks, not what it shows:
+ *
+ *   {
+ *     "title": { "text": "Sales by month", "fontSize": 16 },
+ *     "dataLabels": { "visible": true },
+ *     "legend": { "position": "Bottom" },
+ *     "xAxis": { "title": "Month" }
+ *   }
+ *
+ * Series colors are not supported: the embedding API can only set them for the whole
+ * report (as theme data colors), not for one visual.
+ *
+ * Shorthands the model tends to write are expanded ("title": "Sales" sets the
+ * text, "dataLabels": true shows the labels, "legend": "Bottom" moves the legend)
+ * so the browser clients only see the object form.
+ */
+
+// Legend positions accepted by the Power BI visual legend (models.LegendPosition)
+const LEGEND_POSITIONS = ['Top', 'Bottom', 'Left', 'Right', 'TopCenter', 'BottomCenter', 'LeftCenter', 'RightCenter'];
+
+// Font sizes (pt) the format pane allows
+const MIN_FONT_SIZE = 8;
+const MAX_FONT_SIZE = 40;
+
+// formatAction properties and the sub-properties each one takes
+const FORMAT_PROPERTIES = {
+  title: ['text', 'visible', 'fontSize'],
+  dataLabels: ['visible', 'fontSize'],
+  legend: ['visible', 'position', 'fontSize'],
+  xAxis: ['title', 'showTitle', 'fontSize'],
+  yAxis: ['title', 'showTitle', 'fontSize']
+};
+
+/**
+ * Expand the shorthand forms of a formatAction property into an object
+ * @private
+ */
+function expandShorthand(key, value) {
+  if (key === 'title' && typeof value === 'string') {
+    return { text: value };
+  }
+  if ((key === 'dataLabels' || key === 'legend') && typeof value === 'boolean') {
+    return { visible: value };
+  }
+  if (key === 'legend' && typeof value === 'string') {
+    return { position: value };
+  }
+  if ((key === 'xAxis' || key === 'yAxis') && typeof value === 'string') {
+    return { title: value };
+  }
+  if ((key === 'xAxis' || key === 'yAxis') && typeof value === 'boolean') {
+    return { showTitle: value };
+  }
+  return value;
+}
+
+/**
+ * Check one sub-property value
+ * @private
+ */
+function checkValue(key, property, value, errors) {
+  const label = `formatAction.${key}.${property}`;
+  switch (property) {
+  case 'visible':
+  case 'showTitle':
+    if (typeof value !== 'boolean') {
+      errors.push(`${label} must be true or false`);
+      return undefined;
+    }
+    return value;
+  case 'text':
+  case 'title':
+    if (typeof value !== 'string' || value.trim() === '') {
+      errors.push(`${label} must be a non-empty string`);
+      return undefined;
+    }
+    return value.trim();
+  case 'fontSize': {
+    const size = Number(value);
+    if (!Number.isFinite(size) || size < MIN_FONT_SIZE || size > MAX_FONT_SIZE) {
+      errors.push(`${label} must be a number from ${MIN_FONT_SIZE} to ${MAX_FONT_SIZE}`);
+      return undefined;
+    }
+    return Math.round(size);
+  }
+  case 'position': {
+    const position = typeof value === 'string'
+      ? LEGEND_POSITIONS.find(item => item.toLowerCase() === value.replace(/[\s_-]/g, '').toLowerCase())
+      : undefined;
+    if (!position) {
+      errors.push(`${label} must be one of ${LEGEND_POSITIONS.join(', ')}`);
+    }
+    return position;
+  }
+  default:
+    return undefined;
+  }
+}
+
+/**
+ * Validate and normalize a formatAction
+ * Setting a title text, legend position or axis title also makes it visible unless
+ * the action says otherwise. Unknown properties are dropped with a warning.
+ *
+ * @param {Object} formatAction - formatAction from the agent response
+ * @returns {{formatAction: Object|null, warnings: Array<string>, errors: Array<string>}}
+ *          Normalized formatAction (null when invalid or empty)
+ */
+function validateFormatAction(formatAction) {
+  const warnings = [];
+  const errors = [];
+
+  if (!formatAction || typeof formatAction !== 'object' || Array.isArray(formatAction)) {
+    return { formatAction: null, warnings, errors: ['formatAction must be an object'] };
+  }
+
+  const result = {};
+  for (const [key, rawValue] of Object.entries(formatAction)) {
+    if (rawValue === undefined || rawValue === null) continue;
+    if (!Object.prototype.hasOwnProperty.call(FORMAT_PROPERTIES, key)) {
+      warnings.push(`formatAction.${key} is not supported and was ignored`);
+      continue;
+    }
+
+    const value = expandShorthand(key, rawValue);
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`formatAction.${key} must be an object with ${FORMAT_PROPERTIES[key].join(', ')}`);
+      continue;
+    }
+
+    const entry = {};
+    for (const [property, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined || propertyValue === null) continue;
+      if (!FORMAT_PROPERTIES[key].includes(property)) {
+        warnings.push(`formatAction.${key}.${property} is not supported and was ignored`);
+        continue;
+      }
+      const checked = checkValue(key, property, propertyValue, errors);
+      if (checked !== undefined) {
+        entry[property] = checked;
+      }
+    }
+
+    // A new text or position is meant to be seen
+    if (entry.visible === undefined && (entry.text || entry.position)) {
+      entry.visible = true;
+    }
+    if (entry.showTitle === undefined && entry.title) {
+      entry.showTitle = true;
+    }
+    if (Object.keys(entry).length > 0) {
+      result[key] = entry;
+    }
+  }
+
+  if (errors.length > 0) {
+    return { formatAction: null, warnings, errors };
+  }
+  return { formatAction: Object.keys(result).length > 0 ? result : null, warnings, errors };
+}
+
+module.exports = {
+  LEGEND_POSITIONS,
+  MIN_FONT_SIZE,
+  MAX_FONT_SIZE,
+  FORMAT_PROPERTIES,
+  validateFormatAction
+};
@@ -0,0 +1,139 @@
+/**
+ * Glossary Service - Business terms and synonyms per dataset
+ *
+ * Each dataset can ship templates/datasets/<datasetId>/glossary.json mapping
+ * Table.Field names to the words people actually use for them: business terms,
+ * abbreviations and common misspellings.
+ *
+ *   {
+ *     "version": "1",
+ *     "fields": {
+ *       "Sales.TotalSales": ["sales", "revenue", "turnover", "rev"]
+ *     }
+ *   }
+ *
+ * The glossary is merged into the dataset metadata as column.synonyms, so the
+ * prompt (AgentService), schema ranking (schemaSelector), chartAction field
+ * resolution (chartActionValidator) and the schema treeview all see the same terms.
+ * The file is re-read when it changes on disk.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATASETS_DIR = path.join(__dirname, '../../templates/datasets');
+const GLOSSARY_FILE = 'glossary.json';
+
+class GlossaryService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.datasetsDir] - Directory with per-dataset folders (defaults to templates/datasets)
+   */
+  constructor(options = {}) {
+    this.datasetsDir = options.datasetsDir || DEFAULT_DATASETS_DIR;
+    this.cache = new Map();
+  }
+
+  /**
+   * Load the glossary for a dataset
+   * @param {string} datasetId - Dataset ID
+   * @returns {{version: string, fields: Object<string, Array<string>>}|null} Glossary, or null when the dataset has none
+   */
+  getGlossary(datasetId) {
+    if (!datasetId || !/^[\w-]+$/.test(datasetId)) {
+      return null;
+    }
+
+    const filePath = path.join(this.datasetsDir, datasetId, GLOSSARY_FILE);
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch {
+      this.cache.delete(filePath);
+      return null;
+    }
+
+    const cached = this.cache.get(filePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs) {
+      return cached.glossary;
+    }
+
+    const glossary = this._parseGlossary(fs.readFileSync(filePath, 'utf8'), filePath);
+    this.cache.set(filePath, { mtimeMs: stats.mtimeMs, glossary });
+    console.log(`[GlossaryService] Loaded glossary ${glossary.version} for dataset ${datasetId} (${Object.keys(glossary.fields).length} fields)`);
+    return glossary;
+  }
+
+  /**
+   * Attach glossary synonyms to dataset metadata
+   * Returns a copy; columns listed in the glossary get a synonyms array
+   * (merged with any synonyms already present). Unknown glossary fields are ignored.
+   *
+   * @param {Object} metadata - Dataset metadata ({ tables: [{ name, columns }] })
+   * @param {string} datasetId - Dataset ID
+   * @returns {Object} Metadata with column synonyms and glossaryVersion
+   */
+  applyToMetadata(metadata, datasetId) {
+    const glossary = this.getGlossary(datasetId);
+    if (!glossary || !metadata || !Array.isArray(metadata.tables)) {
+      return metadata;
+    }
+
+    const synonymsByField = new Map(
+      Object.entries(glossary.fields).map(([field, synonyms]) => [field.toLowerCase(), synonyms])
+    );
+    const matchedFields = new Set();
+
+    const tables = metadata.tables.map(table => ({
+      ...table,
+      columns: (table.columns || []).map(column => {
+        const key = `${table.name}.${column.name}`.toLowerCase();
+        const synonyms = synonymsByField.get(key);
+        if (!synonyms) {
+          return column;
+        }
+        matchedFields.add(key);
+        return { ...column, synonyms: [...new Set([...(column.synonyms || []), ...synonyms])] };
+      })
+    }));
+
+    const unknownFields = [...synonymsByField.keys()].filter(field => !matchedFields.has(field));
+    if (unknownFields.length > 0) {
+      console.warn(`[GlossaryService] Glossary for ${datasetId} lists fields that are not in the dataset: ${unknownFields.join(', ')}`);
+    }
+
+    return { ...metadata, tables, glossaryVersion: glossary.version };
+  }
+
+  /**
+   * Validate and normalize a glossary file
+   * @private
+   */
+  _parseGlossary(text, filePath) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+
+    if (!parsed || typeof parsed.fields !== 'object' || Array.isArray(parsed.fields)) {
+      throw new Error(`Glossary ${filePath} must have a "fields" object mapping Table.Field to synonyms`);
+    }
+
+    const fields = {};
+    for (const [field, synonyms] of Object.entries(parsed.fields)) {
+      if (!/^[^.]+\..+$/.test(field)) {
+        throw new Error(`Glossary ${filePath}: "${field}" is not in Table.Field format`);
+      }
+      if (!Array.isArray(synonyms) || synonyms.some(synonym => typeof synonym !== 'string')) {
+        throw new Error(`Glossary ${filePath}: synonyms for "${field}" must be an array of strings`);
+      }
+      fields[field] = synonyms.map(synonym => synonym.trim()).filter(Boolean);
+    }
+
+    return { version: String(parsed.version || 'local'), fields };
+  }
+}
+
+module.exports = GlossaryService;
@@ -0,0 +1,61 @@
+/**
+ * History Action Validator - Checks the historyAction part of an agent response
+ *
+ * A historyAction steps through the chart changes the browser keeps for undo/redo:
+ *
+ *   { "action": "undo" }              "go back to the previous chart"
+ *   { "action": "undo", "steps": 2 }  "go back two charts"
+ *   { "action": "redo" }
+ *
+ * "undo" or "redo" on its own is accepted as a shorthand. When the browser sent how
+ * many changes it can undo and redo, steps are checked against those counts.
+ */
+
+const HISTORY_ACTIONS = ['undo', 'redo'];
+
+// Most changes the browser keeps, and so the most steps one request can take
+const MAX_HISTORY_STEPS = 50;
+
+/**
+ * Validate and normalize a historyAction
+ * @param {Object|string} historyAction - historyAction from the agent response
+ * @param {Object} [changeHistory] - Changes the browser can step through ({ undo, redo } counts)
+ * @returns {{historyAction: Object|null, warnings: Array<string>, errors: Array<string>}}
+ *          Normalized historyAction ({ action, steps }), null when invalid
+ */
+function validateHistoryAction(historyAction, changeHistory = null) {
+  const warnings = [];
+  const errors = [];
+
+  const value = typeof historyAction === 'string' ? { action: historyAction } : historyAction;
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { historyAction: null, warnings, errors: ['historyAction must be an object'] };
+  }
+
+  const action = typeof value.action === 'string' ? value.action.trim().toLowerCase() : '';
+  if (!HISTORY_ACTIONS.includes(action)) {
+    return { historyAction: null, warnings, errors: [`historyAction.action must be one of: ${HISTORY_ACTIONS.join(', ')}`] };
+  }
+
+  const steps = value.steps === undefined || value.steps === null ? 1 : Number(value.steps);
+  if (!Number.isInteger(steps) || steps < 1 || steps > MAX_HISTORY_STEPS) {
+    return { historyAction: null, warnings, errors: [`historyAction.steps must be a whole number from 1 to ${MAX_HISTORY_STEPS}`] };
+  }
+
+  const available = changeHistory && Number.isInteger(changeHistory[action]) ? changeHistory[action] : null;
+  if (available === 0) {
+    errors.push(`There is no chart change to ${action}; tell the user instead`);
+  } else if (available !== null && steps > available) {
+    // Going back further than the history reaches stops at the oldest change
+    warnings.push(`Only ${available} change${available === 1 ? '' : 's'} can be ${action === 'undo' ? 'undone' : 'redone'}`);
+    return { historyAction: { action, steps: available }, warnings, errors };
+  }
+
+  return { historyAction: errors.length > 0 ? null : { action, steps }, warnings, errors };
+}
+
+module.exports = {
+  HISTORY_ACTIONS,
+  MAX_HISTORY_STEPS,
+  validateHistoryAction
+};
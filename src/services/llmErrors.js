@@ -0,0 +1,154 @@
+/**
+ * LLM Errors - Typed errors for LLM provider failures
+ *
+ * Providers throw these instead of generic Errors so controllers can answer
+ * with a meaningful status code and a message the user can act on.
+ * Every error carries:
+ * - code: stable machine-readable kind (see LLM_ERROR_CODES)
+ * - httpStatus: status code our API should respond with
+ * - userMessage: text that is safe to show in the chat
+ */
+
+const LLM_ERROR_CODES = {
+  THROTTLED: 'throttled',
+  AUTH: 'auth',
+  CONTENT_FILTERED: 'content_filtered',
+  TIMEOUT: 'timeout',
+  ABORTED: 'aborted',
+  REPLAY_MISS: 'replay_miss',
+  SERVICE: 'service'
+};
+
+class LLMError extends Error {
+  /**
+   * @param {string} message - Technical error message (logged and returned as details)
+   * @param {Object} [options]
+   * @param {string} [options.code] - One of LLM_ERROR_CODES
+   * @param {number} [options.httpStatus] - Status code for our API response
+   * @param {string} [options.userMessage] - Message to show to the user
+   * @param {number} [options.providerStatus] - Status code returned by the provider, if any
+   */
+  constructor(message, { code = LLM_ERROR_CODES.SERVICE, httpStatus = 502, userMessage = 'The AI service failed to respond. Please try again.', providerStatus = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.httpStatus = httpStatus;
+    this.userMessage = userMessage;
+    this.providerStatus = providerStatus;
+  }
+}
+
+class LLMThrottledError extends LLMError {
+  /**
+   * @param {string} message - Technical error message
+   * @param {number|null} retryAfterMs - How long the provider asked us to wait, if known
+   */
+  constructor(message, retryAfterMs = null) {
+    super(message, {
+      code: LLM_ERROR_CODES.THROTTLED,
+      httpStatus: 429,
+      userMessage: 'The AI service is busy right now. Please wait a moment and try again.',
+      providerStatus: 429
+    });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class LLMAuthError extends LLMError {
+  constructor(message, providerStatus = 401) {
+    super(message, {
+      code: LLM_ERROR_CODES.AUTH,
+      httpStatus: 502,
+      userMessage: 'The server could not authenticate with the AI service. Please check the LLM configuration.',
+      providerStatus
+    });
+  }
+}
+
+class LLMContentFilterError extends LLMError {
+  constructor(message) {
+    super(message, {
+      code: LLM_ERROR_CODES.CONTENT_FILTERED,
+      httpStatus: 400,
+      userMessage: 'The request was blocked by the AI service content filter. Please rephrase your message.'
+    });
+  }
+}
+
+class LLMTimeoutError extends LLMError {
+  constructor(message) {
+    super(message, {
+      code: LLM_ERROR_CODES.TIMEOUT,
+      httpStatus: 504,
+      userMessage: 'The AI service took too long to respond. Please try again.'
+    });
+  }
+}
+
+class LLMAbortedError extends LLMError {
+  constructor(message = 'Request was cancelled') {
+    super(message, {
+      code: LLM_ERROR_CODES.ABORTED,
+      httpStatus: 499,
+      userMessage: 'The request was cancelled.'
+    });
+  }
+}
+
+class LLMReplayMissError extends LLMError {
+  /**
+   * @param {string} message - Technical error message
+   * @param {string} requestKey - Hash of the normalized request that has no recording
+   */
+  constructor(message, requestKey) {
+    super(message, {
+      code: LLM_ERROR_CODES.REPLAY_MISS,
+      httpStatus: 500,
+      userMessage: 'No recorded AI response matches this request. Record it first (LLM_REPLAY_MODE=record).'
+    });
+    this.requestKey = requestKey;
+  }
+}
+
+/**
+ * Build a typed error from a failed provider HTTP response
+ * @param {string} providerName - Provider display name
+ * @param {number} status - HTTP status returned by the provider
+ * @param {string} errorText - Response body
+ * @param {number|null} retryAfterMs - Parsed Retry-After value
+ * @returns {LLMError} Typed error
+ */
+function errorFromResponse(providerName, status, errorText, retryAfterMs = null) {
+  const message = `${providerName} API error (${status}): ${errorText}`;
+
+  let errorBody = null;
+  try {
+    errorBody = JSON.parse(errorText).error || null;
+  } catch {
+    // Not JSON - classify by status only
+  }
+
+  const errorCode = errorBody?.code || errorBody?.innererror?.code || '';
+  if (errorCode === 'content_filter' || errorCode === 'ResponsibleAIPolicyViolation') {
+    return new LLMContentFilterError(message);
+  }
+  if (status === 401 || status === 403) {
+    return new LLMAuthError(message, status);
+  }
+  if (status === 429) {
+    return new LLMThrottledError(message, retryAfterMs);
+  }
+  return new LLMError(message, { providerStatus: status });
+}
+
+module.exports = {
+  LLM_ERROR_CODES,
+  LLMError,
+  LLMThrottledError,
+  LLMAuthError,
+  LLMContentFilterError,
+  LLMTimeoutError,
+  LLMAbortedError,
+  LLMReplayMissError,
+  errorFromResponse
+};
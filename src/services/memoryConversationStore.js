@@ -0,0 +1,60 @@
+/**
+ * Memory Conversation Store - Keeps chat conversations in the server process
+ *
+ * Implements the conversation store contract used by ConversationService:
+ * list(), get(id), save(conversation) and delete(id), all returning promises.
+ * Conversations are lost when the server restarts; use FileConversationStore
+ * (CONVERSATION_STORE=file) to keep them.
+ */
+
+/**
+ * Copy a conversation so callers never share objects with the store
+ * @private
+ */
+function copy(conversation) {
+  return JSON.parse(JSON.stringify(conversation));
+}
+
+class MemoryConversationStore {
+  constructor() {
+    this.conversations = new Map();
+  }
+
+  /**
+   * List every stored conversation
+   * @returns {Promise<Array<Object>>} Conversations in no particular order
+   */
+  async list() {
+    return [...this.conversations.values()].map(copy);
+  }
+
+  /**
+   * Get one conversation
+   * @param {string} id - Conversation ID
+   * @returns {Promise<Object|null>} Conversation, or null when it does not exist
+   */
+  async get(id) {
+    const conversation = this.conversations.get(id);
+    return conversation ? copy(conversation) : null;
+  }
+
+  /**
+   * Create or replace a conversation
+   * @param {Object} conversation - Conversation with an id
+   * @returns {Promise<void>}
+   */
+  async save(conversation) {
+    this.conversations.set(conversation.id, copy(conversation));
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} id - Conversation ID
+   * @returns {Promise<boolean>} True when the conversation existed
+   */
+  async delete(id) {
+    return this.conversations.delete(id);
+  }
+}
+
+module.exports = MemoryConversationStore;
@@ -0,0 +1,87 @@
+const ChatCompletionProvider = require('./chatCompletionProvider');
+
+/**
+ * OpenAI-Compatible Provider - Handles HTTP communication with self-hosted model servers
+ *
+ * Works with any server that implements the OpenAI /chat/completions API, such as
+ * llama.cpp (llama-server), vLLM, Ollama or LM Studio. Local servers usually need
+ * no key, so the API key is optional. Support for tools and response_format
+ * depends on the server; use AGENT_RESPONSE_MODE=prompt if it rejects them.
+ * Streamed token usage is off unless OPENAI_COMPATIBLE_STREAM_USAGE=true.
+ */
+class OpenAICompatibleProvider extends ChatCompletionProvider {
+  /**
+   * @param {Object} providerConfig - Server configuration
+   * @param {string} providerConfig.baseUrl - API base URL including the version path (e.g. http://localhost:8080/v1)
+   * @param {string} providerConfig.model - Model name the server expects
+   * @param {string} [providerConfig.apiKey] - Optional bearer key
+   * @param {boolean} [providerConfig.streamUsage=false] - Ask for token usage on streamed responses (stream_options.include_usage)
+   * @param {number} [providerConfig.timeoutMs] - Per-attempt request timeout (see ChatCompletionProvider)
+   * @param {number} [providerConfig.maxRetries] - Retries after 429/503 responses
+   * @param {Function} httpClient - HTTP client function (e.g., fetch)
+   */
+  constructor(providerConfig, httpClient) {
+    if (!providerConfig) {
+      throw new Error('providerConfig is required');
+    }
+
+    super('OpenAI-compatible server', httpClient, {
+      timeoutMs: providerConfig.timeoutMs,
+      maxRetries: providerConfig.maxRetries
+    });
+
+    this._validateConfig(providerConfig);
+
+    this.baseUrl = providerConfig.baseUrl.replace(/\/+$/, '');
+    this.model = providerConfig.model;
+    this.apiKey = providerConfig.apiKey || null;
+    this.streamUsage = providerConfig.streamUsage === true;
+  }
+
+  /**
+   * Validate provider configuration
+   * @private
+   */
+  _validateConfig(config) {
+    const required = ['baseUrl', 'model'];
+    const missing = required.filter(key => !config[key]);
+
+    if (missing.length > 0) {
+      throw new Error(`Missing required OpenAI-compatible config: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Server chat completions endpoint URL
+   * @protected
+   */
+  _getCompletionsUrl() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  /**
+   * Bearer key authentication, only when a key is configured
+   * @protected
+   */
+  _getAuthHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  /**
+   * Not every server knows stream_options, so it is only sent when enabled
+   * @protected
+   */
+  _supportsStreamUsage() {
+    return this.streamUsage;
+  }
+
+  /**
+   * Add the model name to the request
+   * @protected
+   */
+  _decorateRequestBody(requestBody) {
+    return { model: this.model, ...requestBody };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,82 @@
+const ChatCompletionProvider = require('./chatCompletionProvider');
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * OpenAI Provider - Handles HTTP communication with the public OpenAI API
+ *
+ * Same complete() contract as AzureOpenAIProvider; the model is chosen per
+ * request body instead of by deployment, and authentication is a bearer key.
+ */
+class OpenAIProvider extends ChatCompletionProvider {
+  /**
+   * @param {Object} providerConfig - OpenAI configuration
+   * @param {string} providerConfig.apiKey - OpenAI API key
+   * @param {string} providerConfig.model - Model name (e.g. gpt-4o-mini)
+   * @param {string} [providerConfig.baseUrl] - API base URL (defaults to https://api.openai.com/v1)
+   * @param {string} [providerConfig.organization] - Optional OpenAI organization ID
+   * @param {number} [providerConfig.timeoutMs] - Per-attempt request timeout (see ChatCompletionProvider)
+   * @param {number} [providerConfig.maxRetries] - Retries after 429/503 responses
+   * @param {Function} httpClient - HTTP client function (e.g., fetch)
+   */
+  constructor(providerConfig, httpClient) {
+    if (!providerConfig) {
+      throw new Error('providerConfig is required');
+    }
+
+    super('OpenAI', httpClient, {
+      timeoutMs: providerConfig.timeoutMs,
+      maxRetries: providerConfig.maxRetries
+    });
+
+    this._validateConfig(providerConfig);
+
+    this.apiKey = providerConfig.apiKey;
+    this.model = providerConfig.model;
+    this.baseUrl = (providerConfig.baseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+    this.organization = providerConfig.organization || null;
+  }
+
+  /**
+   * Validate provider configuration
+   * @private
+   */
+  _validateConfig(config) {
+    const required = ['apiKey', 'model'];
+    const missing = required.filter(key => !config[key]);
+
+    if (missing.length > 0) {
+      throw new Error(`Missing required OpenAI config: ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * OpenAI chat completions endpoint URL
+   * @protected
+   */
+  _getCompletionsUrl() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  /**
+   * Bearer key authentication (plus organization when configured)
+   * @protected
+   */
+  _getAuthHeaders() {
+    const headers = { 'Authorization': `Bearer ${this.apiKey}` };
+    if (this.organization) {
+      headers['OpenAI-Organization'] = this.organization;
+    }
+    return headers;
+  }
+
+  /**
+   * Add the model name to the request
+   * @protected
+   */
+  _decorateRequestBody(requestBody) {
+    return { model: this.model, ...requestBody };
+  }
+}
+
+module.exports = OpenAIProvider;
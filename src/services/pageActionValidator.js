@@ -0,0 +1,181 @@
+/**
+ * Page Action Validator - Checks the pageAction part of an agent response
+ *
+ * A pageAction manages the pages of the report:
+ *
+ *   { "action": "add", "name": "Regional" }      add a page and open it
+ *   { "action": "switch", "page": "Trends" }     open a page
+ *   { "action": "rename", "page": 1, "name": "Overview" }
+ *   { "action": "delete", "page": 3 }
+ *
+ * "page" is a position in the report's page list (1 = first) or a page name; rename
+ * defaults to the open page. When the browser sent the report's pages, references
+ * are resolved against them and carry the page's internal name, so the clients
+ * never have to guess.
+ */
+
+const PAGE_ACTIONS = ['add', 'switch', 'rename', 'delete'];
+
+// Words the model tends to use for each action
+const PAGE_ACTION_ALIASES = {
+  create: 'add',
+  new: 'add',
+  open: 'switch',
+  goto: 'switch',
+  navigate: 'switch',
+  remove: 'delete'
+};
+
+// Longest page name the report page tabs show in full
+const MAX_PAGE_NAME_LENGTH = 60;
+
+/**
+ * Quote names as "A", "B"
+ * @private
+ */
+function quoteNames(names) {
+  return names.map(name => `"${name}"`).join(', ');
+}
+
+/**
+ * Resolve a page reference (position or name) against the report's pages
+ * @param {*} reference - pageAction.page from the agent response
+ * @param {Array<Object>|null} reportPages - Pages from the client ({ index, name, displayName, active }), null when unknown
+ * @param {Array<string>} warnings - Collects repairs
+ * @param {Array<string>} errors - Collects problems
+ * @returns {Object|null} { index, name, displayName } (only what is known without the page list), null when invalid
+ */
+function resolvePageReference(reference, reportPages, warnings, errors) {
+  const position = typeof reference === 'number' || (typeof reference === 'string' && /^\d+$/.test(reference.trim()))
+    ? Number(reference)
+    : null;
+
+  if (position !== null) {
+    if (!Number.isInteger(position) || position < 1) {
+      errors.push('pageAction.page position must be a whole number starting at 1');
+      return null;
+    }
+    if (!reportPages) {
+      return { index: position };
+    }
+    const page = reportPages[position - 1];
+    if (!page) {
+      errors.push(`pageAction.page ${position} does not exist: the report has ${reportPages.length} page${reportPages.length === 1 ? '' : 's'}`);
+      return null;
+    }
+    return { index: position, name: page.name, displayName: page.displayName };
+  }
+
+  if (typeof reference !== 'string' || reference.trim() === '') {
+    errors.push('pageAction.page must be a page position (1, 2, ...) or a page name');
+    return null;
+  }
+
+  const displayName = reference.trim();
+  if (!reportPages) {
+    return { displayName };
+  }
+
+  // Exact name (any case) first, then the one name containing the text
+  const lower = displayName.toLowerCase();
+  const exact = reportPages.findIndex(page => String(page.displayName).toLowerCase() === lower);
+  const partial = reportPages
+    .map((page, index) => ({ page, index }))
+    .filter(({ page }) => String(page.displayName).toLowerCase().includes(lower));
+  const index = exact !== -1 ? exact : partial.length === 1 ? partial[0].index : -1;
+  if (index !== -1) {
+    const page = reportPages[index];
+    if (page.displayName !== displayName) {
+      warnings.push(`Page "${displayName}" was corrected to "${page.displayName}"`);
+    }
+    return { index: index + 1, name: page.name, displayName: page.displayName };
+  }
+
+  if (partial.length > 1) {
+    errors.push(`Page "${displayName}" matches several pages: ${quoteNames(partial.map(({ page }) => page.displayName))}`);
+  } else {
+    errors.push(`No page is named "${displayName}". Pages: ${quoteNames(reportPages.map(page => page.displayName))}`);
+  }
+  return null;
+}
+
+/**
+ * Check a new page name
+ * @private
+ */
+function checkPageName(name, reportPages, errors) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    errors.push('pageAction.name must be a non-empty string');
+    return null;
+  }
+  const trimmed = name.trim();
+  if (trimmed.length > MAX_PAGE_NAME_LENGTH) {
+    errors.push(`pageAction.name must be at most ${MAX_PAGE_NAME_LENGTH} characters`);
+    return null;
+  }
+  if (reportPages && reportPages.some(page => String(page.displayName).toLowerCase() === trimmed.toLowerCase())) {
+    errors.push(`A page named "${trimmed}" already exists; switch to it instead`);
+    return null;
+  }
+  return trimmed;
+}
+
+/**
+ * Validate and normalize a pageAction
+ * Page references are resolved against reportPages when the client sent them.
+ *
+ * @param {Object} pageAction - pageAction from the agent response
+ * @param {Array<Object>} [reportPages] - Pages of the report ({ index, name, displayName, active })
+ * @returns {{pageAction: Object|null, warnings: Array<string>, errors: Array<string>}}
+ *          Normalized pageAction ({ action, page?, name? }), null when invalid
+ */
+function validatePageAction(pageAction, reportPages = null) {
+  const warnings = [];
+  const errors = [];
+
+  if (!pageAction || typeof pageAction !== 'object' || Array.isArray(pageAction)) {
+    return { pageAction: null, warnings, errors: ['pageAction must be an object'] };
+  }
+
+  const pages = Array.isArray(reportPages)
+    ? reportPages.filter(page => page && typeof page === 'object' && typeof page.displayName === 'string')
+    : null;
+  const requested = typeof pageAction.action === 'string' ? pageAction.action.trim().toLowerCase() : '';
+  const action = PAGE_ACTIONS.includes(requested) ? requested : PAGE_ACTION_ALIASES[requested];
+  if (!action) {
+    return { pageAction: null, warnings, errors: [`pageAction.action must be one of: ${PAGE_ACTIONS.join(', ')}`] };
+  }
+
+  const result = { action };
+  const hasPage = pageAction.page !== undefined && pageAction.page !== null && pageAction.page !== '';
+
+  if (action === 'add') {
+    // Power BI names an unnamed page "Page N"
+    if (pageAction.name !== undefined && pageAction.name !== null) {
+      const name = checkPageName(pageAction.name, pages, errors);
+      if (name) result.name = name;
+    }
+  } else if (!hasPage && action !== 'rename') {
+    errors.push(`pageAction.page is required to ${action} a page`);
+  } else {
+    if (hasPage) {
+      const page = resolvePageReference(pageAction.page, pages, warnings, errors);
+      if (page) result.page = page;
+    }
+    if (action === 'rename') {
+      const name = checkPageName(pageAction.name, pages, errors);
+      if (name) result.name = name;
+    }
+    if (action === 'delete' && pages && pages.length === 1) {
+      errors.push('The report has only one page, and a report needs at least one');
+    }
+  }
+
+  return { pageAction: errors.length > 0 ? null : result, warnings, errors };
+}
+
+module.exports = {
+  PAGE_ACTIONS,
+  MAX_PAGE_NAME_LENGTH,
+  validatePageAction
+};
@@ -12,7 +12,13 @@
 const msal = require('@azure/msal-node');
 
 class PowerBIService {
-  constructor(config, msalClient, httpClient) {
+  /**
+   * @param {Object} config - Application config
+   * @param {Object} msalClient - MSAL confidential client
+   * @param {Function} httpClient - fetch-compatible HTTP client
+   * @param {Object} [glossaryService] - GlossaryService that adds per-dataset synonyms to metadata
+   */
+  constructor(config, msalClient, httpClient, glossaryService = null) {
     if (!config) {
       throw new Error('config is required');
     }
@@ -26,6 +32,7 @@ class PowerBIService {
     this.config = config;
     this.msalClient = msalClient;
     this.httpClient = httpClient;
+    this.glossaryService = glossaryService;
   }
 
   /**
@@ -363,6 +370,7 @@ class PowerBIService {
 
   /**
      * Get complete dataset metadata with caching
+     * Columns listed in the dataset's glossary carry a synonyms array.
      * @param {string} groupId - Power BI group ID
      * @param {string} datasetId - Power BI dataset ID
      * @returns {Promise<Object>} Complete dataset metadata
@@ -370,7 +378,9 @@ class PowerBIService {
   async getDatasetMetadata(groupId, datasetId) {
     try {
       const metadata = await this.getMetadataWithDax(groupId, datasetId);
-      return metadata;
+      return this.glossaryService
+        ? this.glossaryService.applyToMetadata(metadata, datasetId)
+        : metadata;
     } catch (error) {
       console.error('DAX metadata query failed:', error.message);
       throw error;
@@ -391,7 +401,8 @@ class PowerBIService {
     for (const table of metadata.tables) {
       result += `- ${table.name} (${table.type}):\n`;
       for (const column of table.columns) {
-        result += `  - ${column.name} (${column.type}): ${column.description}\n`;
+        const synonyms = column.synonyms?.length ? ` (also called: ${column.synonyms.join(', ')})` : '';
+        result += `  - ${column.name} (${column.type})${synonyms}: ${column.description}\n`;
       }
     }
 
@@ -440,6 +451,18 @@ class PowerBIService {
     return await this.getDatasetMetadata(groupId, datasetId);
   }
 
+  /**
+     * Run a DAX query (EVALUATE ...) against a dataset
+     * Used to answer data questions in chat; executeQueries cannot modify the model.
+     * @param {string} groupId - Power BI group ID
+     * @param {string} datasetId - Power BI dataset ID
+     * @param {string} query - DAX query
+     * @returns {Promise<Object>} Query result ({ tables: [{ rows }] })
+     */
+  async executeDaxQuery(groupId, datasetId, query) {
+    return await this._executeDaxQuery(groupId, datasetId, query);
+  }
+
   /**
      * Executes an array of DAX queries against a dataset.
      * @param {string} groupId The Power BI group ID.
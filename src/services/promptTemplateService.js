@@ -0,0 +1,178 @@
+/**
+ * Prompt Template Service - Builds the agent system prompt from template files
+ *
+ * The prompt lives in templates/prompts as named section files listed in
+ * manifest.json. Each dataset can override sections in
+ * templates/datasets/<datasetId>/:
+ * - examples.md replaces the default examples
+ * - rules.md is appended to the default rules
+ * - manifest.json (optional) sets a dataset version and can change these modes
+ *   ({ "version": "...", "sections": { "<name>": { "file": "...", "mode": "replace" | "append" } } })
+ *
+ * Templates use {{placeholder}} substitution. Files are re-read when they change
+ * on disk, so prompts can be edited without redeploying code. Every rendered
+ * prompt carries a version ("<base version>" or "<base version>+<datasetId>@<dataset version>")
+ * that is recorded with each response.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATES_DIR = path.join(__dirname, '../../templates/prompts');
+const DEFAULT_DATASETS_DIR = path.join(__dirname, '../../templates/datasets');
+
+// Dataset overrides used when a dataset folder has no manifest.json
+const DEFAULT_DATASET_SECTIONS = {
+  examples: { file: 'examples.md', mode: 'replace' },
+  rules: { file: 'rules.md', mode: 'append' }
+};
+
+class PromptTemplateService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.templatesDir] - Directory with manifest.json and the default sections
+   * @param {string} [options.datasetsDir] - Directory with per-dataset override folders
+   */
+  constructor(options = {}) {
+    this.templatesDir = options.templatesDir || DEFAULT_TEMPLATES_DIR;
+    this.datasetsDir = options.datasetsDir || DEFAULT_DATASETS_DIR;
+    this.fileCache = new Map();
+  }
+
+  /**
+   * Render the system prompt
+   * @param {Object} variables - Placeholder values ({{name}} → variables.name)
+   * @param {Object} [options]
+   * @param {string} [options.datasetId] - Dataset whose overrides apply
+   * @param {Object} [options.conditions] - Flags for conditional sections (manifest "when" values)
+   * @returns {{prompt: string, version: string}} Rendered prompt and the version that produced it
+   */
+  render(variables = {}, { datasetId = null, conditions = {} } = {}) {
+    const manifest = this._readJson(path.join(this.templatesDir, 'manifest.json'));
+    if (!manifest || !Array.isArray(manifest.sections)) {
+      throw new Error(`Prompt manifest not found or invalid in ${this.templatesDir}`);
+    }
+
+    const overrides = this._getDatasetOverrides(datasetId);
+    const sections = [];
+
+    for (const section of manifest.sections) {
+      if (section.when && !conditions[section.when]) continue;
+
+      let text = this._readText(path.join(this.templatesDir, section.file));
+      if (text === null) {
+        throw new Error(`Prompt section "${section.name}" is missing its file ${section.file}`);
+      }
+
+      const override = overrides && overrides.sections[section.name];
+      if (override) {
+        text = override.mode === 'append' ? `${text}\n\n${override.text}` : override.text;
+      }
+
+      sections.push(this._substitute(text, variables).trim());
+    }
+
+    const version = overrides
+      ? `${manifest.version}+${datasetId}@${overrides.version}`
+      : manifest.version;
+
+    return { prompt: sections.join('\n\n'), version };
+  }
+
+  /**
+   * Get the prompt version without rendering
+   * @param {string} [datasetId] - Dataset whose overrides apply
+   * @returns {string} Prompt version
+   */
+  getVersion(datasetId = null) {
+    const manifest = this._readJson(path.join(this.templatesDir, 'manifest.json'));
+    const overrides = this._getDatasetOverrides(datasetId);
+    const baseVersion = manifest ? manifest.version : 'unknown';
+    return overrides ? `${baseVersion}+${datasetId}@${overrides.version}` : baseVersion;
+  }
+
+  /**
+   * Load the override sections for a dataset
+   * @param {string} datasetId - Dataset ID
+   * @returns {{version: string, sections: Object}|null} Overrides, or null when the dataset has none
+   * @private
+   */
+  _getDatasetOverrides(datasetId) {
+    if (!datasetId || !/^[\w-]+$/.test(datasetId)) {
+      return null;
+    }
+
+    const datasetDir = path.join(this.datasetsDir, datasetId);
+    const manifest = this._readJson(path.join(datasetDir, 'manifest.json'));
+    const sectionConfig = (manifest && manifest.sections) || DEFAULT_DATASET_SECTIONS;
+
+    const sections = {};
+    for (const [name, config] of Object.entries(sectionConfig)) {
+      const text = this._readText(path.join(datasetDir, config.file));
+      if (text !== null) {
+        sections[name] = { text, mode: config.mode === 'append' ? 'append' : 'replace' };
+      }
+    }
+
+    if (!manifest && Object.keys(sections).length === 0) {
+      return null;
+    }
+
+    return { version: (manifest && manifest.version) || 'local', sections };
+  }
+
+  /**
+   * Replace {{name}} placeholders; unknown placeholders are left in place
+   * @private
+   */
+  _substitute(text, variables) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+      variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : match
+    );
+  }
+
+  /**
+   * Read a text file, reusing the cached copy until the file changes
+   * @param {string} filePath - File path
+   * @returns {string|null} File contents, or null if the file does not exist
+   * @private
+   */
+  _readText(filePath) {
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch {
+      this.fileCache.delete(filePath);
+      return null;
+    }
+
+    const cached = this.fileCache.get(filePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs) {
+      return cached.text;
+    }
+
+    const text = fs.readFileSync(filePath, 'utf8');
+    this.fileCache.set(filePath, { mtimeMs: stats.mtimeMs, text });
+    return text;
+  }
+
+  /**
+   * Read and parse a JSON file
+   * @param {string} filePath - File path
+   * @returns {Object|null} Parsed JSON, or null if the file does not exist
+   * @private
+   */
+  _readJson(filePath) {
+    const text = this._readText(filePath);
+    if (text === null) {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PromptTemplateService;
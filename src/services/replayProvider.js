@@ -0,0 +1,211 @@
+/**
+ * Replay Provider - Deterministic record/replay of LLM calls
+ *
+ * Stands in for any LLM provider (same complete()/streamComplete() contract):
+ * - record: forwards each request to the real provider and saves the
+ *   prompt/response pair as <hash>.json in the recordings directory
+ * - replay: answers from the recordings only, with no network access, and
+ *   throws LLMReplayMissError when a request was never recorded
+ *
+ * Recordings are keyed by a SHA-256 hash of the normalized request (system
+ * prompt, messages, sampling settings, tools and response format) so whitespace
+ * differences don't cause misses. Streamed and non-streamed calls share
+ * recordings: a conversation recorded through /chat/stream replays through /chat.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { LLMReplayMissError } = require('./llmErrors');
+
+const REPLAY_MODES = {
+  OFF: 'off',
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+const DEFAULT_RECORDINGS_DIR = path.join(__dirname, '../../recordings/llm');
+
+// Size of the chunks a replayed response is streamed in
+const REPLAY_CHUNK_SIZE = 16;
+
+/**
+ * Collapse whitespace so formatting-only prompt changes hit the same recording
+ * @private
+ */
+function normalizeText(text) {
+  return typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : text;
+}
+
+/**
+ * Reduce a completion request to the fields that determine the response
+ * @param {Object} request - Completion request (see ChatCompletionProvider.complete())
+ * @returns {Object} Normalized request
+ */
+function normalizeRequest(request) {
+  const messages = Array.isArray(request.messages) && request.messages.length > 0
+    ? request.messages
+    : [{ role: 'user', content: request.userMessage }];
+
+  return {
+    systemPrompt: normalizeText(request.systemPrompt),
+    messages: messages.map(message => ({ ...message, content: normalizeText(message.content) })),
+    temperature: request.temperature !== undefined ? request.temperature : 0,
+    maxTokens: request.maxTokens || 1000,
+    tools: request.tools || null,
+    toolChoice: request.toolChoice || null,
+    responseFormat: request.responseFormat || null
+  };
+}
+
+/**
+ * JSON with sorted object keys, so equal requests always hash the same
+ * @private
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Recording key for a request
+ * @param {Object} request - Completion request
+ * @returns {string} Hex SHA-256 of the normalized request
+ */
+function getRequestKey(request) {
+  return crypto.createHash('sha256').update(stableStringify(normalizeRequest(request))).digest('hex');
+}
+
+class ReplayProvider {
+  /**
+   * @param {Object} replayConfig - Replay configuration
+   * @param {string} replayConfig.mode - 'record' or 'replay'
+   * @param {string} [replayConfig.dir] - Recordings directory (defaults to recordings/llm)
+   * @param {Object} [innerProvider] - Real provider to record from (required in record mode)
+   */
+  constructor(replayConfig, innerProvider = null) {
+    if (!replayConfig || ![REPLAY_MODES.RECORD, REPLAY_MODES.REPLAY].includes(replayConfig.mode)) {
+      throw new Error(`Replay mode must be "${REPLAY_MODES.RECORD}" or "${REPLAY_MODES.REPLAY}"`);
+    }
+    if (replayConfig.mode === REPLAY_MODES.RECORD && !innerProvider) {
+      throw new Error('innerProvider is required in record mode');
+    }
+
+    this.mode = replayConfig.mode;
+    this.dir = replayConfig.dir || DEFAULT_RECORDINGS_DIR;
+    this.innerProvider = innerProvider;
+  }
+
+  /**
+   * Send (record) or look up (replay) a completion request
+   * @param {Object} request - Completion request
+   * @returns {Promise<Object>} Provider result ({ success, response, toolCalls, finishReason, usage, duration, replayed? })
+   * @throws {LLMReplayMissError} In replay mode when the request was never recorded
+   */
+  async complete(request) {
+    const key = getRequestKey(request);
+
+    if (this.mode === REPLAY_MODES.REPLAY) {
+      return this._replay(key);
+    }
+
+    const result = await this.innerProvider.complete(request);
+    this._save(key, request, result);
+    return result;
+  }
+
+  /**
+   * Streaming variant of complete() with the same event shape as ChatCompletionProvider.streamComplete()
+   * @param {Object} request - Completion request
+   * @returns {AsyncGenerator<Object>} { content } events followed by the { done: true, ... } result
+   */
+  async *streamComplete(request) {
+    const key = getRequestKey(request);
+
+    if (this.mode === REPLAY_MODES.REPLAY) {
+      const result = this._replay(key);
+      const content = result.response || '';
+      for (let i = 0; i < content.length; i += REPLAY_CHUNK_SIZE) {
+        yield { content: content.substring(i, i + REPLAY_CHUNK_SIZE) };
+      }
+      yield { done: true, ...result };
+      return;
+    }
+
+    // Providers without streaming support are recorded through complete()
+    if (typeof this.innerProvider.streamComplete !== 'function') {
+      const result = await this.innerProvider.complete(request);
+      this._save(key, request, result);
+      if (result.response) {
+        yield { content: result.response };
+      }
+      yield { done: true, ...result };
+      return;
+    }
+
+    for await (const event of this.innerProvider.streamComplete(request)) {
+      if (event.done) {
+        this._save(key, request, event);
+      }
+      yield event;
+    }
+  }
+
+  /**
+   * Load a recorded result
+   * @private
+   */
+  _replay(key) {
+    const filePath = path.join(this.dir, `${key}.json`);
+    if (!fs.existsSync(filePath)) {
+      console.error(`[ReplayProvider] No recording for request ${key} in ${this.dir}`);
+      throw new LLMReplayMissError(`No recorded response for request ${key} in ${this.dir}. Run once with LLM_REPLAY_MODE=record to capture it.`, key);
+    }
+
+    const recording = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    console.log(`[ReplayProvider] Replaying ${key}`);
+    return { ...recording.result, duration: 0, replayed: true };
+  }
+
+  /**
+   * Save a prompt/response pair
+   * @private
+   */
+  _save(key, request, result) {
+    if (!result || !result.success) {
+      return;
+    }
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    const recording = {
+      key,
+      recordedAt: new Date().toISOString(),
+      recordedDuration: result.duration === undefined ? null : result.duration,
+      request: normalizeRequest(request),
+      result: {
+        success: result.success,
+        response: result.response,
+        toolCalls: result.toolCalls || [],
+        finishReason: result.finishReason || null,
+        usage: result.usage || null
+      }
+    };
+
+    // Write to a temporary file first so a crash never leaves a half-written recording
+    const filePath = path.join(this.dir, `${key}.json`);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify(recording, null, 2)}\n`);
+    fs.renameSync(tempPath, filePath);
+    console.log(`[ReplayProvider] Recorded ${key}`);
+  }
+}
+
+module.exports = ReplayProvider;
+module.exports.REPLAY_MODES = REPLAY_MODES;
+module.exports.getRequestKey = getRequestKey;
+module.exports.normalizeRequest = normalizeRequest;
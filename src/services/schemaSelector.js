@@ -0,0 +1,302 @@
+/**
+ * Schema Selector - Picks the dataset fields worth sending to the model
+ *
+ * Large semantic models have far more fields than fit in a prompt. The selector
+ * ranks every field against the user message, the recent conversation and the
+ * current chart (matching field and table names, synonyms and descriptions) and
+ * keeps the most relevant ones within a token budget. Fields on the current chart
+ * are always kept. Callers get the counts of what was left out so the prompt and
+ * the response can say so.
+ *
+ * Full listings ("list all fields") are served page by page from
+ * paginateSchema instead of through the prompt.
+ */
+
+const { estimateTokens } = require('./tokenEstimator');
+
+const DEFAULT_SCHEMA_TOKEN_BUDGET = 2000;
+const DEFAULT_SCHEMA_PAGE_SIZE = 50;
+
+// How many recent history messages contribute terms, and how much they count
+const HISTORY_MESSAGES_CONSIDERED = 6;
+const HISTORY_TERM_WEIGHT = 0.4;
+
+// Weights of the places a term can match on a field
+const MATCH_WEIGHTS = {
+  name: 3,
+  synonym: 3,
+  table: 1,
+  description: 0.5
+};
+
+// Fields on the current chart always fit; measures win ties when nothing matches
+const CURRENT_CHART_SCORE = 100;
+const MEASURE_PRIOR = 0.1;
+
+// Minimum term length for prefix matches ("revenu" matches "revenue")
+const MIN_PREFIX_LENGTH = 4;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'by', 'of', 'to', 'in', 'on', 'me', 'my', 'it', 'is', 'as', 'an', 'at', 'be',
+  'show', 'chart', 'graph', 'plot', 'make', 'change', 'create', 'with', 'from', 'what', 'which',
+  'please', 'can', 'you', 'this', 'that', 'instead', 'column', 'table', 'field', 'measure', 'value'
+]);
+
+// "list all fields", "show me the schema", "what tables are available", ...
+const LIST_SCHEMA_PATTERNS = [
+  /\b(all|every|whole|full|entire)\s+(the\s+)?(fields?|columns?|tables?|measures?|schema)\b/i,
+  /\b(list|show|display|describe)\b.*\bschema\b/i,
+  /\b(what|which)\b.*\b(fields?|columns?|tables?|measures?)\b.*\b(available|exist|are there|can i use)\b/i
+];
+// Follow-ups asking for the next page of a listing
+const NEXT_PAGE_PATTERN = /^\s*(more|next|next page|show more|more fields|continue|keep going)\b/i;
+// Page footer written by AgentService.describeSchema
+const PAGE_FOOTER_PATTERN = /Page (\d+) of (\d+)/;
+
+/**
+ * Split text into normalized search terms (camelCase aware, lower case, singular)
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Terms
+ */
+function toTerms(text) {
+  if (!text) {
+    return [];
+  }
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+    .map(term => {
+      if (term.length > 4 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+      if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+      return term;
+    });
+}
+
+/**
+ * Check whether two terms match exactly or by a long enough prefix
+ * @private
+ */
+function termsMatch(a, b) {
+  if (a === b) return true;
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  return shorter.length >= MIN_PREFIX_LENGTH && longer.startsWith(shorter);
+}
+
+/**
+ * Collect weighted query terms from the message and recent history
+ * @private
+ */
+function buildQueryTerms(message, chatHistory) {
+  const weights = new Map();
+  const add = (text, weight) => {
+    for (const term of toTerms(text)) {
+      weights.set(term, Math.max(weights.get(term) || 0, weight));
+    }
+  };
+
+  const history = Array.isArray(chatHistory) ? chatHistory.slice(-HISTORY_MESSAGES_CONSIDERED) : [];
+  for (const turn of history) {
+    add(turn && turn.content, HISTORY_TERM_WEIGHT);
+  }
+  add(message, 1);
+  return weights;
+}
+
+/**
+ * Collect the Table.Field names on the current chart
+ * @private
+ */
+function currentChartFields(currentChart) {
+  const fields = new Set();
+  if (!currentChart) {
+    return fields;
+  }
+  for (const value of Object.values(currentChart)) {
+    const values = Array.isArray(value) ? value : [value];
+    for (const item of values) {
+      // Filters and sort are objects with a field, topN names its measure in by
+      const field = item && typeof item === 'object' ? item.field || item.by : item;
+      if (typeof field === 'string' && field.includes('.')) {
+        fields.add(field.toLowerCase());
+      }
+    }
+  }
+  return fields;
+}
+
+/**
+ * Score one field against the query terms
+ * @private
+ */
+function scoreField(table, column, queryTerms) {
+  const fieldTerms = [
+    ...toTerms(column.name).map(term => [term, MATCH_WEIGHTS.name]),
+    ...(column.synonyms || []).flatMap(synonym => toTerms(synonym).map(term => [term, MATCH_WEIGHTS.synonym])),
+    ...toTerms(table.name).map(term => [term, MATCH_WEIGHTS.table]),
+    ...(table.synonyms || []).flatMap(synonym => toTerms(synonym).map(term => [term, MATCH_WEIGHTS.table])),
+    ...toTerms(column.description).map(term => [term, MATCH_WEIGHTS.description])
+  ];
+
+  let score = column.isMeasure ? MEASURE_PRIOR : 0;
+  for (const [queryTerm, queryWeight] of queryTerms) {
+    let best = 0;
+    for (const [fieldTerm, fieldWeight] of fieldTerms) {
+      if (fieldWeight > best && termsMatch(queryTerm, fieldTerm)) {
+        best = fieldWeight;
+      }
+    }
+    score += best * queryWeight;
+  }
+  return score;
+}
+
+/**
+ * Format one field as a schema line
+ * @param {string} tableName - Table name
+ * @param {Object} column - Column or measure metadata
+ * @returns {string} "Table.Field [type]"
+ */
+function formatField(tableName, column) {
+  return `${tableName}.${column.name} [${column.type}]`;
+}
+
+/**
+ * Select the most relevant fields for a request within a token budget
+ *
+ * @param {Object} metadata - Dataset metadata ({ tables: [{ name, synonyms?, columns: [{ name, type, description, synonyms?, isMeasure? }] }] })
+ * @param {Object} [context]
+ * @param {string} [context.message] - Current user message
+ * @param {Array} [context.chatHistory] - Chat history ({ role, content })
+ * @param {Object} [context.currentChart] - Current chart; its fields are always included
+ * @param {Object} [options]
+ * @param {number} [options.tokenBudget=2000] - Estimated tokens available for schema lines
+ * @returns {{lines: Array<string>, fields: Array<string>, totalFields: number, includedFields: number, droppedFields: number, totalTables: number, droppedTables: number}}
+ *          Selected schema lines (grouped by table, in dataset order), their Table.Field names and selection counts
+ */
+function selectSchema(metadata, { message = '', chatHistory = null, currentChart = null } = {}, { tokenBudget = DEFAULT_SCHEMA_TOKEN_BUDGET } = {}) {
+  const tables = (metadata && metadata.tables) || [];
+  const queryTerms = buildQueryTerms(message, chatHistory);
+  const chartFields = currentChartFields(currentChart);
+
+  const candidates = [];
+  tables.forEach((table, tableIndex) => {
+    (table.columns || []).forEach((column, columnIndex) => {
+      const line = formatField(table.name, column);
+      const onChart = chartFields.has(`${table.name}.${column.name}`.toLowerCase());
+      candidates.push({
+        tableIndex,
+        columnIndex,
+        qualifiedName: `${table.name}.${column.name}`,
+        line,
+        tokens: estimateTokens(`${line}\n`),
+        score: (onChart ? CURRENT_CHART_SCORE : 0) + scoreField(table, column, queryTerms)
+      });
+    });
+  });
+
+  const ranked = [...candidates].sort((a, b) =>
+    b.score - a.score || a.tableIndex - b.tableIndex || a.columnIndex - b.columnIndex
+  );
+
+  let usedTokens = 0;
+  const selected = [];
+  for (const candidate of ranked) {
+    if (usedTokens + candidate.tokens > tokenBudget) continue;
+    usedTokens += candidate.tokens;
+    selected.push(candidate);
+  }
+
+  // Keep the dataset's own order so related fields stay together
+  selected.sort((a, b) => a.tableIndex - b.tableIndex || a.columnIndex - b.columnIndex);
+  const includedTables = new Set(selected.map(candidate => candidate.tableIndex));
+  const tablesWithFields = tables.filter(table => (table.columns || []).length > 0).length;
+
+  return {
+    lines: selected.map(candidate => candidate.line),
+    fields: selected.map(candidate => candidate.qualifiedName),
+    totalFields: candidates.length,
+    includedFields: selected.length,
+    droppedFields: candidates.length - selected.length,
+    totalTables: tablesWithFields,
+    droppedTables: tablesWithFields - includedTables.size
+  };
+}
+
+/**
+ * Get one page of the full schema for listings
+ *
+ * @param {Object} metadata - Dataset metadata
+ * @param {Object} [options]
+ * @param {Array<string>} [options.tableNames] - Limit the listing to these tables
+ * @param {number} [options.page=1] - 1-based page number (clamped to the available pages)
+ * @param {number} [options.pageSize=50] - Fields per page
+ * @returns {{tables: Array<{name: string, columns: Array<Object>}>, page: number, totalPages: number, totalFields: number}}
+ *          Fields on the page grouped by table
+ */
+function paginateSchema(metadata, { tableNames = null, page = 1, pageSize = DEFAULT_SCHEMA_PAGE_SIZE } = {}) {
+  const requested = Array.isArray(tableNames) && tableNames.length > 0
+    ? tableNames.map(name => name.toLowerCase())
+    : null;
+
+  const fields = [];
+  for (const table of (metadata && metadata.tables) || []) {
+    if (requested && !requested.includes(table.name.toLowerCase())) continue;
+    for (const column of table.columns || []) {
+      fields.push({ table, column });
+    }
+  }
+
+  const totalPages = Math.max(1, Math.ceil(fields.length / pageSize));
+  const currentPage = Math.min(Math.max(1, parseInt(page, 10) || 1), totalPages);
+  const pageFields = fields.slice((currentPage - 1) * pageSize, currentPage * pageSize);
+
+  const tables = [];
+  for (const { table, column } of pageFields) {
+    let group = tables[tables.length - 1];
+    if (!group || group.name !== table.name) {
+      group = { name: table.name, columns: [] };
+      tables.push(group);
+    }
+    group.columns.push(column);
+  }
+
+  return { tables, page: currentPage, totalPages, totalFields: fields.length };
+}
+
+/**
+ * Detect a request for the full schema listing, or for its next page
+ *
+ * @param {string} message - Current user message
+ * @param {Array} [chatHistory] - Chat history ({ role, content })
+ * @returns {{page: number}|null} Requested page, or null when the message is not a listing request
+ */
+function detectSchemaListingRequest(message, chatHistory = null) {
+  if (!message) {
+    return null;
+  }
+
+  if (NEXT_PAGE_PATTERN.test(message) && Array.isArray(chatHistory)) {
+    const lastAssistant = [...chatHistory].reverse().find(turn => turn && turn.role === 'assistant');
+    const footer = lastAssistant && PAGE_FOOTER_PATTERN.exec(lastAssistant.content || '');
+    if (footer && Number(footer[1]) < Number(footer[2])) {
+      return { page: Number(footer[1]) + 1 };
+    }
+  }
+
+  const pageMatch = /\bpage\s+(\d+)\b/i.exec(message);
+  if (LIST_SCHEMA_PATTERNS.some(pattern => pattern.test(message))) {
+    return { page: pageMatch ? Number(pageMatch[1]) : 1 };
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_SCHEMA_TOKEN_BUDGET,
+  DEFAULT_SCHEMA_PAGE_SIZE,
+  selectSchema,
+  paginateSchema,
+  detectSchemaListingRequest,
+  formatField
+};
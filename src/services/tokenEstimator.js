@@ -0,0 +1,37 @@
+/**
+ * Token Estimator - Cheap token counts for prompt budgeting
+ *
+ * Uses the common ~4 characters per token approximation for English text.
+ * It is only used to decide what fits in a budget, never for billing.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+// Per-message overhead for role and separators in the chat format
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the number of tokens a chat message uses
+ * @param {Object} message - Chat message { role, content }
+ * @returns {number} Estimated token count including overhead
+ */
+function estimateMessageTokens(message) {
+  return estimateTokens(message && message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+module.exports = {
+  estimateTokens,
+  estimateMessageTokens
+};
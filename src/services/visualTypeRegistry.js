@@ -0,0 +1,131 @@
+/**
+ * Visual Type Registry - The visual types the assistant can build and their data roles
+ *
+ * templates/visual-types.json maps each Power BI visual type to the chartAction
+ * properties it takes and the data role each property is bound to:
+ *
+ *   "columnChart": {
+ *     "categoryRole": "xAxis",
+ *     "valueRole": "yAxis",
+ *     "roles": {
+ *       "xAxis": { "dataRole": "Category", "kind": "column" },
+ *       "yAxis": { "dataRole": "Y", "kind": "measure", "multiple": true }
+ *     }
+ *   }
+ *
+ * The chartAction validator, the agent's tool schemas, the system prompt and both
+ * browser clients (through GET /system/visual-types) are generated from this file,
+ * so adding a visual type is a change to the JSON only.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY_PATH = path.join(__dirname, '../../templates/visual-types.json');
+const ROLE_KINDS = ['measure', 'column', 'any'];
+
+/**
+ * Load and check the registry file
+ * @private
+ */
+function loadRegistry(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid visual type registry ${filePath}: ${error.message}`);
+  }
+  if (!parsed || typeof parsed.visualTypes !== 'object' || Array.isArray(parsed.visualTypes)) {
+    throw new Error(`Visual type registry ${filePath} must have a "visualTypes" object`);
+  }
+
+  for (const [type, visual] of Object.entries(parsed.visualTypes)) {
+    const roles = visual && visual.roles;
+    if (!roles || typeof roles !== 'object' || Object.keys(roles).length === 0) {
+      throw new Error(`Visual type "${type}" in ${filePath} has no roles`);
+    }
+    for (const [property, role] of Object.entries(roles)) {
+      if (!role || typeof role.dataRole !== 'string' || !ROLE_KINDS.includes(role.kind)) {
+        throw new Error(`Role "${property}" of "${type}" in ${filePath} needs a dataRole and a kind (${ROLE_KINDS.join(', ')})`);
+      }
+    }
+    for (const key of ['categoryRole', 'valueRole']) {
+      if (visual[key] && !roles[visual[key]]) {
+        throw new Error(`${key} "${visual[key]}" of "${type}" in ${filePath} is not one of its roles`);
+      }
+    }
+  }
+
+  return { version: String(parsed.version || 'local'), visualTypes: parsed.visualTypes };
+}
+
+const registry = loadRegistry(REGISTRY_PATH);
+
+// Visual types in registry order
+const SUPPORTED_VISUAL_TYPES = Object.keys(registry.visualTypes);
+
+// Every chartAction property that binds a field, in first-seen order
+const ROLE_KEYS = [...new Set(Object.values(registry.visualTypes).flatMap(visual => Object.keys(visual.roles)))];
+
+// Properties that hold a list of fields in at least one visual type
+const MULTIPLE_ROLE_KEYS = ROLE_KEYS.filter(key =>
+  Object.values(registry.visualTypes).some(visual => visual.roles[key] && visual.roles[key].multiple));
+
+/**
+ * Get the whole registry (served to the browser clients)
+ * @returns {{version: string, visualTypes: Object}} Registry
+ */
+function getRegistry() {
+  return registry;
+}
+
+/**
+ * Get one visual type
+ * @param {string} type - Visual type name (as returned by resolveVisualType)
+ * @returns {Object|null} Registry entry, or null when the type is unknown
+ */
+function getVisualType(type) {
+  return registry.visualTypes[type] || null;
+}
+
+/**
+ * Resolve a visual type name the model wrote to a registry type
+ * Case-insensitive; registry aliases ("table", "matrix") are accepted.
+ * @param {string} name - Visual type name
+ * @returns {string|null} Registry type, or null when unknown
+ */
+function resolveVisualType(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  const lower = name.trim().toLowerCase();
+  return SUPPORTED_VISUAL_TYPES.find(type =>
+    type.toLowerCase() === lower ||
+    (registry.visualTypes[type].aliases || []).some(alias => alias.toLowerCase() === lower)) || null;
+}
+
+/**
+ * Describe every visual type and its chartAction properties for the system prompt
+ * One line per type: - columnChart (Column chart): compare ... | xAxis: category column; yAxis: value measure(s)
+ * @returns {string} Prompt lines
+ */
+function describeVisualTypes() {
+  return SUPPORTED_VISUAL_TYPES.map(type => {
+    const visual = registry.visualTypes[type];
+    const roles = Object.entries(visual.roles).map(([property, role]) => {
+      const kind = role.kind === 'any' ? 'fields' : role.multiple ? `${role.kind}s` : role.kind;
+      return `${property}: ${role.description || role.dataRole} (${kind}${role.multiple ? ', list allowed' : ''})`;
+    });
+    return `- ${type} (${visual.label}): ${visual.description} | ${roles.join('; ')}`;
+  }).join('\n');
+}
+
+module.exports = {
+  SUPPORTED_VISUAL_TYPES,
+  ROLE_KEYS,
+  MULTIPLE_ROLE_KEYS,
+  getRegistry,
+  getVisualType,
+  resolveVisualType,
+  describeVisualTypes
+};
@@ -0,0 +1,273 @@
+/**
+ * Evaluation Runner - Scores golden conversations against an AgentService
+ *
+ * A suite is a list of multi-turn conversations. Each turn has a user message and
+ * an expectation:
+ * - { "chartAction": { chartType, xAxis, yAxis, series?, y2Axis? } } - the chart the model should produce
+ *   (yAxis and y2Axis may be lists of measures; their order does not matter)
+ * - { "clarification": true } - the model should answer without a chartAction
+ *   (ask a clarifying question, answer a schema question, refuse to invent fields)
+ *
+ * Turns run in order through AgentService.processChat. The conversation carries on
+ * the way the browser would: the reply is added to the chat history and a valid
+ * chartAction becomes the current chart for the next turn.
+ *
+ * The raw model output is scored (before server-side repairs), so the numbers
+ * reflect the model and prompt rather than the validator:
+ * - fields:        share of expected xAxis / yAxis / series that match
+ * - chartType:     chosen chart type matches
+ * - axisSwap:      bar charts put the measure on xAxis and the dimension on yAxis
+ * - clarification: a chartAction was produced exactly when one was expected
+ * plus latency and token usage from the provider's usage block.
+ */
+
+const {
+  parseAgentResponse,
+  validateAgentResponse,
+  normalizeFieldReference,
+  resolveChartType
+} = require('../../src/services/chartActionValidator');
+const visualTypeRegistry = require('../../src/services/visualTypeRegistry');
+
+const FIELD_KEYS = visualTypeRegistry.ROLE_KEYS;
+// Chart types whose axes are swapped compared to column charts (categories on yAxis)
+const SWAPPED_AXIS_CHART_TYPES = visualTypeRegistry.SUPPORTED_VISUAL_TYPES
+  .filter(type => visualTypeRegistry.getVisualType(type).categoryRole === 'yAxis');
+
+/**
+ * Compare two field references or lists of measures (case-insensitive, DAX references allowed)
+ * @private
+ */
+function sameField(actual, expected) {
+  if (!actual || !expected) {
+    return !actual && !expected;
+  }
+  const normalize = value => [].concat(value).map(field => normalizeFieldReference(String(field)).toLowerCase()).sort().join('|');
+  return normalize(actual) === normalize(expected);
+}
+
+/**
+ * Score one turn against its expectation
+ * @param {Object} expect - Turn expectation ({ chartAction } or { clarification: true })
+ * @param {Object} outcome - { chartAction, error }
+ * @returns {{passed: boolean, checks: Object, fieldScore: number|null}} Check results (true/false per applicable check)
+ */
+function scoreTurn(expect, outcome) {
+  const checks = {};
+  let fieldScore = null;
+  const expected = expect.chartAction || null;
+  const actual = outcome.error ? null : outcome.chartAction;
+
+  checks.clarification = Boolean(actual) === Boolean(expected);
+
+  if (expected) {
+    const keys = FIELD_KEYS.filter(key => expected[key] !== undefined);
+    if (keys.length > 0) {
+      const matches = keys.filter(key => actual && sameField(actual[key], expected[key])).length;
+      fieldScore = matches / keys.length;
+      checks.fields = matches === keys.length;
+    }
+
+    if (expected.chartType) {
+      checks.chartType = Boolean(actual) && resolveChartType(actual.chartType) === expected.chartType;
+    }
+
+    if (SWAPPED_AXIS_CHART_TYPES.includes(expected.chartType)) {
+      checks.axisSwap = Boolean(actual) && sameField(actual.xAxis, expected.xAxis) && sameField(actual.yAxis, expected.yAxis);
+    }
+  }
+
+  return {
+    passed: !outcome.error && Object.values(checks).every(Boolean),
+    checks,
+    fieldScore
+  };
+}
+
+/**
+ * Run one conversation
+ * @private
+ */
+async function runConversation(agentService, conversation, { metadata, datasetId }) {
+  const chatHistory = [];
+  let currentChart = conversation.currentChart || null;
+  const turns = [];
+
+  for (const [index, turn] of conversation.turns.entries()) {
+    const startTime = Date.now();
+    const outcome = { chartAction: null, chatResponse: null, error: null, usage: null, validationErrors: [] };
+
+    try {
+      const result = await agentService.processChat(turn.user, metadata, currentChart, chatHistory.slice(), { datasetId });
+      const { parsed, error } = parseAgentResponse(result.response);
+      outcome.usage = result.usage || null;
+      outcome.promptVersion = result.promptVersion || null;
+
+      if (!parsed) {
+        outcome.error = `Unparseable response: ${error}`;
+      } else {
+        outcome.chartAction = parsed.chartAction || null;
+        outcome.chatResponse = parsed.chatResponse || null;
+
+        // Carry the conversation on the way the browser would
+        const validation = validateAgentResponse(result.response, metadata);
+        outcome.validationErrors = validation.errors;
+        if (validation.chartAction && validation.errors.length === 0) {
+          currentChart = validation.chartAction;
+        }
+      }
+    } catch (error) {
+      outcome.error = error.message;
+    }
+
+    outcome.latencyMs = Date.now() - startTime;
+    chatHistory.push({ role: 'user', content: turn.user });
+    chatHistory.push({ role: 'assistant', content: outcome.chatResponse || outcome.error || '' });
+
+    turns.push({
+      conversationId: conversation.id,
+      turn: index + 1,
+      user: turn.user,
+      expect: turn.expect,
+      ...outcome,
+      ...scoreTurn(turn.expect, outcome)
+    });
+  }
+
+  return turns;
+}
+
+/**
+ * Run a suite against one agent service
+ * @param {Object} agentService - AgentService (or anything with the same processChat())
+ * @param {Object} suite - Parsed suite ({ conversations })
+ * @param {Object} options
+ * @param {Object} options.metadata - Dataset metadata used for every conversation
+ * @param {string} [options.datasetId] - Dataset whose prompt overrides apply
+ * @param {Function} [options.onTurn] - Called with each scored turn (progress output)
+ * @returns {Promise<Array<Object>>} Scored turns
+ */
+async function runSuite(agentService, suite, { metadata, datasetId = null, onTurn = null }) {
+  const results = [];
+  for (const conversation of suite.conversations) {
+    const turns = await runConversation(agentService, conversation, { metadata, datasetId });
+    for (const turn of turns) {
+      if (onTurn) onTurn(turn);
+      results.push(turn);
+    }
+  }
+  return results;
+}
+
+/**
+ * Percentile of a list of numbers (nearest rank)
+ * @private
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Accuracy of one check across turns where it applies
+ * @private
+ */
+function checkAccuracy(turns, check) {
+  const applicable = turns.filter(turn => turn.checks[check] !== undefined);
+  if (applicable.length === 0) return null;
+  return applicable.filter(turn => turn.checks[check]).length / applicable.length;
+}
+
+/**
+ * Summarize scored turns into the numbers compared across targets
+ * @param {Array<Object>} turns - Scored turns from runSuite
+ * @returns {Object} Summary
+ */
+function summarize(turns) {
+  const latencies = turns.map(turn => turn.latencyMs);
+  const fieldScores = turns.map(turn => turn.fieldScore).filter(score => score !== null);
+  const usageTotals = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  for (const turn of turns) {
+    for (const key of Object.keys(usageTotals)) {
+      usageTotals[key] += (turn.usage && turn.usage[key]) || 0;
+    }
+  }
+
+  return {
+    turns: turns.length,
+    passed: turns.filter(turn => turn.passed).length,
+    passRate: turns.length > 0 ? turns.filter(turn => turn.passed).length / turns.length : 0,
+    fieldAccuracy: fieldScores.length > 0 ? fieldScores.reduce((sum, score) => sum + score, 0) / fieldScores.length : null,
+    chartTypeAccuracy: checkAccuracy(turns, 'chartType'),
+    axisSwapAccuracy: checkAccuracy(turns, 'axisSwap'),
+    clarificationAccuracy: checkAccuracy(turns, 'clarification'),
+    errors: turns.filter(turn => turn.error).length,
+    latencyMs: {
+      average: latencies.length > 0 ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length) : null,
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95)
+    },
+    tokens: {
+      ...usageTotals,
+      averagePerTurn: turns.length > 0 ? Math.round(usageTotals.total_tokens / turns.length) : 0
+    }
+  };
+}
+
+/**
+ * Format a 0..1 ratio as a percentage
+ * @private
+ */
+function percent(value) {
+  return value === null || value === undefined ? 'n/a' : `${Math.round(value * 1000) / 10}%`;
+}
+
+/**
+ * Render the comparison report as markdown
+ * @param {Object} report - { suite, createdAt, targets: [{ label, provider, summary, turns }] }
+ * @returns {string} Markdown report
+ */
+function renderMarkdownReport(report) {
+  const lines = [
+    `# Evaluation Report: ${report.suite}`,
+    '',
+    `- **Date:** ${report.createdAt}`,
+    `- **Conversations:** ${report.conversations}`,
+    ''
+  ];
+
+  lines.push('| Target | Pass rate | Fields | Chart type | Bar axis swap | Clarification | Avg latency | p95 latency | Tokens/turn | Errors |');
+  lines.push('|--------|-----------|--------|------------|---------------|---------------|-------------|-------------|-------------|--------|');
+  for (const target of report.targets) {
+    const s = target.summary;
+    lines.push(`| **${target.label}** | ${percent(s.passRate)} (${s.passed}/${s.turns}) | ${percent(s.fieldAccuracy)} | ` +
+      `${percent(s.chartTypeAccuracy)} | ${percent(s.axisSwapAccuracy)} | ${percent(s.clarificationAccuracy)} | ` +
+      `${s.latencyMs.average} ms | ${s.latencyMs.p95} ms | ${s.tokens.averagePerTurn} | ${s.errors} |`);
+  }
+
+  for (const target of report.targets) {
+    const failures = target.turns.filter(turn => !turn.passed);
+    lines.push('', `## ${target.label} failures`, '');
+    if (failures.length === 0) {
+      lines.push('None.');
+      continue;
+    }
+    for (const turn of failures) {
+      const failedChecks = Object.keys(turn.checks).filter(check => !turn.checks[check]);
+      lines.push(`- **${turn.conversationId}** turn ${turn.turn}: "${turn.user}"`);
+      lines.push(`  - Failed: ${turn.error ? `error (${turn.error})` : failedChecks.join(', ')}`);
+      lines.push(`  - Expected: \`${JSON.stringify(turn.expect.chartAction || { clarification: true })}\``);
+      lines.push(`  - Actual: \`${JSON.stringify(turn.chartAction)}\``);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  scoreTurn,
+  runSuite,
+  summarize,
+  renderMarkdownReport
+};
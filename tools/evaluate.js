@@ -0,0 +1,133 @@
+/**
+ * Chart accuracy evaluation - runs golden conversations against one or more LLM targets
+ *
+ * Usage:
+ *   npm run eval -- [options]
+ *
+ * Options:
+ *   --suite <file>          Suite JSON (default tools/eval/suites/chart-accuracy.json)
+ *   --targets <file>        Targets JSON to compare (default: the configured LLM_PROVIDER)
+ *                           [{ "label": "gpt-4o-mini", "provider": "azure-openai",
+ *                              "config": { "azureOpenAIDeploymentName": "gpt-4o-mini" },
+ *                              "agent": { "responseMode": "tools" } }]
+ *   --out <dir>             Report directory (default eval-reports)
+ *   --live-metadata         Use the Power BI dataset (POWERBI_*) instead of the suite's metadata fixture
+ *   --min-pass-rate <0..1>  Exit with code 1 when any target passes fewer turns than this
+ *   --verbose               Keep the service logs
+ *
+ * Writes <timestamp>-<suite>.json (every turn) and .md (comparison table and failures).
+ * Combine with LLM_REPLAY_MODE=record/replay to re-run a suite offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const container = require('../src/container');
+const { runSuite, summarize, renderMarkdownReport } = require('./eval/runner');
+
+const DEFAULT_SUITE = path.join(__dirname, 'eval/suites/chart-accuracy.json');
+const DEFAULT_OUT_DIR = path.join(__dirname, '../eval-reports');
+
+/**
+ * Parse command line flags
+ * @private
+ */
+function parseArgs(argv) {
+  const args = { suite: DEFAULT_SUITE, targets: null, out: DEFAULT_OUT_DIR, liveMetadata: false, minPassRate: null, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+    case '--suite': args.suite = argv[++i]; break;
+    case '--targets': args.targets = argv[++i]; break;
+    case '--out': args.out = argv[++i]; break;
+    case '--live-metadata': args.liveMetadata = true; break;
+    case '--min-pass-rate': args.minPassRate = Number(argv[++i]); break;
+    case '--verbose': args.verbose = true; break;
+    default:
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Load the dataset metadata for the suite
+ * @private
+ */
+async function loadMetadata(suite, suitePath, liveMetadata) {
+  const config = container.getConfigService().loadConfig();
+  if (liveMetadata) {
+    return container.getPowerBIService().getMetadataContext(config.powerBIWorkspaceId, config.powerBIDatasetId);
+  }
+  if (!suite.metadata) {
+    throw new Error('Suite has no "metadata" fixture; pass --live-metadata to use the Power BI dataset');
+  }
+  // Live metadata already carries the glossary (PowerBIService); fixtures get the suite dataset's glossary
+  const metadata = readJson(path.resolve(path.dirname(suitePath), suite.metadata));
+  return container.getGlossaryService().applyToMetadata(metadata, suite.datasetId);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const log = console.log;
+  if (!args.verbose) {
+    // Service logs would drown the progress output
+    console.log = () => {};
+  }
+
+  const suite = readJson(args.suite);
+  const metadata = await loadMetadata(suite, args.suite, args.liveMetadata);
+  const config = container.getConfigService().loadConfig();
+  const targets = args.targets
+    ? readJson(args.targets)
+    : [{ label: config.llmProvider, provider: config.llmProvider }];
+
+  const datasetId = args.liveMetadata ? config.powerBIDatasetId : (suite.datasetId || null);
+  const report = {
+    suite: suite.name || path.basename(args.suite, '.json'),
+    createdAt: new Date().toISOString(),
+    conversations: suite.conversations.length,
+    replayMode: config.llmReplayMode,
+    targets: []
+  };
+
+  for (const target of targets) {
+    log(`\n▶ ${target.label} (${target.provider})`);
+    const provider = container.createLLMProvider(target.provider, target.config || {});
+    const agentService = container.createAgentService(provider, target.agent || {});
+
+    const turns = await runSuite(agentService, suite, {
+      metadata,
+      datasetId,
+      onTurn: turn => log(`  ${turn.passed ? '✓' : '✗'} ${turn.conversationId} #${turn.turn} (${turn.latencyMs} ms)${turn.error ? ` - ${turn.error}` : ''}`)
+    });
+
+    const summary = summarize(turns);
+    log(`  ${summary.passed}/${summary.turns} turns passed`);
+    report.targets.push({ label: target.label, provider: target.provider, summary, turns });
+  }
+
+  fs.mkdirSync(args.out, { recursive: true });
+  const baseName = `${report.createdAt.replace(/[:.]/g, '-')}-${report.suite}`;
+  fs.writeFileSync(path.join(args.out, `${baseName}.json`), `${JSON.stringify(report, null, 2)}\n`);
+  const markdown = renderMarkdownReport(report);
+  fs.writeFileSync(path.join(args.out, `${baseName}.md`), markdown);
+
+  log(`\n${markdown}`);
+  log(`Report written to ${path.join(args.out, baseName)}.{json,md}`);
+
+  if (args.minPassRate !== null) {
+    const failing = report.targets.filter(target => target.summary.passRate < args.minPassRate);
+    if (failing.length > 0) {
+      log(`Pass rate below ${args.minPassRate} for: ${failing.map(target => target.label).join(', ')}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('Evaluation failed:', error.message);
+  process.exitCode = 1;
+});